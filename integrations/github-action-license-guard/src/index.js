@@ -78,8 +78,39 @@ export function runAction(options = {}) {
   const manifestPath = readInput(env, "MANIFEST_PATH", "LICENSE_MANIFEST.json");
   const failOn = readInput(env, "FAIL_ON", "escalate");
   const format = readInput(env, "FORMAT", "json");
+  const scan = readInput(env, "SCAN", "false") === "true";
 
   const cli = resolveCliCommand(workspaceRoot, env);
+
+  if (scan) {
+    // Scan honors .setzkastenignore and setzkasten.config.json and refreshes fonts[].usage.scan.
+    const scanArgs = [...cli.prefixArgs, "scan", "--manifest", manifestPath, "--discover"];
+    stdout.write(`Running: ${cli.command} ${scanArgs.join(" ")}\n`);
+
+    const scanResult = runCommand(cli.command, scanArgs, {
+      cwd: workingDirectory,
+      encoding: "utf8",
+    });
+
+    if (scanResult.stderr) {
+      stderr.write(scanResult.stderr);
+    }
+
+    const scanExitCode = scanResult.error ? 1 : typeof scanResult.status === "number" ? scanResult.status : 1;
+    if (scanExitCode !== 0) {
+      const message = scanResult.error?.message ?? `Scan command exited with code ${scanExitCode}.`;
+      stderr.write(`::error title=Setzkasten scan failed::${message}\n`);
+      writeGithubOutput(env, "exit_code", scanExitCode);
+      writeGithubOutput(env, "policy_decision", "unknown");
+      return {
+        exitCode: scanExitCode,
+        decision: "unknown",
+        command: cli.command,
+        args: scanArgs,
+      };
+    }
+  }
+
   const policyArgs = [
     ...cli.prefixArgs,
     "policy",
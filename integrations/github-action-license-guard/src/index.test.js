@@ -88,3 +88,34 @@ test("runAction returns non-zero and emits error annotation on policy failure",
   assert.equal(result.decision, "escalate");
   assert.match(stderr.toString(), /::error title=Setzkasten policy failed::/);
 });
+
+test("runAction runs scan before policy when scan input is enabled", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-action-test-"));
+  const calls = [];
+
+  const result = runAction({
+    cwd: tempDir,
+    env: {
+      INPUT_MANIFEST_PATH: "LICENSE_MANIFEST.json",
+      INPUT_SCAN: "true",
+      SETZKASTEN_CLI_PATH: "fake-cli.js",
+    },
+    stdout: createWriter(),
+    stderr: createWriter(),
+    runCommand(command, args) {
+      calls.push(args);
+      return {
+        status: 0,
+        stdout: JSON.stringify({ decision: "allow", reasons: [] }),
+        stderr: "",
+      };
+    },
+  });
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls[0].slice(1), ["scan", "--manifest", "LICENSE_MANIFEST.json", "--discover"]);
+  assert.equal(calls[1][1], "policy");
+  assert.equal(result.decision, "allow");
+});
@@ -16,16 +16,32 @@ import {
 import { appendProjectEvent } from "./lib/events.js";
 import {
   addFontToManifest,
+  addLicenseInstanceToManifest,
+  addLicenseeToManifest,
   createManifest,
   getManifestProjectId,
   loadManifest,
+  prefillLicenseInstanceTerms,
   removeFontFromManifest,
+  removeLicenseInstanceFromManifest,
+  removeLicenseeFromManifest,
+  revokeLicenseInstance,
   saveManifest,
+  supersedeLicenseInstance,
+  updateLicenseInstanceInManifest,
+  updateLicenseeInManifest,
   upsertLicenseEvidence,
+  upsertUsageObservations,
 } from "./lib/manifest-lib.js";
-import { POLICY_PRESETS, applyPolicyPreset, evaluatePolicy } from "./lib/policy.js";
+import { POLICY_PRESETS, applyPolicyPreset, evaluatePolicy, summarizeMetricUsage } from "./lib/policy.js";
 import { generateQuote } from "./lib/quote.js";
-import { applyScanResultToManifest, scanProject } from "./lib/scanner.js";
+import {
+  applyScanResultToManifest,
+  findFontBinaryChanges,
+  hashKnownFontFiles,
+  recordKnownFontFileHashes,
+  scanProject,
+} from "./lib/scanner.js";
 
 function printHelp() {
   const helpText = `Setzkasten CLI (V1)
@@ -38,36 +54,91 @@ Commands:
   add       Add font entry to manifest
   remove    Remove font entry from manifest
   scan      Scan local repository usage and optionally discover font/license files
-  import    Import manifest font entries from discovered repository font files
+  import    Import manifest font entries from discovered font files and web font services
   doctor    Diagnose manifest and evidence readiness for CI usage
   evidence  Attach/update license evidence from local files
   exception Manage policy exceptions (add, list, remove)
+  license   Manage license instances (add, update, list, show, revoke, supersede)
+  licensee  Manage the licensee registry (add, list, update, remove)
+  usage     Record, import and list usage observations compared against metric limits
   report    Generate project governance report (json or markdown)
   sync      Export project snapshot for local dashboards/API consumers
   policy    Evaluate policy decision (allow|warn|escalate)
   quote     Generate deterministic quote from license schema data
+  prune     Plan/apply removal of unused fonts and orphaned license instances with backup safety
   migrate   Plan/apply manifest migration with backup safety
 
 Common options:
   --manifest <path>   Explicit path to ${MANIFEST_FILENAME}
+Init options:
+  --client-work       Mark the project as client work (checked against the offering's client_work right)
+  --client-id <id>    Licensee ID of the client the project is built for (implies --client-work)
 Scan options:
   --path <dir>                 Directory to scan (default: project root)
-  --discover                        Discover existing font files and font-adjacent license files
+  --discover                        Discover font files, font-adjacent license files and native app font registrations
   --max-discovered-files <n>        Max discovered font files in output (default: 200)
   --max-discovered-license-files <n> Max discovered license files in output (default: 200)
   --format <json|sarif|junit>       Output format for scan results (default: json)
+  --since <git-ref>                 Scan only files changed since the merge base with <git-ref> (manifest is not updated)
+  --history                         Report font files deleted from the tree but still in git history
+  --record-hashes                   Record sha256 hashes of matched font files as known-good (fonts[].known_file_hashes)
+  --archives                        Also discover fonts and licenses inside zip/jar/apk/ipa/docx/pptx, tarballs,
+                                    Docker image exports and app.asar (implies --discover; reported as archive!entry)
+  --no-cache                        Re-read every file instead of reusing .setzkasten/cache/scan-cache.json
+  --concurrency <n>                 Worker threads used to read and match files (default: 1)
+  Scan, import and evidence suggest honor .setzkastenignore and setzkasten.config.json (scan.include/exclude/extensions)
 Import options:
   --path <dir>                 Directory to scan for import candidates (default: project root)
-  --source <oss|byo>           Source type assigned to imported fonts (default: byo)
+  --source <oss|byo>           Source type assigned to imported font files (default: byo);
+                               fonts linked from web font services are imported as 'service'
   --apply                      Apply candidate imports (default is dry-run)
+Prune options:
+  --path <dir>                 Directory to scan for font usage (default: project root)
+  --rule <ids>                 Rules to apply: unused_font (no discovered file and no usage match),
+                               unreferenced_font (no usage match), orphaned_license_instance
+                               (default: unused_font,orphaned_license_instance)
+  --keep <font_id>             Never prune this font (repeatable or comma-separated)
+  --max-removals <n>           Refuse to apply a plan that removes more than n entries
+  --apply                      Apply the plan and write a manifest backup (default is dry-run)
 Policy options:
   --format <json|sarif|junit>       Output format for policy results (default: json)
   --preset <strict|startup|enterprise> Apply opinionated policy profile
+  --expiry-horizon-days <n>         Warn about licenses expiring or due for renewal within n days (default: 30)
+  --metric-warning-ratio <r>        Warn when recorded usage reaches this share of a metric limit (default: 0.8)
+  --now <iso-date-time>             Evaluate validity dates against this time instead of the clock
+                                    (also accepted by report and sync export)
 Exception options:
   setzkasten exception add --code <policy_code> [--font-id <font_id>] [--license-id <license_id>]
     [--reason <text>] [--expires-at <iso-date-time>] [--exception-id <id>]
   setzkasten exception list
   setzkasten exception remove --exception-id <id>
+License options:
+  setzkasten license add --font-id <ids> --offering-id <id> [--offering-version <semver>] [--license-id <id>]
+    [--licensee-id <id>] [--scope-type <project|brand|org|client>] [--scope-id <id>] [--domain <domains>]
+    [--right-id <ids>] [--metric-limit <type>=<limit>/<period>] [--valid-from <iso-date-time>]
+    [--valid-until <iso-date-time>] [--renewal-due-at <iso-date-time>] [--acquisition-source <source>]
+    [--foundry <name>] [--style <styles>]
+    [--notes <text>] [--activate]
+  setzkasten license update --license-id <id> [same options as add]
+  setzkasten license list [--font-id <ids>] [--status <statuses>]
+  setzkasten license show --license-id <id>
+  setzkasten license revoke --license-id <id> [--reason <text>]
+  setzkasten license supersede --license-id <id> [--new-license-id <id>] [same options as add]
+Licensee options:
+  setzkasten licensee add --legal-name <name> [--licensee-id <id>]
+    [--type <individual|organization|agency|client>] [--country <ISO 3166-1 alpha-2>]
+    [--vat-id <id>] [--contact-email <email>]
+  setzkasten licensee list
+  setzkasten licensee update --licensee-id <id> [same options as add]
+  setzkasten licensee remove --licensee-id <id>
+Usage options:
+  setzkasten usage record --metric-type <type> --value <n> --period-start <date> [--period-end <date>]
+    [--source <source>] [--license-id <id>] [--scope-type <type>] [--scope-id <id>] [--evidence <text>]
+  setzkasten usage import --file <usage.csv|usage.json> [--format <csv|json>] [--metric-type <type>]
+    [--source <source>] [--license-id <id>]
+    CSV columns: metric_type, value, period_start, period_end, source, license_id, scope_type, scope_id;
+    single-metric exports may use 'date' and a column named after --metric-type (e.g. date,pageviews)
+  setzkasten usage list [--metric-type <types>] [--license-id <ids>]
 Report options:
   --format <json|markdown>          Report format (default: markdown)
   --output <path>                   Write report output to file
@@ -89,7 +160,9 @@ Examples:
   setzkasten add --font-id inter --family "Inter" --source oss
   setzkasten scan --path . --discover
   setzkasten evidence suggest --path .
+  setzkasten prune --max-removals 5 --apply
   setzkasten evidence verify --strict
+  setzkasten license add --font-id inter --offering-id foundry.example.web_indie --offering-version 1.0.0
   setzkasten evidence add --license-id lic_web_001 --file ./licenses/OFL.txt
   setzkasten exception add --code BYO_NO_EVIDENCE --font-id inter --reason "Temporary waiver"
   setzkasten report --format markdown --output compliance-report.md
@@ -439,6 +512,10 @@ function scanToFindings(scanResult) {
     }
 
     const matchCount = typeof match.match_count === "number" ? match.match_count : 0;
+    if (matchCount === 0 && isObject(scanResult.since)) {
+      continue;
+    }
+
     findings.push({
       rule_id: matchCount > 0 ? "SCAN_FONT_USAGE_MATCH" : "SCAN_FONT_NO_USAGE_MATCH",
       level: matchCount > 0 ? "note" : "warning",
@@ -458,15 +535,63 @@ function scanToFindings(scanResult) {
     : [];
   for (const entry of discoveredLicenses) {
     const detected = asString(entry.detected_license);
+    const spdxId = asString(entry.license_classification?.spdx_id);
     findings.push({
       rule_id: detected ? "SCAN_LICENSE_DETECTED" : "SCAN_LICENSE_UNKNOWN",
       level: detected ? "note" : "warning",
       message: detected
-        ? `Detected '${detected}' in '${entry.path}'.`
+        ? `Detected '${spdxId ?? detected}' in '${entry.path}'.`
         : `Could not detect a known license in '${entry.path}'.`,
       properties: {
         path: entry.path,
         detected_license: detected,
+        spdx_id: spdxId,
+      },
+    });
+  }
+
+  const contextSuggestions = Array.isArray(scanResult.context_suggestions) ? scanResult.context_suggestions : [];
+  for (const suggestion of contextSuggestions) {
+    findings.push({
+      rule_id: "SCAN_APP_CONTEXT_UNDECLARED",
+      level: "warning",
+      message: `Font '${suggestion.font_id}' is registered in native app code (${asStringArray(suggestion.platforms).join(", ")}), but its usage contexts do not include '${suggestion.usage_context}'.`,
+      properties: {
+        font_id: suggestion.font_id,
+        usage_context: suggestion.usage_context,
+        platforms: suggestion.platforms,
+        declared_in: suggestion.declared_in,
+      },
+    });
+  }
+
+  const historicalFontFiles = Array.isArray(scanResult.historical_font_files) ? scanResult.historical_font_files : [];
+  for (const entry of historicalFontFiles) {
+    const addedSha = asString(entry.added_in?.sha);
+    findings.push({
+      rule_id: "SCAN_FONT_IN_GIT_HISTORY",
+      level: "warning",
+      message: `Deleted font file '${entry.path}' is still distributed through git history${addedSha ? ` (added in ${addedSha})` : ""}.`,
+      properties: {
+        path: entry.path,
+        family_guess: asString(entry.family_guess),
+        added_in_sha: addedSha,
+        deleted_in_sha: asString(entry.deleted_in?.sha),
+      },
+    });
+  }
+
+  const binaryChanges = Array.isArray(scanResult.font_binary_changes) ? scanResult.font_binary_changes : [];
+  for (const change of binaryChanges) {
+    findings.push({
+      rule_id: "FONT_BINARY_CHANGED",
+      level: "warning",
+      message: `Font file '${change.path}' for '${change.font_id}' does not match its known-good hash.`,
+      properties: {
+        font_id: change.font_id,
+        path: change.path,
+        file_hash: change.file_hash,
+        expected_hashes: change.expected_hashes,
       },
     });
   }
@@ -850,6 +975,8 @@ async function handleInit(cwd, flags) {
     projectId,
     projectRepo: getStringFlag(flags, "repo"),
     projectDomains: getListFlag(flags, "domain"),
+    projectClientWork: getBooleanFlag(flags, "client-work"),
+    projectClientId: getStringFlag(flags, "client-id"),
     licenseeId: getStringFlag(flags, "licensee-id"),
     licenseeType: getStringFlag(flags, "licensee-type") ?? "organization",
     licenseeLegalName: licenseeName,
@@ -891,8 +1018,8 @@ async function handleAdd(cwd, flags) {
   const familyName = requireStringFlag(flags, "family");
   const sourceType = requireStringFlag(flags, "source");
 
-  if (sourceType !== "oss" && sourceType !== "byo") {
-    throw new Error("--source must be either 'oss' or 'byo'.");
+  if (sourceType !== "oss" && sourceType !== "byo" && sourceType !== "service") {
+    throw new Error("--source must be one of 'oss', 'byo' or 'service'.");
   }
 
   const licenseInstanceIds = getListFlag(flags, "license-instance-id");
@@ -984,19 +1111,48 @@ async function handleScan(cwd, flags) {
   const maxMatchedPaths = Number(getStringFlag(flags, "max-matched-paths") ?? "30");
   const maxDiscoveredFiles = Number(getStringFlag(flags, "max-discovered-files") ?? "200");
   const maxDiscoveredLicenseFiles = Number(getStringFlag(flags, "max-discovered-license-files") ?? "200");
-  const discover = getBooleanFlag(flags, "discover");
+  const archives = getBooleanFlag(flags, "archives");
+  const recordHashes = getBooleanFlag(flags, "record-hashes");
+  const discover = getBooleanFlag(flags, "discover") || archives || recordHashes;
+  const since = getStringFlag(flags, "since");
+  const history = getBooleanFlag(flags, "history");
+
+  if (flags.since !== undefined && !since) {
+    throw new Error("--since requires a git ref.");
+  }
+
+  if (since && recordHashes) {
+    throw new Error("--record-hashes cannot be combined with --since.");
+  }
 
   const scanResult = await scanProject({
     rootPath: scanRoot,
+    projectRoot,
     manifest,
+    cache: !getBooleanFlag(flags, "no-cache"),
+    writeCache: !since,
+    concurrency: readConcurrencyFlag(flags),
     maxMatchedPathsPerFont: Number.isFinite(maxMatchedPaths) ? maxMatchedPaths : 30,
     maxDiscoveredFiles: Number.isFinite(maxDiscoveredFiles) ? maxDiscoveredFiles : 200,
     maxDiscoveredLicenseFiles: Number.isFinite(maxDiscoveredLicenseFiles) ? maxDiscoveredLicenseFiles : 200,
     discover,
+    archives,
+    since,
+    history,
   });
 
-  const updatedManifest = applyScanResultToManifest(manifest, scanResult);
-  await saveManifest(resolvedManifestPath, updatedManifest);
+  // A --since scan only sees changed files, so it must not replace the recorded full-scan usage.
+  let updatedManifest = since ? manifest : applyScanResultToManifest(manifest, scanResult);
+  let recordedHashesCount = 0;
+  if (recordHashes) {
+    const recorded = recordKnownFontFileHashes(updatedManifest, scanResult);
+    updatedManifest = recorded.manifest;
+    recordedHashesCount = recorded.recorded_count;
+  }
+
+  if (!since) {
+    await saveManifest(resolvedManifestPath, updatedManifest);
+  }
 
   await appendProjectEvent({
     projectRoot,
@@ -1013,6 +1169,18 @@ async function handleScan(cwd, flags) {
         : 0,
       discover_enabled: discover,
       root_path: scanResult.root_path,
+      since_ref: scanResult.since?.ref ?? null,
+      head_sha: scanResult.since?.head_sha ?? null,
+      historical_font_files_count: Array.isArray(scanResult.historical_font_files)
+        ? scanResult.historical_font_files.length
+        : 0,
+      app_fonts_count: Array.isArray(scanResult.app_fonts) ? scanResult.app_fonts.length : 0,
+      font_binary_changes_count: Array.isArray(scanResult.font_binary_changes)
+        ? scanResult.font_binary_changes.length
+        : 0,
+      recorded_hashes_count: recordedHashesCount,
+      archives_enabled: archives,
+      scanned_archives_count: Array.isArray(scanResult.scanned_archives) ? scanResult.scanned_archives.length : 0,
     },
   });
 
@@ -1021,6 +1189,8 @@ async function handleScan(cwd, flags) {
     printJson({
       ok: true,
       command: "scan",
+      manifest_updated: !since,
+      recorded_hashes_count: recordedHashesCount,
       result: scanResult,
     });
   } else if (format === "sarif") {
@@ -1032,6 +1202,29 @@ async function handleScan(cwd, flags) {
   return 0;
 }
 
+function readConcurrencyFlag(flags) {
+  const input = getStringFlag(flags, "concurrency");
+  if (input === undefined) {
+    return 1;
+  }
+
+  const concurrency = Number(input);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error("--concurrency must be a positive integer.");
+  }
+
+  return concurrency;
+}
+
+function buildPackageRegistryUri(packageName) {
+  // next/font/google ships no package per family; the font itself comes from Google Fonts.
+  if (!packageName || packageName.startsWith("next/")) {
+    return null;
+  }
+
+  return `https://www.npmjs.com/package/${packageName}`;
+}
+
 async function handleImport(cwd, flags) {
   const manifestPath = resolveManifestPathFromFlag(cwd, flags);
   const { manifest, manifestPath: resolvedManifestPath, projectRoot } = await loadManifest({
@@ -1052,7 +1245,11 @@ async function handleImport(cwd, flags) {
 
   const scanResult = await scanProject({
     rootPath: scanRoot,
+    projectRoot,
     manifest,
+    cache: !getBooleanFlag(flags, "no-cache"),
+    writeCache: apply,
+    concurrency: readConcurrencyFlag(flags),
     maxMatchedPathsPerFont: 0,
     maxDiscoveredFiles,
     maxDiscoveredLicenseFiles: 0,
@@ -1081,6 +1278,7 @@ async function handleImport(cwd, flags) {
     const familyGuess = asString(entry.family_guess);
     const fontIdGuess = asString(entry.font_id_guess);
     const fileName = asString(entry.file_name) ?? "font-file";
+    const metadata = isObject(entry.metadata) ? entry.metadata : null;
 
     if (!pathValue || !familyGuess) {
       continue;
@@ -1101,6 +1299,85 @@ async function handleImport(cwd, flags) {
       discovered_from_path: pathValue,
       discovered_file_name: fileName,
       discovered_extension: asString(entry.extension),
+      family_source: asString(entry.family_source) ?? "file_name",
+      metadata,
+    });
+  }
+
+  const discoveredServices = Array.isArray(scanResult.discovered_font_services)
+    ? scanResult.discovered_font_services
+    : [];
+
+  for (const entry of discoveredServices) {
+    if (!isObject(entry)) {
+      continue;
+    }
+
+    const familyName = asString(entry.family_name);
+    const provider = asString(entry.provider);
+    const paths = asStringArray(entry.paths);
+
+    // Adobe Fonts kits only carry a kit id; the families live in the kit config.
+    if (!familyName || !provider || paths.length === 0) {
+      continue;
+    }
+
+    const fontIdGuess = asString(entry.font_id_guess) ?? slugifyId(familyName, "font");
+    if (existingFontIds.has(fontIdGuess.toLowerCase())) {
+      continue;
+    }
+
+    const chosenFontId = resolveUniqueFontId(fontIdGuess, usedImportIds);
+    existingFontIds.add(chosenFontId.toLowerCase());
+
+    candidates.push({
+      font_id: chosenFontId,
+      family_name: familyName,
+      source_type: "service",
+      discovered_from_path: paths[0],
+      family_source: "service_url",
+      service_provider: provider,
+      service_provider_name: asString(entry.provider_name),
+      service_url: asStringArray(entry.urls)[0] ?? null,
+      metadata: null,
+    });
+  }
+
+  const discoveredPackages = Array.isArray(scanResult.discovered_font_packages)
+    ? scanResult.discovered_font_packages
+    : [];
+
+  for (const entry of discoveredPackages) {
+    if (!isObject(entry)) {
+      continue;
+    }
+
+    const familyName = asString(entry.family_name);
+    const packageName = asString(entry.package_name);
+    const referencedBy = asStringArray(entry.referenced_by);
+
+    if (!familyName || !packageName || referencedBy.length === 0) {
+      continue;
+    }
+
+    const fontIdGuess = asString(entry.font_id_guess) ?? slugifyId(familyName, "font");
+    if (existingFontIds.has(fontIdGuess.toLowerCase())) {
+      continue;
+    }
+
+    const chosenFontId = resolveUniqueFontId(fontIdGuess, usedImportIds);
+    existingFontIds.add(chosenFontId.toLowerCase());
+
+    candidates.push({
+      font_id: chosenFontId,
+      family_name: familyName,
+      source_type: "oss",
+      discovered_from_path: referencedBy[0],
+      family_source: "font_package",
+      package_name: packageName,
+      package_version: asString(entry.version),
+      license_file_path: isObject(entry.license_file) ? asString(entry.license_file.path) : null,
+      metadata: null,
     });
   }
 
@@ -1124,7 +1401,14 @@ async function handleImport(cwd, flags) {
       font_id: candidate.font_id,
       family_name: candidate.family_name,
       source: {
-        type: sourceType,
+        type: candidate.source_type,
+        name:
+          asString(candidate.service_provider_name) ??
+          asString(candidate.package_name) ??
+          asString(candidate.metadata?.manufacturer) ??
+          undefined,
+        provider: candidate.service_provider,
+        uri: asString(candidate.service_url) ?? buildPackageRegistryUri(candidate.package_name) ?? undefined,
         notes: `Imported from ${candidate.discovered_from_path}`,
       },
       license_instance_ids: [],
@@ -1141,8 +1425,11 @@ async function handleImport(cwd, flags) {
       payload: {
         font_id: candidate.font_id,
         family_name: candidate.family_name,
-        source_type: sourceType,
+        source_type: candidate.source_type,
         discovered_from_path: candidate.discovered_from_path,
+        family_source: candidate.family_source,
+        service_provider: candidate.service_provider,
+        package_name: candidate.package_name,
       },
     });
   }
@@ -1259,6 +1546,20 @@ async function handleDoctor(cwd, flags) {
         message: "BYO evidence check skipped because manifest is unavailable.",
       }),
     );
+    checks.push(
+      createDoctorCheck({
+        id: "fonts.binary_hashes",
+        status: "skip",
+        message: "Font hash check skipped because manifest is unavailable.",
+      }),
+    );
+    checks.push(
+      createDoctorCheck({
+        id: "licensees.registered",
+        status: "skip",
+        message: "Licensee registry check skipped because manifest is unavailable.",
+      }),
+    );
   } else {
     const fonts = Array.isArray(manifest.fonts) ? manifest.fonts : [];
     const licenseInstances = Array.isArray(manifest.license_instances) ? manifest.license_instances : [];
@@ -1334,6 +1635,58 @@ async function handleDoctor(cwd, flags) {
             : undefined,
       }),
     );
+
+    const registeredLicenseeIds = new Set(
+      (Array.isArray(manifest.licensees) ? manifest.licensees : [])
+        .filter((entry) => isObject(entry))
+        .map((entry) => entry.licensee_id),
+    );
+    const unregisteredLicensees = Array.from(instancesById.values())
+      .filter((instance) => !registeredLicenseeIds.has(asString(instance.licensee_id)))
+      .map((instance) => ({
+        license_id: instance.license_id,
+        licensee_id: asString(instance.licensee_id),
+      }));
+
+    checks.push(
+      createDoctorCheck({
+        id: "licensees.registered",
+        status: unregisteredLicensees.length > 0 ? "warn" : "pass",
+        message:
+          unregisteredLicensees.length > 0
+            ? `${unregisteredLicensees.length} license instance(s) reference a licensee missing from the registry.`
+            : "All license instances reference a registered licensee.",
+        details: unregisteredLicensees.length > 0 ? { unregistered_licensees: unregisteredLicensees } : undefined,
+        fix:
+          unregisteredLicensees.length > 0
+            ? "Use 'setzkasten licensee add --licensee-id <id>' or 'setzkasten license update --licensee-id <id>'."
+            : undefined,
+      }),
+    );
+
+    const hashedFontFiles = await hashKnownFontFiles(projectRoot, manifest);
+    const binaryChanges = findFontBinaryChanges(manifest, hashedFontFiles);
+    const fontsWithKnownHashes = fonts.filter(
+      (font) => isObject(font) && Array.isArray(font.known_file_hashes) && font.known_file_hashes.length > 0,
+    );
+
+    checks.push(
+      createDoctorCheck({
+        id: "fonts.binary_hashes",
+        status: fontsWithKnownHashes.length === 0 ? "skip" : binaryChanges.length > 0 ? "warn" : "pass",
+        message:
+          fontsWithKnownHashes.length === 0
+            ? "No known-good font hashes recorded."
+            : binaryChanges.length > 0
+              ? `FONT_BINARY_CHANGED: ${binaryChanges.length} font file(s) differ from their known-good hash.`
+              : "All recorded font files match their known-good hashes.",
+        details: binaryChanges.length > 0 ? { font_binary_changes: binaryChanges } : undefined,
+        fix:
+          binaryChanges.length > 0
+            ? "Restore the original binaries, or confirm the new files and run 'setzkasten scan --record-hashes'."
+            : undefined,
+      }),
+    );
   }
 
   const summary = summarizeChecks(checks);
@@ -1468,16 +1821,36 @@ function buildEvidenceSuggestions(manifest, scanResult) {
 
     const candidates = discoveredLicenseFiles
       .map((entry) => {
-        const matchedFontIds = Array.isArray(entry.matched_font_ids) ? entry.matched_font_ids : [];
-        const overlap = matchedFontIds.filter((fontId) => fontIdSet.has(fontId)).length;
-        if (overlap === 0) {
+        const matchedFontIds = asStringArray(entry.matched_font_ids).filter((fontId) => fontIdSet.has(fontId));
+        const packageFontIds = asStringArray(entry.package_font_ids).filter(
+          (fontId) => fontIdSet.has(fontId) && !matchedFontIds.includes(fontId),
+        );
+        const adjacentFontIds = asStringArray(entry.adjacent_font_ids).filter(
+          (fontId) => fontIdSet.has(fontId) && !matchedFontIds.includes(fontId) && !packageFontIds.includes(fontId),
+        );
+        if (matchedFontIds.length + packageFontIds.length + adjacentFontIds.length === 0) {
           return null;
         }
 
+        // Adjacency to a font binary whose name table names the family is weaker than a content match;
+        // a license bundled in the font's own npm package counts as much as one.
+        const weightedOverlap = matchedFontIds.length + packageFontIds.length + adjacentFontIds.length * 0.5;
+        const matchBasis = [];
+        if (matchedFontIds.length > 0) {
+          matchBasis.push("license_content");
+        }
+        if (packageFontIds.length > 0) {
+          matchBasis.push("font_package");
+        }
+        if (adjacentFontIds.length > 0) {
+          matchBasis.push("font_metadata");
+        }
+
         return {
           entry,
-          overlap,
-          confidence: Math.min(0.99, Number((0.45 + overlap / Math.max(1, fontIdSet.size)).toFixed(2))),
+          overlap: weightedOverlap,
+          match_basis: matchBasis,
+          confidence: Math.min(0.99, Number((0.45 + weightedOverlap / Math.max(1, fontIdSet.size)).toFixed(2))),
         };
       })
       .filter(Boolean)
@@ -1499,7 +1872,12 @@ function buildEvidenceSuggestions(manifest, scanResult) {
       path: selected.entry.path,
       document_hash: selected.entry.document_hash,
       detected_license: asString(selected.entry.detected_license),
+      spdx_id: asString(selected.entry.license_classification?.spdx_id),
+      eula_terms: isObject(selected.entry.eula_terms) ? selected.entry.eula_terms : null,
       matched_font_ids: Array.isArray(selected.entry.matched_font_ids) ? selected.entry.matched_font_ids : [],
+      adjacent_font_ids: asStringArray(selected.entry.adjacent_font_ids),
+      package_name: asString(selected.entry.package_name),
+      match_basis: selected.match_basis,
       confidence: selected.confidence,
     });
   }
@@ -1519,7 +1897,11 @@ async function handleEvidenceSuggest(cwd, flags) {
 
   const scanResult = await scanProject({
     rootPath: scanRoot,
+    projectRoot,
     manifest,
+    cache: !getBooleanFlag(flags, "no-cache"),
+    writeCache: apply,
+    concurrency: readConcurrencyFlag(flags),
     maxMatchedPathsPerFont: 20,
     maxDiscoveredFiles: 200,
     maxDiscoveredLicenseFiles: 200,
@@ -1545,21 +1927,34 @@ async function handleEvidenceSuggest(cwd, flags) {
   const applied = [];
 
   for (const suggestion of suggestions) {
+    const terms = suggestion.eula_terms;
     const upsertResult = upsertLicenseEvidence(updatedManifest, {
       licenseId: suggestion.license_id,
       type: suggestion.evidence_type,
       documentHash: suggestion.document_hash,
       documentName: path.basename(suggestion.path),
       documentPath: suggestion.path,
+      reference: terms?.order_reference,
+      purchasedAt: terms?.purchased_at,
       notes: `Suggested by evidence suggest (confidence=${suggestion.confidence})`,
     });
-    updatedManifest = upsertResult.manifest;
+    const prefillResult = prefillLicenseInstanceTerms(upsertResult.manifest, {
+      licenseId: suggestion.license_id,
+      metricLimits: terms?.metric_limits,
+      licenseeName: terms?.licensee,
+    });
+    updatedManifest = prefillResult.manifest;
     applied.push({
       license_id: upsertResult.license_id,
       evidence_id: upsertResult.evidence.evidence_id,
       document_hash: upsertResult.evidence.document_hash,
       path: suggestion.path,
       confidence: suggestion.confidence,
+      prefilled_fields: [
+        ...(upsertResult.evidence.reference ? ["evidence.reference"] : []),
+        ...(upsertResult.evidence.purchased_at ? ["evidence.purchased_at"] : []),
+        ...prefillResult.prefilled_fields,
+      ],
     });
   }
 
@@ -1577,6 +1972,7 @@ async function handleEvidenceSuggest(cwd, flags) {
         document_hash: item.document_hash,
         file_path: item.path,
         confidence: item.confidence,
+        prefilled_fields: item.prefilled_fields,
       },
     });
   }
@@ -1900,118 +2296,938 @@ async function handleException(cwd, flags, positionals) {
   throw new Error(`Unknown exception action '${action}'. Supported: add, list, remove`);
 }
 
-async function handlePolicy(cwd, flags, positionals) {
-  const action = positionals[0];
+const METRIC_LIMIT_PATTERN = /^([a-z_]+)=(\d+(?:\.\d+)?)\/([a-z_]+)$/;
 
-  if (action === "presets") {
-    printJson({
-      ok: true,
-      command: "policy",
-      action: "presets",
-      presets: POLICY_PRESETS.map((name) => ({ name })),
-    });
-    return 0;
-  }
+function readOptionalListFlag(flags, key) {
+  return flags[key] === undefined ? undefined : getListFlag(flags, key);
+}
 
-  if (action) {
-    throw new Error(`Unknown policy action '${action}'. Supported: presets`);
+function readMetricLimitFlags(flags) {
+  const values = readOptionalListFlag(flags, "metric-limit");
+  if (values === undefined) {
+    return undefined;
   }
 
+  return values.map((entry) => {
+    const match = METRIC_LIMIT_PATTERN.exec(entry);
+    if (!match) {
+      throw new Error(
+        `Invalid --metric-limit '${entry}'. Expected <metric_type>=<limit>/<period>, e.g. pageviews=100000/per_month.`,
+      );
+    }
+
+    return {
+      metric_type: match[1],
+      limit: Number(match[2]),
+      period: match[3],
+    };
+  });
+}
+
+function readLicenseInstanceFlags(flags) {
+  return {
+    licenseeId: getStringFlag(flags, "licensee-id"),
+    offeringId: getStringFlag(flags, "offering-id"),
+    offeringVersion: getStringFlag(flags, "offering-version"),
+    scopeType: getStringFlag(flags, "scope-type"),
+    scopeId: getStringFlag(flags, "scope-id"),
+    domains: readOptionalListFlag(flags, "domain"),
+    fontIds: readOptionalListFlag(flags, "font-id"),
+    foundryName: getStringFlag(flags, "foundry"),
+    styles: getListFlag(flags, "style"),
+    activatedRightIds: readOptionalListFlag(flags, "right-id"),
+    metricLimits: readMetricLimitFlags(flags),
+    validFrom: getStringFlag(flags, "valid-from"),
+    validUntil: getStringFlag(flags, "valid-until"),
+    renewalDueAt: getStringFlag(flags, "renewal-due-at"),
+    acquisitionSource: getStringFlag(flags, "acquisition-source"),
+    status: getStringFlag(flags, "status"),
+    notes: getStringFlag(flags, "notes"),
+    activate: getBooleanFlag(flags, "activate"),
+  };
+}
+
+function summarizeLicenseInstance(manifest, instance) {
+  const fonts = Array.isArray(manifest.fonts) ? manifest.fonts.filter((entry) => isObject(entry)) : [];
+  const licenseId = asString(instance.license_id);
+
+  return {
+    license_id: licenseId,
+    status: asString(instance.status),
+    licensee_id: asString(instance.licensee_id),
+    offering_id: asString(instance.offering_ref?.offering_id),
+    offering_version: asString(instance.offering_ref?.offering_version),
+    font_ids: (Array.isArray(instance.font_refs) ? instance.font_refs : [])
+      .map((entry) => asString(entry?.font_id))
+      .filter(Boolean),
+    active_for_font_ids: fonts
+      .filter((font) => asString(font.active_license_instance_id) === licenseId)
+      .map((font) => font.font_id),
+    valid_from: asString(instance.valid_from),
+    valid_until: asString(instance.valid_until),
+    renewal_due_at: asString(instance.renewal_due_at),
+    upgrades_from: asString(instance.upgrades_from),
+    evidence_count: Array.isArray(instance.evidence) ? instance.evidence.length : 0,
+  };
+}
+
+async function handleLicenseAdd(cwd, flags) {
   const manifestPath = resolveManifestPathFromFlag(cwd, flags);
-  const { manifest, projectRoot } = await loadManifest({
+  const { manifest, manifestPath: resolvedManifestPath, projectRoot } = await loadManifest({
     cwd,
     manifestPath,
   });
 
-  const preset = getStringFlag(flags, "preset");
-  const basePolicy = evaluatePolicy(manifest);
-  const policy = preset ? applyPolicyPreset(basePolicy, preset) : basePolicy;
+  const input = readLicenseInstanceFlags(flags);
+  if (!input.fontIds || input.fontIds.length === 0) {
+    throw new Error("Missing required option --font-id");
+  }
+  requireStringFlag(flags, "offering-id");
+
+  const { manifest: updatedManifest, ...result } = addLicenseInstanceToManifest(manifest, {
+    ...input,
+    licenseId: getStringFlag(flags, "license-id"),
+  });
+
+  await saveManifest(resolvedManifestPath, updatedManifest);
 
   await appendProjectEvent({
     projectRoot,
-    projectId: getManifestProjectId(manifest),
-    eventType: policy.decision === "allow" ? "policy.ok" : "policy.warning_raised",
+    projectId: getManifestProjectId(updatedManifest),
+    eventType: "manifest.license_instance_added",
     payload: {
-      decision: policy.decision,
-      reasons_count: policy.reasons.length,
-      evidence_required: policy.evidence_required,
-      preset: preset ?? null,
+      license_id: result.license_id,
+      licensee_id: result.instance.licensee_id,
+      offering_ref: result.instance.offering_ref,
+      status: result.instance.status,
+      font_ids: result.instance.font_refs.map((entry) => entry.font_id),
+      linked_font_ids: result.linked_font_ids,
     },
   });
 
-  const format = getOutputFormat(flags);
-  const findings = policyToFindings(policy);
-  if (format === "json") {
-    printJson(policy);
-  } else if (format === "sarif") {
-    printJson(findingsToSarif("policy", findings));
-  } else {
-    printText(findingsToJunit("setzkasten.policy", findings));
-  }
-
-  const failOn = getStringFlag(flags, "fail-on") ?? "escalate";
-  if (failOn === "warn") {
-    return policy.decision === "allow" ? 0 : 2;
-  }
-
-  if (failOn === "escalate") {
-    return policy.decision === "escalate" ? 2 : 0;
-  }
+  printJson({
+    ok: true,
+    command: "license",
+    action: "add",
+    manifest_path: resolvedManifestPath,
+    result,
+  });
 
   return 0;
 }
 
-async function handleQuote(cwd, flags) {
+async function handleLicenseUpdate(cwd, flags) {
   const manifestPath = resolveManifestPathFromFlag(cwd, flags);
-  const { manifest, projectRoot } = await loadManifest({
+  const { manifest, manifestPath: resolvedManifestPath, projectRoot } = await loadManifest({
     cwd,
     manifestPath,
   });
 
-  const quote = generateQuote(manifest);
+  const { manifest: updatedManifest, ...result } = updateLicenseInstanceInManifest(manifest, {
+    ...readLicenseInstanceFlags(flags),
+    licenseId: requireStringFlag(flags, "license-id"),
+  });
+
+  await saveManifest(resolvedManifestPath, updatedManifest);
 
   await appendProjectEvent({
     projectRoot,
-    projectId: getManifestProjectId(manifest),
-    eventType: "quote.generated",
+    projectId: getManifestProjectId(updatedManifest),
+    eventType: "manifest.license_instance_updated",
     payload: {
-      generated_at: quote.generated_at,
-      totals: quote.totals,
-      line_items_count: quote.line_items.length,
-      skipped_count: quote.skipped.length,
-      deterministic_hash: quote.deterministic_hash,
+      license_id: result.license_id,
+      changed_fields: result.changed_fields,
+      status: result.instance.status,
+      linked_font_ids: result.linked_font_ids,
+      unlinked_font_ids: result.unlinked_font_ids,
     },
   });
 
-  printJson(quote);
+  printJson({
+    ok: true,
+    command: "license",
+    action: "update",
+    manifest_path: resolvedManifestPath,
+    result,
+  });
+
   return 0;
 }
 
-async function handleReport(cwd, flags) {
+async function handleLicenseList(cwd, flags) {
   const manifestPath = resolveManifestPathFromFlag(cwd, flags);
-  const { manifest, projectRoot } = await loadManifest({
+  const { manifest } = await loadManifest({
     cwd,
     manifestPath,
   });
 
-  const format = (getStringFlag(flags, "format") ?? "markdown").toLowerCase();
-  if (format !== "json" && format !== "markdown") {
-    throw new Error("--format must be one of: json, markdown");
+  const fontIds = getListFlag(flags, "font-id");
+  const statuses = getListFlag(flags, "status");
+  const licenses = (Array.isArray(manifest.license_instances) ? manifest.license_instances : [])
+    .filter((entry) => isObject(entry))
+    .map((entry) => summarizeLicenseInstance(manifest, entry))
+    .filter((entry) => statuses.length === 0 || statuses.includes(entry.status))
+    .filter((entry) => fontIds.length === 0 || entry.font_ids.some((fontId) => fontIds.includes(fontId)));
+
+  printJson({
+    ok: true,
+    command: "license",
+    action: "list",
+    count: licenses.length,
+    licenses,
+  });
+
+  return 0;
+}
+
+async function handleLicenseShow(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const licenseId = requireStringFlag(flags, "license-id");
+  const instances = Array.isArray(manifest.license_instances)
+    ? manifest.license_instances.filter((entry) => isObject(entry))
+    : [];
+  const instance = instances.find((entry) => asString(entry.license_id) === licenseId);
+
+  if (!instance) {
+    throw new Error(`License instance '${licenseId}' not found in manifest.`);
   }
 
-  const policy = evaluatePolicy(manifest);
-  const quote = generateQuote(manifest);
-  const events = await summarizeEvents(projectRoot);
-  const exceptions = readPolicyExceptions(manifest);
-  const fontSummary = summarizeFonts(manifest);
-  const evidenceSummary = summarizeEvidenceHealth(manifest);
-  const actionItems = summarizeActionItems(manifest);
-  const coverageSummary = summarizeCoverage(fontSummary, evidenceSummary, actionItems);
-  const policyBreakdown = summarizePolicyBreakdown(policy);
-  const ciReadiness = summarizeCiReadiness(policy, policyBreakdown);
+  const linkedFonts = (Array.isArray(manifest.fonts) ? manifest.fonts : [])
+    .filter((font) => isObject(font) && asStringArray(font.license_instance_ids).includes(licenseId))
+    .map((font) => ({
+      font_id: font.font_id,
+      family_name: font.family_name,
+      active: asString(font.active_license_instance_id) === licenseId,
+    }));
 
-  const report = {
-    generated_at: new Date().toISOString(),
+  printJson({
+    ok: true,
+    command: "license",
+    action: "show",
+    summary: summarizeLicenseInstance(manifest, instance),
+    license: instance,
+    linked_fonts: linkedFonts,
+    superseded_by: instances
+      .filter((entry) => asString(entry.upgrades_from) === licenseId)
+      .map((entry) => entry.license_id),
+  });
+
+  return 0;
+}
+
+async function handleLicenseRevoke(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest, manifestPath: resolvedManifestPath, projectRoot } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const reason = getStringFlag(flags, "reason");
+  const { manifest: updatedManifest, ...result } = revokeLicenseInstance(manifest, {
+    licenseId: requireStringFlag(flags, "license-id"),
+    reason,
+  });
+
+  await saveManifest(resolvedManifestPath, updatedManifest);
+
+  await appendProjectEvent({
+    projectRoot,
+    projectId: getManifestProjectId(updatedManifest),
+    eventType: "manifest.license_instance_revoked",
+    payload: {
+      ...result,
+      reason: reason ?? null,
+    },
+  });
+
+  printJson({
+    ok: true,
+    command: "license",
+    action: "revoke",
+    manifest_path: resolvedManifestPath,
+    result,
+  });
+
+  return 0;
+}
+
+async function handleLicenseSupersede(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest, manifestPath: resolvedManifestPath, projectRoot } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const { manifest: updatedManifest, ...result } = supersedeLicenseInstance(manifest, {
+    ...readLicenseInstanceFlags(flags),
+    licenseId: requireStringFlag(flags, "license-id"),
+    newLicenseId: getStringFlag(flags, "new-license-id"),
+  });
+
+  await saveManifest(resolvedManifestPath, updatedManifest);
+
+  await appendProjectEvent({
+    projectRoot,
+    projectId: getManifestProjectId(updatedManifest),
+    eventType: "manifest.license_instance_superseded",
+    payload: {
+      license_id: result.license_id,
+      superseded_license_id: result.superseded_license_id,
+      offering_ref: result.instance.offering_ref,
+      font_ids: result.instance.font_refs.map((entry) => entry.font_id),
+      linked_font_ids: result.linked_font_ids,
+      deactivated_font_ids: result.deactivated_font_ids,
+    },
+  });
+
+  printJson({
+    ok: true,
+    command: "license",
+    action: "supersede",
+    manifest_path: resolvedManifestPath,
+    result,
+  });
+
+  return 0;
+}
+
+async function handleLicense(cwd, flags, positionals) {
+  const action = positionals[0] ?? "list";
+
+  if (action === "add") {
+    return handleLicenseAdd(cwd, flags);
+  }
+
+  if (action === "update") {
+    return handleLicenseUpdate(cwd, flags);
+  }
+
+  if (action === "list") {
+    return handleLicenseList(cwd, flags);
+  }
+
+  if (action === "show") {
+    return handleLicenseShow(cwd, flags);
+  }
+
+  if (action === "revoke") {
+    return handleLicenseRevoke(cwd, flags);
+  }
+
+  if (action === "supersede") {
+    return handleLicenseSupersede(cwd, flags);
+  }
+
+  throw new Error(`Unknown license action '${action}'. Supported: add, update, list, show, revoke, supersede`);
+}
+
+function readLicenseeFlags(flags) {
+  return {
+    type: getStringFlag(flags, "type"),
+    legalName: getStringFlag(flags, "legal-name"),
+    country: getStringFlag(flags, "country"),
+    vatId: getStringFlag(flags, "vat-id"),
+    contactEmail: getStringFlag(flags, "contact-email"),
+  };
+}
+
+async function handleLicenseeAdd(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest, manifestPath: resolvedManifestPath, projectRoot } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const { manifest: updatedManifest, ...result } = addLicenseeToManifest(manifest, {
+    ...readLicenseeFlags(flags),
+    licenseeId: getStringFlag(flags, "licensee-id"),
+    legalName: requireStringFlag(flags, "legal-name"),
+  });
+
+  await saveManifest(resolvedManifestPath, updatedManifest);
+
+  await appendProjectEvent({
+    projectRoot,
+    projectId: getManifestProjectId(updatedManifest),
+    eventType: "manifest.licensee_added",
+    payload: {
+      licensee_id: result.licensee_id,
+      type: result.licensee.type,
+    },
+  });
+
+  printJson({
+    ok: true,
+    command: "licensee",
+    action: "add",
+    manifest_path: resolvedManifestPath,
+    result,
+  });
+
+  return 0;
+}
+
+async function handleLicenseeList(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const instances = Array.isArray(manifest.license_instances)
+    ? manifest.license_instances.filter((entry) => isObject(entry))
+    : [];
+  const licensees = (Array.isArray(manifest.licensees) ? manifest.licensees : [])
+    .filter((entry) => isObject(entry))
+    .map((entry) => ({
+      ...entry,
+      license_ids: instances
+        .filter((instance) => asString(instance.licensee_id) === entry.licensee_id)
+        .map((instance) => instance.license_id),
+    }));
+
+  printJson({
+    ok: true,
+    command: "licensee",
+    action: "list",
+    count: licensees.length,
+    licensees,
+  });
+
+  return 0;
+}
+
+async function handleLicenseeUpdate(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest, manifestPath: resolvedManifestPath, projectRoot } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const { manifest: updatedManifest, ...result } = updateLicenseeInManifest(manifest, {
+    ...readLicenseeFlags(flags),
+    licenseeId: requireStringFlag(flags, "licensee-id"),
+  });
+
+  await saveManifest(resolvedManifestPath, updatedManifest);
+
+  await appendProjectEvent({
+    projectRoot,
+    projectId: getManifestProjectId(updatedManifest),
+    eventType: "manifest.licensee_updated",
+    payload: {
+      licensee_id: result.licensee_id,
+      changed_fields: result.changed_fields,
+      refreshed_license_ids: result.refreshed_license_ids,
+    },
+  });
+
+  printJson({
+    ok: true,
+    command: "licensee",
+    action: "update",
+    manifest_path: resolvedManifestPath,
+    result,
+  });
+
+  return 0;
+}
+
+async function handleLicenseeRemove(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest, manifestPath: resolvedManifestPath, projectRoot } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const licenseeId = requireStringFlag(flags, "licensee-id");
+  const result = removeLicenseeFromManifest(manifest, licenseeId);
+
+  if (!result.removed) {
+    throw new Error(`Licensee '${licenseeId}' not found in manifest.`);
+  }
+
+  await saveManifest(resolvedManifestPath, result.manifest);
+
+  await appendProjectEvent({
+    projectRoot,
+    projectId: getManifestProjectId(result.manifest),
+    eventType: "manifest.licensee_removed",
+    payload: {
+      licensee_id: licenseeId,
+    },
+  });
+
+  printJson({
+    ok: true,
+    command: "licensee",
+    action: "remove",
+    manifest_path: resolvedManifestPath,
+    licensee_id: licenseeId,
+  });
+
+  return 0;
+}
+
+async function handleLicensee(cwd, flags, positionals) {
+  const action = positionals[0] ?? "list";
+
+  if (action === "add") {
+    return handleLicenseeAdd(cwd, flags);
+  }
+
+  if (action === "list") {
+    return handleLicenseeList(cwd, flags);
+  }
+
+  if (action === "update") {
+    return handleLicenseeUpdate(cwd, flags);
+  }
+
+  if (action === "remove") {
+    return handleLicenseeRemove(cwd, flags);
+  }
+
+  throw new Error(`Unknown licensee action '${action}'. Supported: add, list, update, remove`);
+}
+
+function readUsageDefaults(flags) {
+  return {
+    metric_type: getStringFlag(flags, "metric-type"),
+    source: getStringFlag(flags, "source"),
+    license_id: getStringFlag(flags, "license-id"),
+    scope_type: getStringFlag(flags, "scope-type"),
+    scope_id: getStringFlag(flags, "scope-id"),
+    evidence: getStringFlag(flags, "evidence"),
+  };
+}
+
+function detectCsvDelimiter(content) {
+  const headerLine = content.split(/\r?\n/, 1)[0] ?? "";
+  // Spreadsheet exports in many locales separate columns with semicolons.
+  return headerLine.includes(";") && !headerLine.includes(",") ? ";" : ",";
+}
+
+function parseCsvRecords(content, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let index = 0; index < content.length; index += 1) {
+    const char = content[index];
+
+    if (quoted) {
+      if (char === '"' && content[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[index + 1] === "\n") {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((entry) => entry.some((value) => value.trim().length > 0));
+  const columns = header.map((column) => column.trim().toLowerCase());
+
+  return records.map((record) =>
+    Object.fromEntries(columns.map((column, index) => [column, (record[index] ?? "").trim()])),
+  );
+}
+
+function readUsageImportRecords(filePath, content, format) {
+  if (format === "csv") {
+    const delimiter = detectCsvDelimiter(content);
+    // Locales that separate columns with semicolons write decimals with a comma (1.234,5).
+    return { records: parseCsvRecords(content, delimiter), decimalSeparator: delimiter === ";" ? "," : "." };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    throw new Error(`Could not parse usage file ${filePath} as JSON.`);
+  }
+
+  const records = Array.isArray(parsed) ? parsed : (parsed?.usage_observations ?? parsed?.observations);
+  if (!Array.isArray(records)) {
+    throw new Error(`Usage file ${filePath} must contain an array of observations.`);
+  }
+
+  return { records: records.filter((entry) => isObject(entry)), decimalSeparator: "." };
+}
+
+const USAGE_NUMBER_PATTERNS = {
+  ".": /^-?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?$/,
+  ",": /^-?(?:\d{1,3}(?:\.\d{3})+|\d+)(?:,\d+)?$/,
+};
+
+function parseUsageNumber(rawValue, decimalSeparator) {
+  if (typeof rawValue === "number") {
+    return rawValue;
+  }
+
+  const compact = String(rawValue ?? "").replace(/[\s_]/g, "");
+  if (!USAGE_NUMBER_PATTERNS[decimalSeparator].test(compact)) {
+    return Number.NaN;
+  }
+
+  const thousandsSeparator = decimalSeparator === "," ? "." : ",";
+  return Number(compact.split(thousandsSeparator).join("").replace(decimalSeparator, "."));
+}
+
+function toUsageObservationInput(record, defaults, label, decimalSeparator = ".") {
+  const metricType = asString(record.metric_type) || defaults.metric_type;
+  if (!metricType) {
+    throw new Error(`${label}: metric_type is missing; pass --metric-type for single-metric exports.`);
+  }
+
+  // Single-metric analytics exports name the value column after the metric (e.g. date,pageviews).
+  const rawValue = record.value ?? record[metricType];
+  const value = parseUsageNumber(rawValue, decimalSeparator);
+  if (rawValue === undefined || rawValue === "" || !Number.isFinite(value)) {
+    throw new Error(`${label}: value '${rawValue ?? ""}' is not a number.`);
+  }
+
+  return {
+    metric_type: metricType,
+    value,
+    period_start: asString(record.period_start) || asString(record.date),
+    period_end: asString(record.period_end) || asString(record.date),
+    source: asString(record.source) || defaults.source,
+    license_id: asString(record.license_id) || defaults.license_id,
+    scope_type: asString(record.scope_type) || defaults.scope_type,
+    scope_id: asString(record.scope_id) || defaults.scope_id,
+    evidence: asString(record.evidence) || defaults.evidence,
+    observation_id: asString(record.observation_id) ?? undefined,
+  };
+}
+
+async function handleUsageRecord(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest, manifestPath: resolvedManifestPath, projectRoot } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const input = toUsageObservationInput(
+    {
+      metric_type: requireStringFlag(flags, "metric-type"),
+      value: requireStringFlag(flags, "value"),
+      period_start: requireStringFlag(flags, "period-start"),
+      period_end: getStringFlag(flags, "period-end"),
+      observation_id: getStringFlag(flags, "observation-id"),
+    },
+    readUsageDefaults(flags),
+    "usage record",
+  );
+  const { manifest: updatedManifest, ...result } = upsertUsageObservations(manifest, [input]);
+
+  await saveManifest(resolvedManifestPath, updatedManifest);
+
+  await appendProjectEvent({
+    projectRoot,
+    projectId: getManifestProjectId(updatedManifest),
+    eventType: "usage.recorded",
+    payload: {
+      observation_id: result.observations[0].observation_id,
+      metric_type: result.observations[0].metric_type,
+      value: result.observations[0].value,
+      period_start: result.observations[0].period_start,
+      period_end: result.observations[0].period_end,
+      action: result.added_count > 0 ? "added" : "updated",
+    },
+  });
+
+  printJson({
+    ok: true,
+    command: "usage",
+    action: "record",
+    manifest_path: resolvedManifestPath,
+    result,
+  });
+
+  return 0;
+}
+
+async function handleUsageImport(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest, manifestPath: resolvedManifestPath, projectRoot } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const filePath = path.resolve(cwd, requireStringFlag(flags, "file"));
+  const format = (getStringFlag(flags, "format") ?? path.extname(filePath).slice(1)).toLowerCase();
+  if (format !== "csv" && format !== "json") {
+    throw new Error("--format must be one of: csv, json");
+  }
+
+  let content;
+  try {
+    content = await readFile(filePath, "utf8");
+  } catch {
+    throw new Error(`Could not read usage file at ${filePath}.`);
+  }
+
+  const defaults = readUsageDefaults(flags);
+  const { records, decimalSeparator } = readUsageImportRecords(filePath, content, format);
+  const inputs = records.map((record, index) =>
+    toUsageObservationInput(record, defaults, `${path.basename(filePath)} record ${index + 1}`, decimalSeparator),
+  );
+  const { manifest: updatedManifest, ...result } = upsertUsageObservations(manifest, inputs);
+
+  await saveManifest(resolvedManifestPath, updatedManifest);
+
+  await appendProjectEvent({
+    projectRoot,
+    projectId: getManifestProjectId(updatedManifest),
+    eventType: "usage.imported",
+    payload: {
+      file_path: path.relative(projectRoot, filePath),
+      format,
+      records_count: inputs.length,
+      added_count: result.added_count,
+      updated_count: result.updated_count,
+      metric_types: Array.from(new Set(result.observations.map((entry) => entry.metric_type))).sort(),
+    },
+  });
+
+  printJson({
+    ok: true,
+    command: "usage",
+    action: "import",
+    manifest_path: resolvedManifestPath,
+    file_path: filePath,
+    records_count: inputs.length,
+    added_count: result.added_count,
+    updated_count: result.updated_count,
+  });
+
+  return 0;
+}
+
+async function handleUsageList(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const metricTypes = getListFlag(flags, "metric-type");
+  const licenseIds = getListFlag(flags, "license-id");
+  const observations = (Array.isArray(manifest.usage_observations) ? manifest.usage_observations : [])
+    .filter((entry) => isObject(entry))
+    .filter((entry) => metricTypes.length === 0 || metricTypes.includes(entry.metric_type))
+    .filter((entry) => licenseIds.length === 0 || licenseIds.includes(entry.license_id))
+    .sort((left, right) => String(left.period_start).localeCompare(String(right.period_start)));
+  const metricUsage = summarizeMetricUsage(manifest)
+    .filter((entry) => metricTypes.length === 0 || metricTypes.includes(entry.metric_type))
+    .filter((entry) => licenseIds.length === 0 || licenseIds.includes(entry.license_id));
+
+  printJson({
+    ok: true,
+    command: "usage",
+    action: "list",
+    count: observations.length,
+    observations,
+    metric_usage: metricUsage,
+  });
+
+  return 0;
+}
+
+async function handleUsage(cwd, flags, positionals) {
+  const action = positionals[0] ?? "list";
+
+  if (action === "record") {
+    return handleUsageRecord(cwd, flags);
+  }
+
+  if (action === "import") {
+    return handleUsageImport(cwd, flags);
+  }
+
+  if (action === "list") {
+    return handleUsageList(cwd, flags);
+  }
+
+  throw new Error(`Unknown usage action '${action}'. Supported: record, import, list`);
+}
+
+function readPolicyOptions(flags) {
+  const options = {};
+  const now = getStringFlag(flags, "now");
+  if (now !== undefined) {
+    if (Number.isNaN(Date.parse(now))) {
+      throw new Error("--now must be an ISO date-time.");
+    }
+    options.now = new Date(now);
+  }
+
+  const horizonInput = getStringFlag(flags, "expiry-horizon-days");
+  if (horizonInput !== undefined) {
+    const horizonDays = Number(horizonInput);
+    if (!Number.isInteger(horizonDays) || horizonDays < 0) {
+      throw new Error("--expiry-horizon-days must be a non-negative integer.");
+    }
+    options.expiryHorizonDays = horizonDays;
+  }
+
+  const ratioInput = getStringFlag(flags, "metric-warning-ratio");
+  if (ratioInput !== undefined) {
+    const ratio = Number(ratioInput);
+    if (!(ratio > 0 && ratio <= 1)) {
+      throw new Error("--metric-warning-ratio must be a number greater than 0 and at most 1.");
+    }
+    options.metricWarningRatio = ratio;
+  }
+
+  return options;
+}
+
+async function handlePolicy(cwd, flags, positionals) {
+  const action = positionals[0];
+
+  if (action === "presets") {
+    printJson({
+      ok: true,
+      command: "policy",
+      action: "presets",
+      presets: POLICY_PRESETS.map((name) => ({ name })),
+    });
+    return 0;
+  }
+
+  if (action) {
+    throw new Error(`Unknown policy action '${action}'. Supported: presets`);
+  }
+
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest, projectRoot } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const preset = getStringFlag(flags, "preset");
+  const basePolicy = evaluatePolicy(manifest, readPolicyOptions(flags));
+  const policy = preset ? applyPolicyPreset(basePolicy, preset) : basePolicy;
+
+  await appendProjectEvent({
+    projectRoot,
+    projectId: getManifestProjectId(manifest),
+    eventType: policy.decision === "allow" ? "policy.ok" : "policy.warning_raised",
+    payload: {
+      decision: policy.decision,
+      reasons_count: policy.reasons.length,
+      evidence_required: policy.evidence_required,
+      preset: preset ?? null,
+    },
+  });
+
+  const format = getOutputFormat(flags);
+  const findings = policyToFindings(policy);
+  if (format === "json") {
+    printJson(policy);
+  } else if (format === "sarif") {
+    printJson(findingsToSarif("policy", findings));
+  } else {
+    printText(findingsToJunit("setzkasten.policy", findings));
+  }
+
+  const failOn = getStringFlag(flags, "fail-on") ?? "escalate";
+  if (failOn === "warn") {
+    return policy.decision === "allow" ? 0 : 2;
+  }
+
+  if (failOn === "escalate") {
+    return policy.decision === "escalate" ? 2 : 0;
+  }
+
+  return 0;
+}
+
+async function handleQuote(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest, projectRoot } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const quote = generateQuote(manifest);
+
+  await appendProjectEvent({
+    projectRoot,
+    projectId: getManifestProjectId(manifest),
+    eventType: "quote.generated",
+    payload: {
+      generated_at: quote.generated_at,
+      totals: quote.totals,
+      line_items_count: quote.line_items.length,
+      skipped_count: quote.skipped.length,
+      deterministic_hash: quote.deterministic_hash,
+    },
+  });
+
+  printJson(quote);
+  return 0;
+}
+
+async function handleReport(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest, projectRoot } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const format = (getStringFlag(flags, "format") ?? "markdown").toLowerCase();
+  if (format !== "json" && format !== "markdown") {
+    throw new Error("--format must be one of: json, markdown");
+  }
+
+  const policy = evaluatePolicy(manifest, readPolicyOptions(flags));
+  const quote = generateQuote(manifest);
+  const events = await summarizeEvents(projectRoot);
+  const exceptions = readPolicyExceptions(manifest);
+  const fontSummary = summarizeFonts(manifest);
+  const evidenceSummary = summarizeEvidenceHealth(manifest);
+  const actionItems = summarizeActionItems(manifest);
+  const coverageSummary = summarizeCoverage(fontSummary, evidenceSummary, actionItems);
+  const policyBreakdown = summarizePolicyBreakdown(policy);
+  const ciReadiness = summarizeCiReadiness(policy, policyBreakdown);
+
+  const report = {
+    generated_at: new Date().toISOString(),
     manifest_version: asString(manifest.manifest_version) ?? "unknown",
     project: {
       project_id: asString(manifest?.project?.project_id) ?? "unknown_project",
@@ -2116,7 +3332,7 @@ async function handleSyncExport(cwd, flags) {
     ? outputInput
     : path.resolve(projectRoot, outputInput);
 
-  const policy = evaluatePolicy(manifest);
+  const policy = evaluatePolicy(manifest, readPolicyOptions(flags));
   const quote = generateQuote(manifest);
 
   const baseSnapshot = {
@@ -2180,6 +3396,259 @@ async function handleSync(cwd, flags, positionals) {
   throw new Error(`Unknown sync action '${action}'. Supported: export`);
 }
 
+const PRUNE_RULES = ["unused_font", "unreferenced_font", "orphaned_license_instance"];
+const DEFAULT_PRUNE_RULES = ["unused_font", "orphaned_license_instance"];
+
+function readPruneRules(flags) {
+  const rules = getListFlag(flags, "rule");
+  if (rules.length === 0) {
+    return DEFAULT_PRUNE_RULES;
+  }
+
+  const unknown = rules.find((rule) => !PRUNE_RULES.includes(rule));
+  if (unknown) {
+    throw new Error(`Unknown prune rule '${unknown}'. Supported rules: ${PRUNE_RULES.join(", ")}.`);
+  }
+
+  return Array.from(new Set(rules));
+}
+
+function readMaxRemovalsFlag(flags) {
+  const input = getStringFlag(flags, "max-removals");
+  if (input === undefined) {
+    return null;
+  }
+
+  const maxRemovals = Number(input);
+  if (!Number.isInteger(maxRemovals) || maxRemovals < 0) {
+    throw new Error("--max-removals must be a non-negative integer.");
+  }
+
+  return maxRemovals;
+}
+
+function collectDiscoveredFontIds(scanResult) {
+  const fontIds = new Set();
+  const sources = [
+    scanResult.discovered_font_files,
+    scanResult.discovered_font_services,
+    scanResult.discovered_font_packages,
+    scanResult.app_fonts,
+  ];
+
+  for (const entries of sources) {
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      for (const fontId of asStringArray(entry?.matched_font_ids)) {
+        fontIds.add(fontId);
+      }
+    }
+  }
+
+  return fontIds;
+}
+
+function buildPrunePlan(manifest, manifestPath, scanResult, rules, keepFontIds) {
+  const fonts = Array.isArray(manifest.fonts) ? manifest.fonts.filter(isObject) : [];
+  const instances = Array.isArray(manifest.license_instances) ? manifest.license_instances.filter(isObject) : [];
+  const discoveredFontIds = collectDiscoveredFontIds(scanResult);
+  const prunedFonts = [];
+
+  for (const font of fonts) {
+    const fontId = asString(font.font_id);
+    if (!fontId || keepFontIds.has(fontId)) {
+      continue;
+    }
+
+    // The manifest and its backups name every font; they are not usage.
+    const usageMatchCount = asStringArray(scanResult.font_matches?.[fontId]?.matched_paths).filter((matchedPath) => {
+      const absolutePath = path.resolve(scanResult.root_path, matchedPath);
+      return absolutePath !== manifestPath && !absolutePath.startsWith(`${manifestPath}.backup-`);
+    }).length;
+    const hasDiscoveredFile = discoveredFontIds.has(fontId);
+    let rule = null;
+    if (rules.includes("unused_font") && usageMatchCount === 0 && !hasDiscoveredFile) {
+      rule = "unused_font";
+    } else if (rules.includes("unreferenced_font") && usageMatchCount === 0) {
+      rule = "unreferenced_font";
+    }
+
+    if (rule) {
+      prunedFonts.push({
+        font_id: fontId,
+        family_name: asString(font.family_name),
+        rule,
+        usage_match_count: usageMatchCount,
+        has_discovered_file: hasDiscoveredFile,
+      });
+    }
+  }
+
+  const prunedFontIds = new Set(prunedFonts.map((entry) => entry.font_id));
+  const remainingFonts = fonts.filter((font) => !prunedFontIds.has(font.font_id));
+  const linkedLicenseIds = new Set(
+    remainingFonts.flatMap((font) => [
+      ...asStringArray(font.license_instance_ids),
+      ...(asString(font.active_license_instance_id) ? [font.active_license_instance_id] : []),
+    ]),
+  );
+  const remainingFontIds = new Set(remainingFonts.map((font) => font.font_id));
+  const prunedInstances = [];
+
+  if (rules.includes("orphaned_license_instance")) {
+    for (const instance of instances) {
+      const licenseId = asString(instance.license_id);
+      const fontIds = (Array.isArray(instance.font_refs) ? instance.font_refs : [])
+        .map((ref) => (isObject(ref) ? asString(ref.font_id) : null))
+        .filter((fontId) => typeof fontId === "string");
+      if (!licenseId || linkedLicenseIds.has(licenseId) || fontIds.some((fontId) => remainingFontIds.has(fontId))) {
+        continue;
+      }
+
+      prunedInstances.push({ license_id: licenseId, rule: "orphaned_license_instance", font_ids: fontIds });
+    }
+  }
+
+  // An instance that a kept instance upgraded from documents the purchase history.
+  const prunedLicenseIds = new Set(prunedInstances.map((entry) => entry.license_id));
+  const upgradedFromIds = new Set(
+    instances
+      .filter((instance) => !prunedLicenseIds.has(instance.license_id))
+      .map((instance) => asString(instance.upgrades_from))
+      .filter(Boolean),
+  );
+
+  return {
+    fonts: prunedFonts,
+    license_instances: prunedInstances.filter((entry) => !upgradedFromIds.has(entry.license_id)),
+  };
+}
+
+async function handlePrune(cwd, flags) {
+  const manifestPath = resolveManifestPathFromFlag(cwd, flags);
+  const { manifest, manifestPath: resolvedManifestPath, projectRoot } = await loadManifest({
+    cwd,
+    manifestPath,
+  });
+
+  const scanRoot = path.resolve(cwd, getStringFlag(flags, "path") ?? projectRoot);
+  const apply = getBooleanFlag(flags, "apply");
+  const rules = readPruneRules(flags);
+  const keepFontIds = new Set(getListFlag(flags, "keep"));
+  const maxRemovals = readMaxRemovalsFlag(flags);
+
+  const scanResult = await scanProject({
+    rootPath: scanRoot,
+    projectRoot,
+    manifest,
+    cache: !getBooleanFlag(flags, "no-cache"),
+    writeCache: apply,
+    concurrency: readConcurrencyFlag(flags),
+    maxMatchedPathsPerFont: Number.MAX_SAFE_INTEGER,
+    maxDiscoveredFiles: Number.MAX_SAFE_INTEGER,
+    maxDiscoveredLicenseFiles: 0,
+    discover: true,
+  });
+
+  const plan = buildPrunePlan(manifest, resolvedManifestPath, scanResult, rules, keepFontIds);
+  const removalsCount = plan.fonts.length + plan.license_instances.length;
+  const prunePlan = {
+    dry_run: !apply,
+    rules,
+    kept_font_ids: Array.from(keepFontIds).sort((a, b) => a.localeCompare(b)),
+    max_removals: maxRemovals,
+    removals_count: removalsCount,
+    exceeds_max_removals: maxRemovals !== null && removalsCount > maxRemovals,
+    fonts: plan.fonts,
+    license_instances: plan.license_instances,
+  };
+
+  if (!apply) {
+    await appendProjectEvent({
+      projectRoot,
+      projectId: getManifestProjectId(manifest),
+      eventType: "prune.planned",
+      payload: { root_path: scanResult.root_path, ...prunePlan },
+    });
+
+    printJson({
+      ok: true,
+      command: "prune",
+      manifest_path: resolvedManifestPath,
+      root_path: scanResult.root_path,
+      prune: prunePlan,
+    });
+    return 0;
+  }
+
+  if (prunePlan.exceeds_max_removals) {
+    throw new Error(
+      `Prune plan removes ${removalsCount} entries, more than --max-removals ${maxRemovals}. ` +
+        "Review the dry-run plan or raise the limit.",
+    );
+  }
+
+  let nextManifest = manifest;
+  for (const entry of plan.fonts) {
+    nextManifest = removeFontFromManifest(nextManifest, entry.font_id).manifest;
+  }
+  for (const entry of plan.license_instances) {
+    nextManifest = removeLicenseInstanceFromManifest(nextManifest, entry.license_id).manifest;
+  }
+
+  let backupPath = null;
+  if (removalsCount > 0) {
+    backupPath = `${resolvedManifestPath}.backup-${Date.now()}.json`;
+    await writeFile(backupPath, `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+    await saveManifest(resolvedManifestPath, nextManifest);
+  }
+
+  const projectId = getManifestProjectId(nextManifest);
+  for (const entry of plan.fonts) {
+    await appendProjectEvent({
+      projectRoot,
+      projectId,
+      eventType: "manifest.font_pruned",
+      payload: entry,
+    });
+  }
+
+  for (const entry of plan.license_instances) {
+    await appendProjectEvent({
+      projectRoot,
+      projectId,
+      eventType: "manifest.license_instance_pruned",
+      payload: entry,
+    });
+  }
+
+  await appendProjectEvent({
+    projectRoot,
+    projectId,
+    eventType: "prune.completed",
+    payload: {
+      root_path: scanResult.root_path,
+      rules,
+      pruned_fonts_count: plan.fonts.length,
+      pruned_license_instances_count: plan.license_instances.length,
+      backup_path: backupPath,
+    },
+  });
+
+  printJson({
+    ok: true,
+    command: "prune",
+    manifest_path: resolvedManifestPath,
+    root_path: scanResult.root_path,
+    prune: {
+      ...prunePlan,
+      applied: true,
+      backup_path: backupPath,
+    },
+  });
+
+  return 0;
+}
+
 async function handleMigrate(cwd, flags) {
   const providedManifestPath = resolveManifestPathFromFlag(cwd, flags);
   const resolvedManifestPath = providedManifestPath ?? findUp(MANIFEST_FILENAME, cwd);
@@ -2338,6 +3807,12 @@ export async function runCli(argv = process.argv.slice(2), cwd = process.cwd())
       return handleEvidence(cwd, parsed.flags, parsed.positionals);
     case "exception":
       return handleException(cwd, parsed.flags, parsed.positionals);
+    case "license":
+      return handleLicense(cwd, parsed.flags, parsed.positionals);
+    case "licensee":
+      return handleLicensee(cwd, parsed.flags, parsed.positionals);
+    case "usage":
+      return handleUsage(cwd, parsed.flags, parsed.positionals);
     case "policy":
       return handlePolicy(cwd, parsed.flags, parsed.positionals);
     case "report":
@@ -2346,6 +3821,8 @@ export async function runCli(argv = process.argv.slice(2), cwd = process.cwd())
       return handleSync(cwd, parsed.flags, parsed.positionals);
     case "quote":
       return handleQuote(cwd, parsed.flags);
+    case "prune":
+      return handlePrune(cwd, parsed.flags);
     case "migrate":
       return handleMigrate(cwd, parsed.flags);
     default:
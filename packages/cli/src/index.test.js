@@ -1,5 +1,5 @@
 import assert from "node:assert/strict";
-import { mkdirSync, mkdtempSync, readFileSync, rmSync, symlinkSync, writeFileSync } from "node:fs";
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, symlinkSync, writeFileSync } from "node:fs";
 import os from "node:os";
 import path from "node:path";
 import { spawnSync } from "node:child_process";
@@ -15,6 +15,37 @@ function runCli(entryPath, args, options = {}) {
   });
 }
 
+function buildTestFont(names) {
+  const records = Object.entries(names).map(([nameId, value]) => ({
+    nameId: Number(nameId),
+    bytes: Buffer.from(value, "utf16le").swap16(),
+  }));
+  const nameHeader = Buffer.alloc(6 + records.length * 12);
+  nameHeader.writeUInt16BE(records.length, 2);
+  nameHeader.writeUInt16BE(nameHeader.length, 4);
+
+  let stringOffset = 0;
+  records.forEach((record, index) => {
+    const recordOffset = 6 + index * 12;
+    nameHeader.writeUInt16BE(3, recordOffset);
+    nameHeader.writeUInt16BE(1, recordOffset + 2);
+    nameHeader.writeUInt16BE(0x0409, recordOffset + 4);
+    nameHeader.writeUInt16BE(record.nameId, recordOffset + 6);
+    nameHeader.writeUInt16BE(record.bytes.length, recordOffset + 8);
+    nameHeader.writeUInt16BE(stringOffset, recordOffset + 10);
+    stringOffset += record.bytes.length;
+  });
+  const nameTable = Buffer.concat([nameHeader, ...records.map((record) => record.bytes)]);
+
+  const header = Buffer.alloc(28);
+  header.writeUInt32BE(0x00010000, 0);
+  header.writeUInt16BE(1, 4);
+  header.write("name", 12, "latin1");
+  header.writeUInt32BE(header.length, 20);
+  header.writeUInt32BE(nameTable.length, 24);
+  return Buffer.concat([header, nameTable]);
+}
+
 test("runs and prints help when invoked directly", () => {
   const result = runCli(scriptPath, ["--help"]);
 
@@ -60,6 +91,65 @@ test("scan --discover prints discovered font files", () => {
   );
 });
 
+test("scan --concurrency validates its value and reports cache statistics", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-concurrency-"));
+  writeFileSync(path.join(tempDir, "styles.css"), "body { font-family: Inter; }\n");
+
+  const initResult = runCli(scriptPath, ["init", "--name", "Concurrency Demo"], { cwd: tempDir });
+  assert.equal(initResult.status, 0);
+
+  const cachePath = path.join(tempDir, ".setzkasten", "cache", "scan-cache.json");
+  const invalidResult = runCli(scriptPath, ["scan", "--concurrency", "0"], { cwd: tempDir });
+  const importDryRunResult = runCli(scriptPath, ["import"], { cwd: tempDir });
+  const cacheAfterDryRun = existsSync(cachePath);
+  const scanResult = runCli(scriptPath, ["scan", "--concurrency", "2"], { cwd: tempDir });
+  const cacheAfterScan = existsSync(cachePath);
+  const noCacheResult = runCli(scriptPath, ["scan", "--no-cache"], { cwd: tempDir });
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(importDryRunResult.status, 0);
+  assert.equal(cacheAfterDryRun, false);
+  assert.equal(cacheAfterScan, true);
+  assert.notEqual(invalidResult.status, 0);
+  assert.match(invalidResult.stderr, /--concurrency must be a positive integer/);
+  assert.equal(scanResult.status, 0);
+  assert.equal(JSON.parse(scanResult.stdout).result.cache.enabled, true);
+  assert.deepEqual(JSON.parse(noCacheResult.stdout).result.cache, { enabled: false });
+});
+
+test("scan --since reports git SHAs and leaves the manifest untouched", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-since-"));
+  const git = (...args) =>
+    spawnSync("git", ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args], {
+      cwd: tempDir,
+      encoding: "utf8",
+    });
+  if (git("--version").status !== 0) {
+    rmSync(tempDir, { recursive: true, force: true });
+    return;
+  }
+
+  const initResult = runCli(scriptPath, ["init", "--name", "Since Demo"], { cwd: tempDir });
+  assert.equal(initResult.status, 0);
+  git("init", "-q", "-b", "main");
+  git("add", "-A");
+  git("commit", "-q", "-m", "base");
+  writeFileSync(path.join(tempDir, "styles.css"), "body { font-family: Inter; }\n");
+
+  const manifestBefore = readFileSync(path.join(tempDir, "LICENSE_MANIFEST.json"), "utf8");
+  const scanResult = runCli(scriptPath, ["scan", "--since", "main"], { cwd: tempDir });
+  const manifestAfter = readFileSync(path.join(tempDir, "LICENSE_MANIFEST.json"), "utf8");
+  const headSha = git("rev-parse", "HEAD").stdout.trim();
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(scanResult.status, 0, scanResult.stderr);
+  const parsed = JSON.parse(scanResult.stdout);
+  assert.equal(parsed.manifest_updated, false);
+  assert.equal(parsed.result.since.head_sha, headSha);
+  assert.equal(parsed.result.since.changed_files_count, 1);
+  assert.equal(manifestAfter, manifestBefore);
+});
+
 test("scan --discover excludes bundler LICENSE artifacts like cp.js.LICENSE.txt", () => {
   const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-discover-noise-"));
   mkdirSync(path.join(tempDir, "web", "cpresources", "41d0a100"), { recursive: true });
@@ -174,6 +264,296 @@ test("policy strict preset escalates warnings", () => {
   assert.equal(strictParsed.preset_applied, "strict");
 });
 
+test("policy --now and --expiry-horizon-days evaluate license validity windows", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-policy-validity-"));
+  assert.equal(runCli(scriptPath, ["init", "--name", "Validity Demo"], { cwd: tempDir }).status, 0);
+  assert.equal(
+    runCli(scriptPath, ["add", "--font-id", "brand", "--family", "Brand Sans", "--source", "oss"], { cwd: tempDir })
+      .status,
+    0,
+  );
+  const addLicense = runCli(
+    scriptPath,
+    [
+      "license",
+      "add",
+      "--font-id",
+      "brand",
+      "--offering-id",
+      "foundry.web",
+      "--offering-version",
+      "1.0.0",
+      "--right-id",
+      "r.web",
+      "--valid-until",
+      "2026-07-01T00:00:00Z",
+      "--renewal-due-at",
+      "2026-06-01T00:00:00Z",
+    ],
+    { cwd: tempDir },
+  );
+  assert.equal(addLicense.status, 0, addLicense.stderr);
+
+  const renewalDue = runCli(scriptPath, ["policy", "--now", "2026-05-20T00:00:00Z"], { cwd: tempDir });
+  const outsideHorizon = runCli(
+    scriptPath,
+    ["policy", "--now", "2026-05-20T00:00:00Z", "--expiry-horizon-days", "7"],
+    { cwd: tempDir },
+  );
+  const expired = runCli(scriptPath, ["policy", "--now", "2026-07-02T00:00:00Z"], { cwd: tempDir });
+  const invalidHorizon = runCli(scriptPath, ["policy", "--expiry-horizon-days", "-1"], { cwd: tempDir });
+  rmSync(tempDir, { recursive: true, force: true });
+
+  const renewalReason = JSON.parse(renewalDue.stdout).reasons.find((entry) => entry.code === "LICENSE_EXPIRING_SOON");
+  assert.equal(renewalReason.context.due_field, "renewal_due_at");
+  assert.equal(renewalReason.context.days_remaining, 12);
+  assert.ok(!JSON.parse(outsideHorizon.stdout).reasons.some((entry) => entry.code === "LICENSE_EXPIRING_SOON"));
+  const expiredParsed = JSON.parse(expired.stdout);
+  assert.equal(expiredParsed.decision, "escalate");
+  assert.ok(expiredParsed.reasons.some((entry) => entry.code === "LICENSE_EXPIRED"));
+  assert.notEqual(invalidHorizon.status, 0);
+  assert.match(invalidHorizon.stderr, /--expiry-horizon-days must be a non-negative integer/);
+});
+
+test("policy escalates agency licenses scoped to a different client than the project", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-policy-agency-"));
+  const init = runCli(
+    scriptPath,
+    ["init", "--name", "Agency Demo", "--licensee-type", "agency", "--client-id", "client_alpha"],
+    { cwd: tempDir },
+  );
+  assert.equal(init.status, 0, init.stderr);
+  assert.equal(
+    runCli(scriptPath, ["add", "--font-id", "brand", "--family", "Brand Sans", "--source", "oss"], { cwd: tempDir })
+      .status,
+    0,
+  );
+  const addLicense = runCli(
+    scriptPath,
+    [
+      "license",
+      "add",
+      "--font-id",
+      "brand",
+      "--offering-id",
+      "foundry.web",
+      "--offering-version",
+      "1.0.0",
+      "--right-id",
+      "r.web",
+      "--scope-type",
+      "client",
+      "--scope-id",
+      "client_beta",
+    ],
+    { cwd: tempDir },
+  );
+  assert.equal(addLicense.status, 0, addLicense.stderr);
+  const licenseId = JSON.parse(addLicense.stdout).result.license_id;
+
+  const mismatch = runCli(scriptPath, ["policy"], { cwd: tempDir });
+  const updateScope = runCli(scriptPath, ["license", "update", "--license-id", licenseId, "--scope-id", "client_alpha"], {
+    cwd: tempDir,
+  });
+  const matching = runCli(scriptPath, ["policy"], { cwd: tempDir });
+  const manifest = JSON.parse(readFileSync(path.join(tempDir, "LICENSE_MANIFEST.json"), "utf8"));
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(manifest.project.client_work, true);
+  assert.equal(manifest.project.client_id, "client_alpha");
+  const mismatchParsed = JSON.parse(mismatch.stdout);
+  const reason = mismatchParsed.reasons.find((entry) => entry.code === "AGENCY_LICENSE_CLIENT_MISMATCH");
+  assert.equal(mismatchParsed.decision, "escalate");
+  assert.equal(reason.context.scope_client_id, "client_beta");
+  assert.ok(mismatchParsed.evidence_required.includes("license_instances[].evidence[] (license transfer)"));
+  assert.equal(updateScope.status, 0, updateScope.stderr);
+  assert.ok(!JSON.parse(matching.stdout).reasons.some((entry) => entry.code === "AGENCY_LICENSE_CLIENT_MISMATCH"));
+});
+
+test("policy checks app contexts detected by scan --discover against media_app", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-policy-app-"));
+  const fontDir = path.join(tempDir, "android", "app", "src", "main", "res", "font");
+  mkdirSync(fontDir, { recursive: true });
+  writeFileSync(path.join(fontDir, "brand_sans.ttf"), "font-binary");
+
+  assert.equal(runCli(scriptPath, ["init", "--name", "App Context Demo"], { cwd: tempDir }).status, 0);
+  const manifestPath = path.join(tempDir, "LICENSE_MANIFEST.json");
+  const manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+  manifest.fonts = [
+    {
+      font_id: "brand-sans",
+      family_name: "Brand Sans",
+      source: { type: "byo" },
+      license_instance_ids: ["lic_brand"],
+      active_license_instance_id: "lic_brand",
+      usage: { contexts: ["web"] },
+    },
+  ];
+  manifest.license_offerings = [
+    {
+      kind: "offering",
+      offering_id: "off_brand",
+      offering_version: "1.0.0",
+      offering_type: "commercial",
+      name: "Brand Sans Web",
+      rights: [{ right_id: "r_web", right_type: "media_web", allowed: true }],
+      metric_models: [],
+      price_formula: { currency: "EUR", base_price: 10 },
+    },
+  ];
+  manifest.license_instances = [
+    {
+      kind: "instance",
+      license_id: "lic_brand",
+      licensee_id: manifest.licensees[0].licensee_id,
+      offering_ref: { offering_id: "off_brand", offering_version: "1.0.0" },
+      scope: { scope_type: "project", scope_id: manifest.project.project_id },
+      font_refs: [{ font_id: "brand-sans", family_name: "Brand Sans" }],
+      activated_right_ids: ["r_web"],
+      status: "active",
+      evidence: [],
+      acquisition_source: "direct_foundry",
+    },
+  ];
+  writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+
+  const beforeScan = runCli(scriptPath, ["policy"], { cwd: tempDir });
+  const scanResult = runCli(scriptPath, ["scan", "--discover"], { cwd: tempDir });
+  const afterScan = runCli(scriptPath, ["policy"], { cwd: tempDir });
+  const scannedFont = JSON.parse(readFileSync(manifestPath, "utf8")).fonts[0];
+  rmSync(tempDir, { recursive: true, force: true });
+
+  const contextReasons = (result) =>
+    JSON.parse(result.stdout).reasons.filter((entry) => entry.code === "CONTEXT_NOT_LICENSED");
+  assert.equal(beforeScan.status, 0, beforeScan.stderr);
+  assert.deepEqual(contextReasons(beforeScan), []);
+  assert.equal(scanResult.status, 0, scanResult.stderr);
+  assert.deepEqual(scannedFont.usage.contexts, ["web"]);
+  assert.equal(afterScan.status, 2);
+  assert.deepEqual(
+    contextReasons(afterScan).map((entry) => [entry.context.usage_context, entry.context.problem]),
+    [["app", "not_in_offering"]],
+  );
+});
+
+test("usage record/import/list stores observations that policy compares with metric limits", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-usage-"));
+  assert.equal(runCli(scriptPath, ["init", "--name", "Usage Demo"], { cwd: tempDir }).status, 0);
+  assert.equal(
+    runCli(scriptPath, ["add", "--font-id", "brand", "--family", "Brand Sans", "--source", "oss"], { cwd: tempDir })
+      .status,
+    0,
+  );
+  const addLicense = runCli(
+    scriptPath,
+    [
+      "license",
+      "add",
+      "--font-id",
+      "brand",
+      "--offering-id",
+      "foundry.web",
+      "--offering-version",
+      "1.0.0",
+      "--right-id",
+      "r.web",
+      "--metric-limit",
+      "pageviews=100000/per_month,seats=3/lifetime",
+    ],
+    { cwd: tempDir },
+  );
+  assert.equal(addLicense.status, 0, addLicense.stderr);
+
+  writeFileSync(
+    path.join(tempDir, "analytics.csv"),
+    "date;pageviews\n2026-09-01;30000\n2026-09-02;\"25 000\"\n2026-09-03;30000\n",
+    "utf8",
+  );
+  const importUsage = runCli(
+    scriptPath,
+    ["usage", "import", "--file", "analytics.csv", "--metric-type", "pageviews", "--source", "analytics"],
+    { cwd: tempDir },
+  );
+  assert.equal(importUsage.status, 0, importUsage.stderr);
+  assert.equal(JSON.parse(importUsage.stdout).added_count, 3);
+
+  const reimport = runCli(
+    scriptPath,
+    ["usage", "import", "--file", "analytics.csv", "--metric-type", "pageviews", "--source", "analytics"],
+    { cwd: tempDir },
+  );
+  assert.equal(JSON.parse(reimport.stdout).updated_count, 3);
+
+  const warnPolicy = runCli(scriptPath, ["policy"], { cwd: tempDir });
+  const approaching = JSON.parse(warnPolicy.stdout).reasons.find((entry) => entry.code === "METRIC_LIMIT_APPROACHING");
+  assert.equal(approaching.context.value, 85000);
+  assert.equal(approaching.context.period_key, "2026-09");
+
+  const recordSeats = runCli(
+    scriptPath,
+    ["usage", "record", "--metric-type", "seats", "--value", "4", "--period-start", "2026-10-01"],
+    { cwd: tempDir },
+  );
+  assert.equal(recordSeats.status, 0, recordSeats.stderr);
+
+  const invalidValue = runCli(
+    scriptPath,
+    ["usage", "record", "--metric-type", "seats", "--value", "many", "--period-start", "2026-10-01"],
+    { cwd: tempDir },
+  );
+  assert.notEqual(invalidValue.status, 0);
+  assert.match(invalidValue.stderr, /value 'many' is not a number/);
+
+  const listUsage = runCli(scriptPath, ["usage", "list", "--metric-type", "seats"], { cwd: tempDir });
+  const escalatePolicy = runCli(scriptPath, ["policy"], { cwd: tempDir });
+  const eventTypes = readFileSync(path.join(tempDir, ".setzkasten", "events.log"), "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line).event_type);
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(listUsage.status, 0);
+  const listed = JSON.parse(listUsage.stdout);
+  assert.equal(listed.count, 1);
+  assert.equal(listed.metric_usage[0].ratio, 1.333);
+
+  const escalated = JSON.parse(escalatePolicy.stdout);
+  assert.equal(escalated.decision, "escalate");
+  assert.ok(escalated.reasons.some((entry) => entry.code === "METRIC_LIMIT_EXCEEDED"));
+  assert.ok(eventTypes.includes("usage.imported"));
+  assert.ok(eventTypes.includes("usage.recorded"));
+});
+
+test("usage import parses thousands and decimal separators to match the CSV delimiter", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-usage-numbers-"));
+  assert.equal(runCli(scriptPath, ["init", "--name", "Usage Numbers Demo"], { cwd: tempDir }).status, 0);
+
+  writeFileSync(path.join(tempDir, "de.csv"), "date;pageviews\n2026-09-01;1.234\n2026-09-02;2.500,5\n", "utf8");
+  writeFileSync(path.join(tempDir, "en.csv"), 'date,pageviews\n2026-10-01,"1,234"\n2026-10-02,2500.5\n', "utf8");
+  writeFileSync(path.join(tempDir, "ambiguous.csv"), "date;pageviews\n2026-11-01;1.5\n", "utf8");
+
+  const importArgs = ["usage", "import", "--metric-type", "pageviews", "--file"];
+  const german = runCli(scriptPath, [...importArgs, "de.csv"], { cwd: tempDir });
+  const english = runCli(scriptPath, [...importArgs, "en.csv"], { cwd: tempDir });
+  const ambiguous = runCli(scriptPath, [...importArgs, "ambiguous.csv"], { cwd: tempDir });
+  const listUsage = runCli(scriptPath, ["usage", "list"], { cwd: tempDir });
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(german.status, 0, german.stderr);
+  assert.equal(english.status, 0, english.stderr);
+  assert.notEqual(ambiguous.status, 0);
+  assert.match(ambiguous.stderr, /value '1\.5' is not a number/);
+  assert.deepEqual(
+    JSON.parse(listUsage.stdout).observations.map((entry) => [entry.period_start, entry.value]),
+    [
+      ["2026-09-01", 1234],
+      ["2026-09-02", 2500.5],
+      ["2026-10-01", 1234],
+      ["2026-10-02", 2500.5],
+    ],
+  );
+});
+
 test("exception add/list/remove controls policy suppression", () => {
   const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-exception-"));
   const initResult = runCli(scriptPath, ["init", "--name", "Exception Demo"], { cwd: tempDir });
@@ -232,6 +612,234 @@ test("exception add/list/remove controls policy suppression", () => {
   assert.equal(JSON.parse(afterPolicy.stdout).decision, "warn");
 });
 
+test("license add/update/supersede/revoke manages license instances and font links", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-license-"));
+  assert.equal(runCli(scriptPath, ["init", "--name", "License Demo"], { cwd: tempDir }).status, 0);
+  assert.equal(
+    runCli(scriptPath, ["add", "--font-id", "brand", "--family", "Brand Sans", "--source", "byo"], { cwd: tempDir })
+      .status,
+    0,
+  );
+
+  const missingFont = runCli(scriptPath, ["license", "add", "--font-id", "ghost", "--offering-id", "web"], {
+    cwd: tempDir,
+  });
+  assert.notEqual(missingFont.status, 0);
+  assert.match(missingFont.stderr, /Font 'ghost' not found/);
+
+  const invalidDates = runCli(
+    scriptPath,
+    [
+      "license",
+      "add",
+      "--font-id",
+      "brand",
+      "--offering-id",
+      "foundry.web",
+      "--offering-version",
+      "1.0.0",
+      "--right-id",
+      "r.web",
+      "--valid-from",
+      "2026-03-01T00:00:00Z",
+      "--valid-until",
+      "2026-01-01T00:00:00Z",
+    ],
+    { cwd: tempDir },
+  );
+  assert.notEqual(invalidDates.status, 0);
+  assert.match(invalidDates.stderr, /valid_until must not be before valid_from/);
+
+  const addLicense = runCli(
+    scriptPath,
+    [
+      "license",
+      "add",
+      "--font-id",
+      "brand",
+      "--offering-id",
+      "foundry.web",
+      "--offering-version",
+      "1.0.0",
+      "--right-id",
+      "r.web,r.self_host",
+      "--metric-limit",
+      "pageviews=100000/per_month",
+      "--valid-from",
+      "2026-01-01T00:00:00Z",
+    ],
+    { cwd: tempDir },
+  );
+  assert.equal(addLicense.status, 0, addLicense.stderr);
+  const added = JSON.parse(addLicense.stdout).result;
+  assert.equal(added.license_id, "lic_brand_001");
+  assert.equal(added.instance.licensee_id, "license-demo.owner");
+  assert.deepEqual(added.instance.scope, { scope_type: "project", scope_id: "license-demo" });
+  assert.deepEqual(added.instance.metric_limits, [{ metric_type: "pageviews", limit: 100000, period: "per_month" }]);
+  assert.deepEqual(added.linked_font_ids, ["brand"]);
+
+  const updateLicense = runCli(
+    scriptPath,
+    ["license", "update", "--license-id", "lic_brand_001", "--valid-until", "2027-01-01T00:00:00Z"],
+    { cwd: tempDir },
+  );
+  assert.equal(updateLicense.status, 0, updateLicense.stderr);
+  assert.deepEqual(JSON.parse(updateLicense.stdout).result.changed_fields, ["valid_until"]);
+
+  const supersede = runCli(
+    scriptPath,
+    ["license", "supersede", "--license-id", "lic_brand_001", "--offering-version", "2.0.0"],
+    { cwd: tempDir },
+  );
+  assert.equal(supersede.status, 0, supersede.stderr);
+  const superseded = JSON.parse(supersede.stdout).result;
+  assert.equal(superseded.license_id, "lic_brand_002");
+  assert.equal(superseded.instance.upgrades_from, "lic_brand_001");
+  assert.equal(superseded.instance.offering_ref.offering_version, "2.0.0");
+  assert.deepEqual(superseded.instance.evidence, []);
+
+  let manifest = JSON.parse(readFileSync(path.join(tempDir, "LICENSE_MANIFEST.json"), "utf8"));
+  assert.deepEqual(manifest.fonts[0].license_instance_ids, ["lic_brand_001", "lic_brand_002"]);
+  assert.equal(manifest.fonts[0].active_license_instance_id, "lic_brand_002");
+  assert.equal(manifest.license_instances[0].status, "superseded");
+
+  const listLicenses = runCli(scriptPath, ["license", "list", "--status", "active"], { cwd: tempDir });
+  assert.equal(listLicenses.status, 0);
+  const listed = JSON.parse(listLicenses.stdout);
+  assert.equal(listed.count, 1);
+  assert.deepEqual(listed.licenses[0].active_for_font_ids, ["brand"]);
+
+  const showLicense = runCli(scriptPath, ["license", "show", "--license-id", "lic_brand_001"], { cwd: tempDir });
+  assert.equal(showLicense.status, 0);
+  assert.deepEqual(JSON.parse(showLicense.stdout).superseded_by, ["lic_brand_002"]);
+
+  const revoke = runCli(
+    scriptPath,
+    ["license", "revoke", "--license-id", "lic_brand_002", "--reason", "Refunded"],
+    { cwd: tempDir },
+  );
+  assert.equal(revoke.status, 0, revoke.stderr);
+  assert.deepEqual(JSON.parse(revoke.stdout).result.deactivated_font_ids, ["brand"]);
+
+  const supersedeRevoked = runCli(scriptPath, ["license", "supersede", "--license-id", "lic_brand_002"], {
+    cwd: tempDir,
+  });
+  assert.notEqual(supersedeRevoked.status, 0);
+
+  manifest = JSON.parse(readFileSync(path.join(tempDir, "LICENSE_MANIFEST.json"), "utf8"));
+  const eventTypes = readFileSync(path.join(tempDir, ".setzkasten", "events.log"), "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line).event_type);
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(manifest.license_instances[1].status, "revoked");
+  assert.equal(manifest.license_instances[1].notes, "Revoked: Refunded");
+  assert.equal(manifest.fonts[0].active_license_instance_id, undefined);
+  for (const eventType of ["added", "updated", "superseded", "revoked"]) {
+    assert.ok(eventTypes.includes(`manifest.license_instance_${eventType}`));
+  }
+});
+
+test("licensee add/update/remove manages the registry and doctor flags unregistered licensees", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-licensee-"));
+  assert.equal(runCli(scriptPath, ["init", "--name", "Licensee Demo"], { cwd: tempDir }).status, 0);
+
+  const addLicensee = runCli(
+    scriptPath,
+    [
+      "licensee",
+      "add",
+      "--licensee-id",
+      "client_acme",
+      "--legal-name",
+      "ACME GmbH",
+      "--type",
+      "client",
+      "--country",
+      "de",
+      "--contact-email",
+      "legal@acme.example",
+    ],
+    { cwd: tempDir },
+  );
+  assert.equal(addLicensee.status, 0, addLicensee.stderr);
+  assert.equal(JSON.parse(addLicensee.stdout).result.licensee.country, "DE");
+
+  const invalidEmail = runCli(
+    scriptPath,
+    ["licensee", "update", "--licensee-id", "client_acme", "--contact-email", "x@"],
+    { cwd: tempDir },
+  );
+  assert.notEqual(invalidEmail.status, 0);
+  assert.match(invalidEmail.stderr, /contact_email must have length >= 3/);
+
+  assert.equal(
+    runCli(scriptPath, ["add", "--font-id", "brand", "--family", "Brand Sans", "--source", "byo"], { cwd: tempDir })
+      .status,
+    0,
+  );
+  const addLicense = runCli(
+    scriptPath,
+    [
+      "license",
+      "add",
+      "--font-id",
+      "brand",
+      "--licensee-id",
+      "client_acme",
+      "--offering-id",
+      "foundry.web",
+      "--offering-version",
+      "1.0.0",
+      "--right-id",
+      "r.web",
+    ],
+    { cwd: tempDir },
+  );
+  assert.equal(addLicense.status, 0, addLicense.stderr);
+
+  const updateLicensee = runCli(
+    scriptPath,
+    ["licensee", "update", "--licensee-id", "client_acme", "--legal-name", "ACME Holding GmbH"],
+    { cwd: tempDir },
+  );
+  assert.equal(updateLicensee.status, 0, updateLicensee.stderr);
+  assert.deepEqual(JSON.parse(updateLicensee.stdout).result.refreshed_license_ids, ["lic_brand_001"]);
+
+  const listLicensees = runCli(scriptPath, ["licensee", "list"], { cwd: tempDir });
+  assert.equal(listLicensees.status, 0);
+  const listed = JSON.parse(listLicensees.stdout);
+  assert.equal(listed.count, 2);
+  assert.deepEqual(listed.licensees[1].license_ids, ["lic_brand_001"]);
+
+  const removeReferenced = runCli(scriptPath, ["licensee", "remove", "--licensee-id", "client_acme"], {
+    cwd: tempDir,
+  });
+  assert.notEqual(removeReferenced.status, 0);
+  assert.match(removeReferenced.stderr, /still referenced by license instance\(s\): lic_brand_001/);
+
+  const manifestPath = path.join(tempDir, "LICENSE_MANIFEST.json");
+  const manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+  assert.equal(manifest.license_instances[0].licensee.legal_name, "ACME Holding GmbH");
+  manifest.license_instances[0].licensee_id = "client_ghost";
+  writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+
+  const doctor = runCli(scriptPath, ["doctor"], { cwd: tempDir });
+  const removeUnused = runCli(scriptPath, ["licensee", "remove", "--licensee-id", "client_acme"], {
+    cwd: tempDir,
+  });
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(doctor.status, 0);
+  const registryCheck = JSON.parse(doctor.stdout).checks.find((check) => check.id === "licensees.registered");
+  assert.equal(registryCheck.status, "warn");
+  assert.deepEqual(registryCheck.details.unregistered_licensees, [
+    { license_id: "lic_brand_001", licensee_id: "client_ghost" },
+  ]);
+  assert.equal(removeUnused.status, 0, removeUnused.stderr);
+});
+
 test("import dry-run lists candidates without mutating manifest", () => {
   const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-import-dry-"));
   mkdirSync(path.join(tempDir, "assets", "fonts"), { recursive: true });
@@ -287,6 +895,110 @@ test("import --apply adds discovered font candidates to manifest", () => {
   assert.equal(eventTypes.includes("import.completed"), true);
 });
 
+test("import uses font name-table metadata instead of hashed file names", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-import-metadata-"));
+  mkdirSync(path.join(tempDir, "dist-static", "media"), { recursive: true });
+  writeFileSync(
+    path.join(tempDir, "dist-static", "media", "a8f3c1.woff2"),
+    buildTestFont({ 1: "Source Serif 4", 2: "Regular", 8: "Adobe" }),
+  );
+
+  const initResult = runCli(scriptPath, ["init", "--name", "Import Metadata Demo"], { cwd: tempDir });
+  assert.equal(initResult.status, 0);
+
+  const importResult = runCli(scriptPath, ["import", "--path", ".", "--apply"], { cwd: tempDir });
+  assert.equal(importResult.status, 0);
+  const parsed = JSON.parse(importResult.stdout);
+  assert.equal(parsed.imported_count, 1);
+  assert.equal(parsed.imported[0].family_name, "Source Serif 4");
+  assert.equal(parsed.imported[0].family_source, "name_table");
+
+  const manifest = JSON.parse(readFileSync(path.join(tempDir, "LICENSE_MANIFEST.json"), "utf8"));
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(manifest.fonts[0].font_id, "source-serif-4");
+  assert.equal(manifest.fonts[0].source.name, "Adobe");
+});
+
+test("import --apply adds fonts linked from web font services as service sources", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-import-service-"));
+  writeFileSync(
+    path.join(tempDir, "index.html"),
+    '<link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;700" rel="stylesheet">\n' +
+      '<script src="https://use.typekit.net/abc1234.js"></script>\n',
+  );
+
+  const initResult = runCli(scriptPath, ["init", "--name", "Import Service Demo"], { cwd: tempDir });
+  assert.equal(initResult.status, 0);
+
+  const importResult = runCli(scriptPath, ["import", "--path", ".", "--apply"], { cwd: tempDir });
+  assert.equal(importResult.status, 0);
+  const parsed = JSON.parse(importResult.stdout);
+  assert.equal(parsed.imported_count, 1);
+  assert.equal(parsed.imported[0].source_type, "service");
+  assert.equal(parsed.imported[0].service_provider, "google_fonts");
+
+  const manifest = JSON.parse(readFileSync(path.join(tempDir, "LICENSE_MANIFEST.json"), "utf8"));
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.deepEqual(manifest.fonts[0].source, {
+    type: "service",
+    name: "Google Fonts",
+    provider: "google_fonts",
+    uri: "https://fonts.googleapis.com/css2?family=Inter:wght@400;700",
+    notes: "Imported from index.html",
+  });
+});
+
+test("import --apply adds fonts from npm font packages as oss sources", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-import-package-"));
+  const packageDir = path.join(tempDir, "node_modules", "@fontsource", "inter");
+  mkdirSync(packageDir, { recursive: true });
+  writeFileSync(path.join(tempDir, "package.json"), JSON.stringify({ dependencies: { "@fontsource/inter": "^5.0.0" } }));
+  writeFileSync(path.join(packageDir, "package.json"), JSON.stringify({ version: "5.0.8", license: "OFL-1.1" }));
+  writeFileSync(path.join(packageDir, "LICENSE"), "SIL OPEN FONT LICENSE Version 1.1\n");
+
+  const initResult = runCli(scriptPath, ["init", "--name", "Import Package Demo"], { cwd: tempDir });
+  assert.equal(initResult.status, 0);
+
+  const importResult = runCli(scriptPath, ["import", "--path", ".", "--apply"], { cwd: tempDir });
+  assert.equal(importResult.status, 0);
+  const parsed = JSON.parse(importResult.stdout);
+  assert.equal(parsed.imported_count, 1);
+  assert.equal(parsed.imported[0].family_source, "font_package");
+  assert.equal(parsed.imported[0].license_file_path, path.join("node_modules", "@fontsource", "inter", "LICENSE"));
+
+  const manifest = JSON.parse(readFileSync(path.join(tempDir, "LICENSE_MANIFEST.json"), "utf8"));
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(manifest.fonts[0].font_id, "inter");
+  assert.equal(manifest.fonts[0].source.type, "oss");
+  assert.equal(manifest.fonts[0].source.name, "@fontsource/inter");
+  assert.equal(manifest.fonts[0].source.uri, "https://www.npmjs.com/package/@fontsource/inter");
+});
+
+test("import skips font files excluded by .setzkastenignore", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-import-ignore-"));
+  mkdirSync(path.join(tempDir, "assets", "fonts"), { recursive: true });
+  mkdirSync(path.join(tempDir, "storybook-static"), { recursive: true });
+  writeFileSync(path.join(tempDir, "assets", "fonts", "Merriweather-Regular.woff2"), "font-binary");
+  writeFileSync(path.join(tempDir, "storybook-static", "Roboto-Regular.woff2"), "font-binary");
+  writeFileSync(path.join(tempDir, ".setzkastenignore"), "storybook-static/\n");
+
+  const initResult = runCli(scriptPath, ["init", "--name", "Import Ignore Demo"], { cwd: tempDir });
+  assert.equal(initResult.status, 0);
+
+  const importResult = runCli(scriptPath, ["import", "--path", "."], { cwd: tempDir });
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(importResult.status, 0);
+  const parsed = JSON.parse(importResult.stdout);
+  assert.deepEqual(
+    parsed.candidates.map((candidate) => candidate.family_name),
+    ["Merriweather"],
+  );
+});
+
 test("doctor reports missing manifest and exits non-zero", () => {
   const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-doctor-missing-"));
   const doctorResult = runCli(scriptPath, ["doctor"], { cwd: tempDir });
@@ -326,6 +1038,66 @@ test("doctor warns for missing BYO links/evidence and strict mode fails", () =>
   assert.equal(strictParsed.summary.overall, "warn");
 });
 
+test("scan --record-hashes stores known-good hashes and doctor reports swapped binaries", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-hashes-"));
+  mkdirSync(path.join(tempDir, "fonts"), { recursive: true });
+  writeFileSync(path.join(tempDir, "fonts", "Inter-Regular.ttf"), buildTestFont({ 1: "Inter" }));
+
+  assert.equal(runCli(scriptPath, ["init", "--name", "Hash Demo"], { cwd: tempDir }).status, 0);
+  assert.equal(
+    runCli(scriptPath, ["add", "--font-id", "inter", "--family", "Inter", "--source", "oss"], { cwd: tempDir }).status,
+    0,
+  );
+
+  const recordResult = runCli(scriptPath, ["scan", "--record-hashes"], { cwd: tempDir });
+  assert.equal(recordResult.status, 0, recordResult.stderr);
+  assert.equal(JSON.parse(recordResult.stdout).recorded_hashes_count, 1);
+
+  const cleanDoctor = JSON.parse(runCli(scriptPath, ["doctor"], { cwd: tempDir }).stdout);
+  assert.equal(cleanDoctor.checks.find((entry) => entry.id === "fonts.binary_hashes").status, "pass");
+
+  writeFileSync(path.join(tempDir, "fonts", "Inter-Regular.ttf"), buildTestFont({ 1: "Inter", 5: "Version 9" }));
+  const doctor = JSON.parse(runCli(scriptPath, ["doctor"], { cwd: tempDir }).stdout);
+  const sarif = JSON.parse(runCli(scriptPath, ["scan", "--discover", "--format", "sarif"], { cwd: tempDir }).stdout);
+  rmSync(tempDir, { recursive: true, force: true });
+
+  const hashCheck = doctor.checks.find((entry) => entry.id === "fonts.binary_hashes");
+  assert.equal(hashCheck.status, "warn");
+  assert.equal(hashCheck.details.font_binary_changes[0].path, path.join("fonts", "Inter-Regular.ttf"));
+  assert.equal(
+    sarif.runs[0].results.some((entry) => entry.ruleId === "FONT_BINARY_CHANGED"),
+    true,
+  );
+});
+
+test("scan --path records project-relative hashes that doctor and plain scans verify", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-hashes-subdir-"));
+  mkdirSync(path.join(tempDir, "web", "fonts"), { recursive: true });
+  writeFileSync(path.join(tempDir, "web", "fonts", "Inter-Regular.ttf"), buildTestFont({ 1: "Inter" }));
+
+  assert.equal(runCli(scriptPath, ["init", "--name", "Hash Subdir Demo"], { cwd: tempDir }).status, 0);
+  assert.equal(
+    runCli(scriptPath, ["add", "--font-id", "inter", "--family", "Inter", "--source", "oss"], { cwd: tempDir }).status,
+    0,
+  );
+
+  const recordResult = runCli(scriptPath, ["scan", "--path", "web", "--record-hashes"], { cwd: tempDir });
+  assert.equal(recordResult.status, 0, recordResult.stderr);
+  const cleanDoctor = JSON.parse(runCli(scriptPath, ["doctor"], { cwd: tempDir }).stdout);
+
+  writeFileSync(path.join(tempDir, "web", "fonts", "Inter-Regular.ttf"), buildTestFont({ 1: "Inter", 5: "Version 9" }));
+  const plainScan = JSON.parse(runCli(scriptPath, ["scan", "--format", "sarif"], { cwd: tempDir }).stdout);
+  const manifest = JSON.parse(readFileSync(path.join(tempDir, "LICENSE_MANIFEST.json"), "utf8"));
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(manifest.fonts[0].known_file_hashes[0].path, path.join("web", "fonts", "Inter-Regular.ttf"));
+  assert.equal(cleanDoctor.checks.find((entry) => entry.id === "fonts.binary_hashes").status, "pass");
+  assert.equal(
+    plainScan.runs[0].results.some((entry) => entry.ruleId === "FONT_BINARY_CHANGED"),
+    true,
+  );
+});
+
 test("doctor strict passes when BYO license linkage and evidence are complete", () => {
   const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-doctor-pass-"));
   const initResult = runCli(scriptPath, ["init", "--name", "Doctor Pass Demo"], { cwd: tempDir });
@@ -457,6 +1229,92 @@ test("evidence suggest proposes discovered license files for empty license insta
   rmSync(tempDir, { recursive: true, force: true });
 });
 
+test("evidence suggest --apply prefills licensee, metric limits and evidence fields from EULA terms", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-evidence-terms-"));
+  mkdirSync(path.join(tempDir, "assets", "fonts"), { recursive: true });
+  writeFileSync(path.join(tempDir, "assets", "fonts", "BrandSans-Regular.woff2"), "font-binary");
+  writeFileSync(
+    path.join(tempDir, "assets", "fonts", "BrandSans-EULA.txt"),
+    [
+      "Example Type Webfont License",
+      "End User License Agreement for Brand Sans",
+      "Licensee: ACME GmbH",
+      "Beleg: ET-2024-0042",
+      "Purchase date: 2024-03-05",
+      "Licensed styles: Brand Sans Regular, Brand Sans Bold",
+      "Use is limited to 250,000 pageviews per month.",
+    ].join("\n"),
+  );
+  writeFileSync(
+    path.join(tempDir, "setzkasten.config.json"),
+    JSON.stringify({
+      scan: { eula_patterns: [{ foundry: "Example Type", fields: { order_reference: "Beleg:\\s*(\\S+)" } }] },
+    }),
+  );
+
+  assert.equal(runCli(scriptPath, ["init", "--name", "Evidence Terms Demo"], { cwd: tempDir }).status, 0);
+  const addResult = runCli(
+    scriptPath,
+    [
+      "add",
+      "--font-id",
+      "brand-sans",
+      "--family",
+      "Brand Sans",
+      "--source",
+      "byo",
+      "--license-instance-id",
+      "lic_brand",
+    ],
+    { cwd: tempDir },
+  );
+  assert.equal(addResult.status, 0);
+
+  const manifestPath = path.join(tempDir, "LICENSE_MANIFEST.json");
+  const manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+  manifest.license_instances.push({
+    kind: "instance",
+    license_id: "lic_brand",
+    licensee_id: manifest.licensees[0].licensee_id,
+    offering_ref: { offering_id: "off_brand_web", offering_version: "1.0.0" },
+    scope: { scope_type: "project", scope_id: manifest.project.project_id },
+    font_refs: [{ font_id: "brand-sans", family_name: "Brand Sans" }],
+    activated_right_ids: ["media_web"],
+    status: "active",
+    evidence: [],
+    acquisition_source: "direct_foundry",
+  });
+  writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+
+  const suggestResult = runCli(scriptPath, ["evidence", "suggest"], { cwd: tempDir });
+  assert.equal(suggestResult.status, 0);
+  const suggestion = JSON.parse(suggestResult.stdout).suggestions[0];
+  assert.equal(suggestion.eula_terms.foundry, "Example Type");
+  assert.deepEqual(suggestion.eula_terms.licensed_styles, ["Brand Sans Regular", "Brand Sans Bold"]);
+  assert.deepEqual(suggestion.eula_terms.media, ["media_web"]);
+
+  const applyResult = runCli(scriptPath, ["evidence", "suggest", "--apply"], { cwd: tempDir });
+  assert.equal(applyResult.status, 0);
+  assert.deepEqual(JSON.parse(applyResult.stdout).applied[0].prefilled_fields, [
+    "evidence.reference",
+    "evidence.purchased_at",
+    "metric_limits",
+    "licensee",
+  ]);
+
+  const instance = JSON.parse(readFileSync(manifestPath, "utf8")).license_instances[0];
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(instance.evidence[0].reference, "ET-2024-0042");
+  assert.equal(instance.evidence[0].purchased_at, "2024-03-05T00:00:00.000Z");
+  assert.deepEqual(instance.metric_limits, [{ metric_type: "pageviews", limit: 250000, period: "per_month" }]);
+  assert.deepEqual(instance.licensee, {
+    licensee_id: manifest.licensees[0].licensee_id,
+    type: manifest.licensees[0].type,
+    legal_name: "ACME GmbH",
+  });
+});
+
 test("evidence verify detects missing files in strict mode", () => {
   const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-evidence-verify-"));
   const initResult = runCli(scriptPath, ["init", "--name", "Evidence Verify Demo"], { cwd: tempDir });
@@ -611,6 +1469,98 @@ test("migrate --apply upgrades manifest version and writes backup", () => {
   rmSync(tempDir, { recursive: true, force: true });
 });
 
+test("prune plans by default and applies rules with backup and events", () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-prune-"));
+  mkdirSync(path.join(tempDir, "assets", "fonts"), { recursive: true });
+  writeFileSync(path.join(tempDir, "assets", "fonts", "Inter-Regular.woff2"), "font-binary");
+  writeFileSync(path.join(tempDir, "assets", "fonts", "Brand-Regular.woff2"), "font-binary");
+  writeFileSync(path.join(tempDir, "styles.css"), "body { font-family: 'Inter', sans-serif; }");
+
+  assert.equal(runCli(scriptPath, ["init", "--name", "Prune Demo"], { cwd: tempDir }).status, 0);
+
+  const manifestPath = path.join(tempDir, "LICENSE_MANIFEST.json");
+  const manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+  const instance = (licenseId, fontId) => ({
+    kind: "instance",
+    license_id: licenseId,
+    licensee_id: manifest.licensees[0].licensee_id,
+    offering_ref: { offering_id: `off_${fontId}`, offering_version: "1.0.0" },
+    scope: { scope_type: "project", scope_id: manifest.project.project_id },
+    font_refs: [{ font_id: fontId, family_name: fontId }],
+    activated_right_ids: ["media_web"],
+    status: "active",
+    evidence: [],
+    acquisition_source: "direct_foundry",
+  });
+  manifest.fonts = [
+    { font_id: "inter", family_name: "Inter", source: { type: "oss" }, license_instance_ids: [] },
+    { font_id: "brand", family_name: "Brand", source: { type: "byo" }, license_instance_ids: ["lic_brand"] },
+    { font_id: "ghost", family_name: "Ghost Grotesk", source: { type: "byo" }, license_instance_ids: ["lic_ghost"] },
+  ];
+  manifest.license_instances = [instance("lic_brand", "brand"), instance("lic_ghost", "ghost")];
+  writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+
+  const dryRun = runCli(scriptPath, ["prune"], { cwd: tempDir });
+  assert.equal(dryRun.status, 0, dryRun.stderr);
+  const plan = JSON.parse(dryRun.stdout).prune;
+  assert.equal(plan.dry_run, true);
+  assert.deepEqual(plan.rules, ["unused_font", "orphaned_license_instance"]);
+  assert.deepEqual(
+    plan.fonts.map((entry) => [entry.font_id, entry.rule]),
+    [["ghost", "unused_font"]],
+  );
+  assert.deepEqual(plan.license_instances, [
+    { license_id: "lic_ghost", rule: "orphaned_license_instance", font_ids: ["ghost"] },
+  ]);
+  assert.equal(JSON.parse(readFileSync(manifestPath, "utf8")).fonts.length, 3);
+
+  const refused = runCli(scriptPath, ["prune", "--apply", "--max-removals", "1"], { cwd: tempDir });
+  assert.notEqual(refused.status, 0);
+  assert.match(refused.stderr, /removes 2 entries, more than --max-removals 1/);
+
+  const applyResult = runCli(
+    scriptPath,
+    ["prune", "--apply", "--rule", "unreferenced_font,orphaned_license_instance", "--keep", "inter"],
+    { cwd: tempDir },
+  );
+  assert.equal(applyResult.status, 0, applyResult.stderr);
+  const applied = JSON.parse(applyResult.stdout).prune;
+  assert.equal(applied.applied, true);
+  assert.deepEqual(
+    applied.fonts.map((entry) => [entry.font_id, entry.rule]),
+    [
+      ["brand", "unreferenced_font"],
+      ["ghost", "unreferenced_font"],
+    ],
+  );
+
+  const pruned = JSON.parse(readFileSync(manifestPath, "utf8"));
+  const backup = JSON.parse(readFileSync(applied.backup_path, "utf8"));
+  const events = readFileSync(path.join(tempDir, ".setzkasten", "events.log"), "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  const eventTypes = events.map((event) => event.event_type);
+  rmSync(tempDir, { recursive: true, force: true });
+
+  const plannedEvent = events.find((event) => event.event_type === "prune.planned");
+  assert.equal(plannedEvent.payload.dry_run, true);
+  assert.equal(plannedEvent.payload.removals_count, 2);
+  assert.deepEqual(
+    plannedEvent.payload.fonts.map((entry) => entry.font_id),
+    ["ghost"],
+  );
+  assert.deepEqual(
+    pruned.fonts.map((font) => font.font_id),
+    ["inter"],
+  );
+  assert.deepEqual(pruned.license_instances, []);
+  assert.equal(backup.fonts.length, 3);
+  assert.equal(eventTypes.filter((type) => type === "manifest.font_pruned").length, 2);
+  assert.equal(eventTypes.filter((type) => type === "manifest.license_instance_pruned").length, 2);
+  assert.equal(eventTypes.at(-1), "prune.completed");
+});
+
 test("report supports json output", () => {
   const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-cli-report-json-"));
   const initResult = runCli(scriptPath, ["init", "--name", "Report JSON Demo"], { cwd: tempDir });
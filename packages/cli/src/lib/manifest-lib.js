@@ -4,6 +4,7 @@ import {
   MANIFEST_VERSION,
   findUp,
   readJsonFile,
+  sha256Hex,
   slugifyId,
   writeJsonFileAtomic,
 } from "./core.js";
@@ -12,7 +13,8 @@ const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,127}$/;
 const SEMVER_PATTERN =
   /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
 const LICENSEE_TYPES = new Set(["individual", "organization", "agency", "client", "other"]);
-const SOURCE_TYPES = new Set(["oss", "byo"]);
+const SOURCE_TYPES = new Set(["oss", "byo", "service"]);
+const SOURCE_PROVIDERS = new Set(["google_fonts", "adobe_fonts", "fontshare", "bunny_fonts"]);
 const OFFERING_TYPES = new Set(["commercial", "trial"]);
 const INSTANCE_STATUS = new Set(["active", "expired", "superseded", "revoked"]);
 const ACQUISITION_SOURCES = new Set(["direct_foundry", "reseller", "marketplace", "legacy"]);
@@ -83,6 +85,10 @@ function validateLicensee(errors, pathName, value) {
   if (value.contact_email !== undefined) {
     validateString(errors, `${pathName}.contact_email`, value.contact_email, { minLength: 3 });
   }
+
+  if (value.vat_id !== undefined) {
+    validateString(errors, `${pathName}.vat_id`, value.vat_id, { minLength: 1 });
+  }
 }
 
 function validateFont(errors, pathName, value) {
@@ -103,6 +109,10 @@ function validateFont(errors, pathName, value) {
   } else {
     validateString(errors, `${pathName}.source.type`, value.source.type, { enum: SOURCE_TYPES });
 
+    if (value.source.provider !== undefined) {
+      validateString(errors, `${pathName}.source.provider`, value.source.provider, { enum: SOURCE_PROVIDERS });
+    }
+
     if (value.source.uri !== undefined) {
       try {
         new URL(String(value.source.uri));
@@ -135,6 +145,29 @@ function validateFont(errors, pathName, value) {
       pattern: ID_PATTERN,
     });
   }
+
+  if (
+    value.known_file_hashes !== undefined &&
+    validateArray(errors, `${pathName}.known_file_hashes`, value.known_file_hashes)
+  ) {
+    value.known_file_hashes.forEach((entry, index) => {
+      const entryPath = `${pathName}.known_file_hashes[${index}]`;
+      if (!isObject(entry)) {
+        pushError(errors, entryPath, "must be an object");
+        return;
+      }
+
+      validateString(errors, `${entryPath}.file_hash`, entry.file_hash, { pattern: SHA256_PATTERN });
+
+      if (entry.path !== undefined) {
+        validateString(errors, `${entryPath}.path`, entry.path, { minLength: 1 });
+      }
+
+      if (entry.recorded_at !== undefined) {
+        validateString(errors, `${entryPath}.recorded_at`, entry.recorded_at, { minLength: 1 });
+      }
+    });
+  }
 }
 
 function validateMetricLimit(errors, pathName, value) {
@@ -173,6 +206,55 @@ function validateEvidence(errors, pathName, value) {
   }
 }
 
+function validateUsageObservation(errors, pathName, value) {
+  if (!isObject(value)) {
+    pushError(errors, pathName, "must be an object");
+    return;
+  }
+
+  validateString(errors, `${pathName}.observation_id`, value.observation_id, {
+    minLength: 1,
+    maxLength: 128,
+    pattern: ID_PATTERN,
+  });
+  validateString(errors, `${pathName}.metric_type`, value.metric_type, { minLength: 1 });
+
+  if (typeof value.value !== "number" || !Number.isFinite(value.value) || value.value < 0) {
+    pushError(errors, `${pathName}.value`, "must be a non-negative number");
+  }
+
+  for (const key of ["period_start", "period_end"]) {
+    validateString(errors, `${pathName}.${key}`, value[key], { minLength: 1 });
+    if (typeof value[key] === "string" && Number.isNaN(Date.parse(value[key]))) {
+      pushError(errors, `${pathName}.${key}`, "must be an ISO date or date-time");
+    }
+  }
+
+  if (Date.parse(value.period_end) < Date.parse(value.period_start)) {
+    pushError(errors, `${pathName}.period_end`, "must not be before period_start");
+  }
+
+  validateString(errors, `${pathName}.scope_type`, value.scope_type, { minLength: 1 });
+  validateString(errors, `${pathName}.scope_id`, value.scope_id, {
+    minLength: 1,
+    maxLength: 128,
+    pattern: ID_PATTERN,
+  });
+  validateString(errors, `${pathName}.source`, value.source, { minLength: 1 });
+
+  if (value.license_id !== undefined) {
+    validateString(errors, `${pathName}.license_id`, value.license_id, {
+      minLength: 1,
+      maxLength: 128,
+      pattern: ID_PATTERN,
+    });
+  }
+
+  if (value.evidence !== undefined) {
+    validateString(errors, `${pathName}.evidence`, value.evidence, { minLength: 1 });
+  }
+}
+
 function validatePolicyException(errors, pathName, value) {
   if (!isObject(value)) {
     pushError(errors, pathName, "must be an object");
@@ -384,6 +466,29 @@ function validateLicenseInstance(errors, pathName, value) {
       }
     }
   }
+
+  for (const key of ["valid_from", "valid_until", "renewal_due_at"]) {
+    if (value[key] === undefined) {
+      continue;
+    }
+
+    validateString(errors, `${pathName}.${key}`, value[key], { minLength: 1 });
+    if (typeof value[key] === "string" && Number.isNaN(Date.parse(value[key]))) {
+      pushError(errors, `${pathName}.${key}`, "must be an ISO date-time");
+    }
+  }
+
+  if (Date.parse(value.valid_until) < Date.parse(value.valid_from)) {
+    pushError(errors, `${pathName}.valid_until`, "must not be before valid_from");
+  }
+
+  if (value.upgrades_from !== undefined) {
+    validateString(errors, `${pathName}.upgrades_from`, value.upgrades_from, {
+      minLength: 1,
+      maxLength: 128,
+      pattern: ID_PATTERN,
+    });
+  }
 }
 
 export async function validateManifestDocument(document) {
@@ -418,6 +523,18 @@ export async function validateManifestDocument(document) {
         }
       }
     }
+
+    if (document.project.client_work !== undefined && typeof document.project.client_work !== "boolean") {
+      pushError(errors, "/project/client_work", "must be a boolean");
+    }
+
+    if (document.project.client_id !== undefined) {
+      validateString(errors, "/project/client_id", document.project.client_id, {
+        minLength: 1,
+        maxLength: 128,
+        pattern: ID_PATTERN,
+      });
+    }
   }
 
   const hasLicensees = validateArray(errors, "/licensees", document.licensees, { minItems: 1 });
@@ -450,6 +567,15 @@ export async function validateManifestDocument(document) {
     }
   }
 
+  if (document.usage_observations !== undefined) {
+    const hasObservations = validateArray(errors, "/usage_observations", document.usage_observations);
+    if (hasObservations) {
+      for (let index = 0; index < document.usage_observations.length; index += 1) {
+        validateUsageObservation(errors, `/usage_observations[${index}]`, document.usage_observations[index]);
+      }
+    }
+  }
+
   if (document.policy_exceptions !== undefined) {
     const hasPolicyExceptions = validateArray(errors, "/policy_exceptions", document.policy_exceptions);
     if (hasPolicyExceptions) {
@@ -581,6 +707,13 @@ export function createManifest(input) {
     manifest.project.domains = input.projectDomains;
   }
 
+  if (input.projectClientId) {
+    manifest.project.client_work = true;
+    manifest.project.client_id = input.projectClientId;
+  } else if (input.projectClientWork) {
+    manifest.project.client_work = true;
+  }
+
   if (input.licenseeCountry) {
     manifest.licensees[0].country = input.licenseeCountry;
   }
@@ -652,6 +785,34 @@ export function removeFontFromManifest(manifest, fontId) {
   };
 }
 
+export function removeLicenseInstanceFromManifest(manifest, licenseId) {
+  const draft = deepClone(manifest);
+  const instances = Array.isArray(draft.license_instances) ? draft.license_instances : [];
+
+  const filteredInstances = instances.filter((entry) => !isObject(entry) || entry.license_id !== licenseId);
+
+  draft.license_instances = filteredInstances;
+
+  for (const font of Array.isArray(draft.fonts) ? draft.fonts : []) {
+    if (!isObject(font)) {
+      continue;
+    }
+
+    if (Array.isArray(font.license_instance_ids)) {
+      font.license_instance_ids = font.license_instance_ids.filter((entry) => entry !== licenseId);
+    }
+
+    if (font.active_license_instance_id === licenseId) {
+      delete font.active_license_instance_id;
+    }
+  }
+
+  return {
+    manifest: draft,
+    removed: filteredInstances.length !== instances.length,
+  };
+}
+
 export function upsertLicenseEvidence(manifest, input) {
   const licenseId = normalizeOptionalString(input?.licenseId);
   if (!licenseId) {
@@ -788,6 +949,628 @@ export function upsertLicenseEvidence(manifest, input) {
   };
 }
 
+export function prefillLicenseInstanceTerms(manifest, input) {
+  const licenseId = normalizeOptionalString(input?.licenseId);
+  if (!licenseId) {
+    throw new Error("licenseId is required.");
+  }
+
+  const draft = deepClone(manifest);
+  const instances = Array.isArray(draft.license_instances) ? draft.license_instances : [];
+  const instance = instances.find(
+    (entry) => isObject(entry) && typeof entry.license_id === "string" && entry.license_id === licenseId,
+  );
+
+  if (!instance) {
+    throw new Error(`License instance '${licenseId}' not found in manifest.`);
+  }
+
+  const prefilledFields = [];
+  const currentLimits = Array.isArray(instance.metric_limits) ? instance.metric_limits : [];
+  const knownMetricTypes = new Set(currentLimits.filter(isObject).map((entry) => entry.metric_type));
+  const addedLimits = (Array.isArray(input?.metricLimits) ? input.metricLimits : [])
+    .filter((entry) => isObject(entry) && !knownMetricTypes.has(entry.metric_type))
+    .map((entry) => ({ metric_type: entry.metric_type, limit: entry.limit, period: entry.period }));
+
+  if (addedLimits.length > 0) {
+    instance.metric_limits = [...currentLimits, ...addedLimits];
+    prefilledFields.push("metric_limits");
+  }
+
+  const licenseeName = normalizeOptionalString(input?.licenseeName);
+  if (licenseeName && !isObject(instance.licensee)) {
+    const licensees = Array.isArray(draft.licensees) ? draft.licensees : [];
+    const knownLicensee = licensees.find((entry) => isObject(entry) && entry.licensee_id === instance.licensee_id);
+    instance.licensee = {
+      licensee_id: instance.licensee_id,
+      type: knownLicensee?.type ?? "organization",
+      legal_name: licenseeName,
+    };
+    prefilledFields.push("licensee");
+  }
+
+  return {
+    manifest: draft,
+    license_id: licenseId,
+    prefilled_fields: prefilledFields,
+  };
+}
+
+function findLicenseInstance(draft, licenseId) {
+  const instances = Array.isArray(draft.license_instances) ? draft.license_instances : [];
+  const instance = instances.find(
+    (entry) => isObject(entry) && typeof entry.license_id === "string" && entry.license_id === licenseId,
+  );
+
+  if (!instance) {
+    throw new Error(`License instance '${licenseId}' not found in manifest.`);
+  }
+
+  return instance;
+}
+
+function nextLicenseInstanceId(draft, fontId) {
+  const knownIds = new Set(
+    (Array.isArray(draft.license_instances) ? draft.license_instances : [])
+      .filter(isObject)
+      .map((entry) => entry.license_id),
+  );
+  const prefix = `lic_${fontId}`.slice(0, 120);
+
+  for (let sequence = 1; ; sequence += 1) {
+    const candidate = `${prefix}_${String(sequence).padStart(3, "0")}`;
+    if (!knownIds.has(candidate)) {
+      return candidate;
+    }
+  }
+}
+
+function applyLicenseInstanceInput(draft, instance, input) {
+  const changedFields = [];
+  const setField = (key, value) => {
+    if (value === undefined) {
+      return;
+    }
+
+    instance[key] = value;
+    changedFields.push(key);
+  };
+
+  const licenseeId = normalizeOptionalString(input.licenseeId);
+  if (licenseeId) {
+    const licensees = Array.isArray(draft.licensees) ? draft.licensees : [];
+    const licensee = licensees.find((entry) => isObject(entry) && entry.licensee_id === licenseeId);
+    if (!licensee) {
+      throw new Error(`Licensee '${licenseeId}' not found in manifest.`);
+    }
+
+    setField("licensee_id", licenseeId);
+    instance.licensee = deepClone(licensee);
+  }
+
+  const offeringId = normalizeOptionalString(input.offeringId);
+  const offeringVersion = normalizeOptionalString(input.offeringVersion);
+  if (offeringId || offeringVersion) {
+    const nextOfferingId = offeringId ?? instance.offering_ref?.offering_id;
+    const offeringChanged = nextOfferingId !== instance.offering_ref?.offering_id;
+    const offerings = Array.isArray(draft.license_offerings) ? draft.license_offerings : [];
+    const offering = offerings.find((entry) => isObject(entry) && entry.offering_id === nextOfferingId);
+    setField("offering_ref", {
+      offering_id: nextOfferingId,
+      offering_version: offeringVersion ?? offering?.offering_version ?? instance.offering_ref?.offering_version,
+    });
+
+    if (!Array.isArray(input.activatedRightIds) && offeringChanged && offering) {
+      instance.activated_right_ids = (Array.isArray(offering.rights) ? offering.rights : [])
+        .filter((right) => isObject(right) && right.allowed !== false)
+        .map((right) => right.right_id);
+    }
+  }
+
+  const scopeType = normalizeOptionalString(input.scopeType);
+  const scopeId = normalizeOptionalString(input.scopeId);
+  if (scopeType || scopeId || Array.isArray(input.domains)) {
+    const scope = { ...(isObject(instance.scope) ? instance.scope : {}) };
+    scope.scope_type = scopeType ?? scope.scope_type;
+    scope.scope_id = scopeId ?? scope.scope_id;
+    if (Array.isArray(input.domains)) {
+      scope.domains = normalizeStringArray(input.domains);
+    }
+    setField("scope", scope);
+  }
+
+  if (Array.isArray(input.fontIds)) {
+    const fonts = Array.isArray(draft.fonts) ? draft.fonts : [];
+    const currentRefs = Array.isArray(instance.font_refs) ? instance.font_refs : [];
+    setField(
+      "font_refs",
+      normalizeStringArray(input.fontIds).map((fontId) => {
+        const font = fonts.find((entry) => isObject(entry) && entry.font_id === fontId);
+        if (!font) {
+          throw new Error(`Font '${fontId}' not found in manifest.`);
+        }
+
+        const fontRef = {
+          ...(currentRefs.find((entry) => isObject(entry) && entry.font_id === fontId) ?? {}),
+          font_id: fontId,
+          family_name: font.family_name,
+        };
+        const foundryName = normalizeOptionalString(input.foundryName);
+        if (foundryName) {
+          fontRef.foundry_name = foundryName;
+        }
+        if (Array.isArray(input.styles) && input.styles.length > 0) {
+          fontRef.styles = normalizeStringArray(input.styles);
+        }
+        return fontRef;
+      }),
+    );
+  }
+
+  if (Array.isArray(input.activatedRightIds)) {
+    setField("activated_right_ids", normalizeStringArray(input.activatedRightIds));
+  }
+
+  if (Array.isArray(input.metricLimits)) {
+    setField(
+      "metric_limits",
+      input.metricLimits
+        .filter(isObject)
+        .map((entry) => ({ metric_type: entry.metric_type, limit: entry.limit, period: entry.period })),
+    );
+  }
+
+  setField("status", normalizeOptionalString(input.status));
+  setField("valid_from", normalizeOptionalString(input.validFrom));
+  setField("valid_until", normalizeOptionalString(input.validUntil));
+  setField("renewal_due_at", normalizeOptionalString(input.renewalDueAt));
+  setField("acquisition_source", normalizeOptionalString(input.acquisitionSource));
+  setField("notes", normalizeOptionalString(input.notes));
+
+  return changedFields;
+}
+
+function assertValidLicenseInstance(instance) {
+  const errors = [];
+  validateLicenseInstance(errors, `license_instances[${instance.license_id}]`, instance);
+
+  if (errors.length > 0) {
+    throw new Error(`License instance validation failed: ${errors.join("; ")}`);
+  }
+}
+
+function selectActiveLicenseInstanceId(draft, font, excludedLicenseId) {
+  const instances = Array.isArray(draft.license_instances) ? draft.license_instances : [];
+  return normalizeStringArray(font.license_instance_ids).find(
+    (licenseId) =>
+      licenseId !== excludedLicenseId &&
+      instances.some((entry) => isObject(entry) && entry.license_id === licenseId && entry.status === "active"),
+  );
+}
+
+function unlinkLicenseInstanceFromFont(draft, font, licenseId) {
+  font.license_instance_ids = normalizeStringArray(font.license_instance_ids).filter((entry) => entry !== licenseId);
+
+  if (font.active_license_instance_id === licenseId) {
+    const fallbackId = selectActiveLicenseInstanceId(draft, font, licenseId);
+    if (fallbackId) {
+      font.active_license_instance_id = fallbackId;
+    } else {
+      delete font.active_license_instance_id;
+    }
+  }
+}
+
+function deactivateLicenseInstanceOnFonts(draft, licenseId) {
+  const deactivatedFontIds = [];
+  for (const font of Array.isArray(draft.fonts) ? draft.fonts : []) {
+    if (isObject(font) && font.active_license_instance_id === licenseId) {
+      const fallbackId = selectActiveLicenseInstanceId(draft, font, licenseId);
+      if (fallbackId) {
+        font.active_license_instance_id = fallbackId;
+      } else {
+        delete font.active_license_instance_id;
+      }
+      deactivatedFontIds.push(font.font_id);
+    }
+  }
+  return deactivatedFontIds;
+}
+
+function syncLicenseInstanceFontLinks(draft, instance, options = {}) {
+  const fontIds = new Set(instance.font_refs.map((entry) => entry.font_id));
+  const linkedFontIds = [];
+  const unlinkedFontIds = [];
+
+  for (const font of Array.isArray(draft.fonts) ? draft.fonts : []) {
+    if (!isObject(font)) {
+      continue;
+    }
+
+    const licenseIds = normalizeStringArray(font.license_instance_ids);
+
+    if (!fontIds.has(font.font_id)) {
+      if (licenseIds.includes(instance.license_id)) {
+        unlinkLicenseInstanceFromFont(draft, font, instance.license_id);
+        unlinkedFontIds.push(font.font_id);
+      }
+      continue;
+    }
+
+    if (!licenseIds.includes(instance.license_id)) {
+      licenseIds.push(instance.license_id);
+    }
+    font.license_instance_ids = licenseIds;
+
+    const activeId = normalizeOptionalString(font.active_license_instance_id);
+    const canActivate = instance.status === "active";
+    if (
+      canActivate &&
+      (options.activate || !activeId || (options.replacesLicenseId && activeId === options.replacesLicenseId))
+    ) {
+      font.active_license_instance_id = instance.license_id;
+    }
+    linkedFontIds.push(font.font_id);
+  }
+
+  return {
+    linked_font_ids: linkedFontIds,
+    unlinked_font_ids: unlinkedFontIds,
+  };
+}
+
+export function addLicenseInstanceToManifest(manifest, input) {
+  const draft = deepClone(manifest);
+  const fontIds = normalizeStringArray(input?.fontIds);
+  if (fontIds.length === 0) {
+    throw new Error("fontIds must contain at least one font id.");
+  }
+
+  const licenseId = normalizeOptionalString(input?.licenseId) ?? nextLicenseInstanceId(draft, fontIds[0]);
+  const instances = Array.isArray(draft.license_instances) ? draft.license_instances : [];
+  if (instances.some((entry) => isObject(entry) && entry.license_id === licenseId)) {
+    throw new Error(`License instance '${licenseId}' already exists in manifest.`);
+  }
+
+  // With agency and client entries the licensee decides the scope checks, so only a sole licensee is a safe default.
+  const licensees = (Array.isArray(draft.licensees) ? draft.licensees : []).filter(isObject);
+  const licenseeId =
+    normalizeOptionalString(input?.licenseeId) ?? (licensees.length === 1 ? licensees[0].licensee_id : undefined);
+  if (!licenseeId && licensees.length > 1) {
+    const licenseeIds = licensees.map((entry) => entry.licensee_id).join(", ");
+    throw new Error(`licenseeId is required when the manifest has more than one licensee (${licenseeIds}).`);
+  }
+
+  const instance = {
+    kind: "instance",
+    license_id: licenseId,
+  };
+  applyLicenseInstanceInput(draft, instance, {
+    ...input,
+    licenseeId,
+    scopeType: normalizeOptionalString(input?.scopeType) ?? "project",
+    scopeId: normalizeOptionalString(input?.scopeId) ?? draft.project?.project_id,
+    fontIds,
+    status: normalizeOptionalString(input?.status) ?? "active",
+    acquisitionSource: normalizeOptionalString(input?.acquisitionSource) ?? "direct_foundry",
+  });
+  instance.evidence = [];
+  assertValidLicenseInstance(instance);
+
+  instances.push(instance);
+  draft.license_instances = instances;
+  const links = syncLicenseInstanceFontLinks(draft, instance, { activate: input?.activate === true });
+
+  return {
+    manifest: draft,
+    license_id: licenseId,
+    instance,
+    ...links,
+  };
+}
+
+export function updateLicenseInstanceInManifest(manifest, input) {
+  const licenseId = normalizeOptionalString(input?.licenseId);
+  if (!licenseId) {
+    throw new Error("licenseId is required.");
+  }
+
+  const status = normalizeOptionalString(input?.status);
+  if (status === "revoked" || status === "superseded") {
+    throw new Error(`Status '${status}' can only be set by revoking or superseding the license instance.`);
+  }
+
+  const draft = deepClone(manifest);
+  const instance = findLicenseInstance(draft, licenseId);
+  if (instance.status === "revoked" || instance.status === "superseded") {
+    throw new Error(`License instance '${licenseId}' is ${instance.status} and can no longer be updated.`);
+  }
+
+  const changedFields = applyLicenseInstanceInput(draft, instance, { ...input, licenseId: undefined });
+  assertValidLicenseInstance(instance);
+  const links = syncLicenseInstanceFontLinks(draft, instance, { activate: input?.activate === true });
+
+  return {
+    manifest: draft,
+    license_id: licenseId,
+    instance,
+    changed_fields: changedFields,
+    ...links,
+  };
+}
+
+export function revokeLicenseInstance(manifest, input) {
+  const licenseId = normalizeOptionalString(input?.licenseId);
+  if (!licenseId) {
+    throw new Error("licenseId is required.");
+  }
+
+  const draft = deepClone(manifest);
+  const instance = findLicenseInstance(draft, licenseId);
+  if (instance.status === "revoked") {
+    throw new Error(`License instance '${licenseId}' is already revoked.`);
+  }
+
+  const previousStatus = instance.status;
+  instance.status = "revoked";
+
+  const reason = normalizeOptionalString(input?.reason);
+  if (reason) {
+    instance.notes = [normalizeOptionalString(instance.notes), `Revoked: ${reason}`].filter(Boolean).join("\n");
+  }
+
+  const deactivatedFontIds = deactivateLicenseInstanceOnFonts(draft, licenseId);
+
+  return {
+    manifest: draft,
+    license_id: licenseId,
+    previous_status: previousStatus,
+    deactivated_font_ids: deactivatedFontIds,
+  };
+}
+
+export function supersedeLicenseInstance(manifest, input) {
+  const licenseId = normalizeOptionalString(input?.licenseId);
+  if (!licenseId) {
+    throw new Error("licenseId is required.");
+  }
+
+  const draft = deepClone(manifest);
+  const previous = findLicenseInstance(draft, licenseId);
+  if (previous.status === "revoked" || previous.status === "superseded") {
+    throw new Error(`License instance '${licenseId}' is ${previous.status} and cannot be superseded.`);
+  }
+
+  const fontIds = Array.isArray(input?.fontIds)
+    ? normalizeStringArray(input.fontIds)
+    : previous.font_refs.filter(isObject).map((entry) => entry.font_id);
+  const nextLicenseId =
+    normalizeOptionalString(input?.newLicenseId) ?? nextLicenseInstanceId(draft, fontIds[0] ?? licenseId);
+  const instances = draft.license_instances;
+  if (instances.some((entry) => isObject(entry) && entry.license_id === nextLicenseId)) {
+    throw new Error(`License instance '${nextLicenseId}' already exists in manifest.`);
+  }
+
+  const instance = {
+    ...deepClone(previous),
+    license_id: nextLicenseId,
+    status: "active",
+    evidence: [],
+    upgrades_from: licenseId,
+  };
+  delete instance.notes;
+  applyLicenseInstanceInput(draft, instance, {
+    ...input,
+    fontIds,
+    status: normalizeOptionalString(input?.status) ?? "active",
+  });
+  assertValidLicenseInstance(instance);
+
+  previous.status = "superseded";
+  instances.push(instance);
+  const links = syncLicenseInstanceFontLinks(draft, instance, {
+    activate: input?.activate === true,
+    replacesLicenseId: licenseId,
+  });
+
+  // Fonts left out of the new instance must not keep pointing at the superseded one.
+  const deactivatedFontIds = deactivateLicenseInstanceOnFonts(draft, licenseId);
+
+  return {
+    manifest: draft,
+    license_id: nextLicenseId,
+    superseded_license_id: licenseId,
+    instance,
+    ...links,
+    deactivated_font_ids: deactivatedFontIds,
+  };
+}
+
+function assertValidLicensee(licensee) {
+  const errors = [];
+  validateLicensee(errors, `licensees[${licensee.licensee_id}]`, licensee);
+
+  if (errors.length > 0) {
+    throw new Error(`Licensee validation failed: ${errors.join("; ")}`);
+  }
+}
+
+function applyLicenseeInput(licensee, input) {
+  const changedFields = [];
+  const fields = [
+    ["type", normalizeOptionalString(input?.type)],
+    ["legal_name", normalizeOptionalString(input?.legalName)],
+    ["country", normalizeOptionalString(input?.country)?.toUpperCase()],
+    ["vat_id", normalizeOptionalString(input?.vatId)],
+    ["contact_email", normalizeOptionalString(input?.contactEmail)],
+  ];
+
+  for (const [key, value] of fields) {
+    if (value !== undefined && licensee[key] !== value) {
+      licensee[key] = value;
+      changedFields.push(key);
+    }
+  }
+
+  return changedFields;
+}
+
+export function addLicenseeToManifest(manifest, input) {
+  const legalName = normalizeOptionalString(input?.legalName);
+  if (!legalName) {
+    throw new Error("legalName is required.");
+  }
+
+  const draft = deepClone(manifest);
+  const licensees = Array.isArray(draft.licensees) ? draft.licensees : [];
+  const licenseeId = normalizeOptionalString(input?.licenseeId) ?? slugifyId(legalName, "licensee");
+
+  if (licensees.some((entry) => isObject(entry) && entry.licensee_id === licenseeId)) {
+    throw new Error(`Licensee '${licenseeId}' already exists in manifest.`);
+  }
+
+  const licensee = { licensee_id: licenseeId };
+  applyLicenseeInput(licensee, { type: "organization", ...input, legalName });
+  assertValidLicensee(licensee);
+
+  licensees.push(licensee);
+  draft.licensees = licensees;
+
+  return {
+    manifest: draft,
+    licensee_id: licenseeId,
+    licensee,
+  };
+}
+
+export function updateLicenseeInManifest(manifest, input) {
+  const licenseeId = normalizeOptionalString(input?.licenseeId);
+  if (!licenseeId) {
+    throw new Error("licenseeId is required.");
+  }
+
+  const draft = deepClone(manifest);
+  const licensees = Array.isArray(draft.licensees) ? draft.licensees : [];
+  const licensee = licensees.find((entry) => isObject(entry) && entry.licensee_id === licenseeId);
+
+  if (!licensee) {
+    throw new Error(`Licensee '${licenseeId}' not found in manifest.`);
+  }
+
+  const changedFields = applyLicenseeInput(licensee, input);
+  assertValidLicensee(licensee);
+
+  const refreshedLicenseIds = [];
+  for (const instance of Array.isArray(draft.license_instances) ? draft.license_instances : []) {
+    if (isObject(instance) && instance.licensee_id === licenseeId && isObject(instance.licensee)) {
+      instance.licensee = deepClone(licensee);
+      refreshedLicenseIds.push(instance.license_id);
+    }
+  }
+
+  return {
+    manifest: draft,
+    licensee_id: licenseeId,
+    licensee,
+    changed_fields: changedFields,
+    refreshed_license_ids: refreshedLicenseIds,
+  };
+}
+
+export function removeLicenseeFromManifest(manifest, licenseeId) {
+  const draft = deepClone(manifest);
+  const licensees = Array.isArray(draft.licensees) ? draft.licensees : [];
+  const referencingIds = (Array.isArray(draft.license_instances) ? draft.license_instances : [])
+    .filter((entry) => isObject(entry) && entry.licensee_id === licenseeId)
+    .map((entry) => entry.license_id);
+
+  if (referencingIds.length > 0) {
+    throw new Error(
+      `Licensee '${licenseeId}' is still referenced by license instance(s): ${referencingIds.join(", ")}.`,
+    );
+  }
+
+  const filteredLicensees = licensees.filter((entry) => !isObject(entry) || entry.licensee_id !== licenseeId);
+  if (filteredLicensees.length === 0 && licensees.length > 0) {
+    throw new Error(`Licensee '${licenseeId}' is the only licensee; the manifest needs at least one.`);
+  }
+
+  draft.licensees = filteredLicensees;
+
+  return {
+    manifest: draft,
+    removed: filteredLicensees.length !== licensees.length,
+  };
+}
+
+export function upsertUsageObservations(manifest, observations) {
+  const draft = deepClone(manifest);
+  const current = Array.isArray(draft.usage_observations) ? draft.usage_observations : [];
+  const results = [];
+
+  for (const [index, input] of (Array.isArray(observations) ? observations : []).entries()) {
+    const observation = {
+      metric_type: normalizeOptionalString(input?.metric_type),
+      value: input?.value,
+      period_start: normalizeOptionalString(input?.period_start),
+      period_end: normalizeOptionalString(input?.period_end) ?? normalizeOptionalString(input?.period_start),
+      scope_type: normalizeOptionalString(input?.scope_type) ?? "project",
+      scope_id: normalizeOptionalString(input?.scope_id) ?? draft.project?.project_id,
+      source: normalizeOptionalString(input?.source) ?? "manual_import",
+    };
+
+    const licenseId = normalizeOptionalString(input?.license_id);
+    if (licenseId) {
+      observation.license_id = licenseId;
+    }
+
+    const evidence = normalizeOptionalString(input?.evidence);
+    if (evidence) {
+      observation.evidence = evidence;
+    }
+
+    // Re-recording the same metric, scope and period replaces the earlier value instead of adding to it.
+    const identity = [
+      observation.metric_type,
+      observation.scope_type,
+      observation.scope_id,
+      licenseId ?? "",
+      observation.period_start,
+      observation.period_end,
+      observation.source,
+    ].join("|");
+    observation.observation_id =
+      normalizeOptionalString(input?.observation_id) ?? `usage_${sha256Hex(identity).slice(0, 16)}`;
+    observation.recorded_at = normalizeOptionalString(input?.recorded_at) ?? new Date().toISOString();
+
+    const errors = [];
+    validateUsageObservation(errors, `usage_observations[${index}]`, observation);
+    if (errors.length > 0) {
+      throw new Error(`Usage observation validation failed: ${errors.join("; ")}`);
+    }
+
+    const existingIndex = current.findIndex(
+      (entry) => isObject(entry) && entry.observation_id === observation.observation_id,
+    );
+    if (existingIndex >= 0) {
+      current[existingIndex] = observation;
+    } else {
+      current.push(observation);
+    }
+
+    results.push({ action: existingIndex >= 0 ? "updated" : "added", observation });
+  }
+
+  draft.usage_observations = current;
+
+  return {
+    manifest: draft,
+    added_count: results.filter((entry) => entry.action === "added").length,
+    updated_count: results.filter((entry) => entry.action === "updated").length,
+    observations: results.map((entry) => entry.observation),
+  };
+}
+
 export function getManifestProjectId(manifest) {
   if (!isObject(manifest.project)) {
     throw new Error("manifest.project must be an object.");
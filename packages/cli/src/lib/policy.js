@@ -43,14 +43,17 @@ function readRequiredModifications(fontUsage) {
     usage.requiredModificationKinds,
   ];
 
+  // Modifications the scanner saw in shipped binaries (e.g. subsets) count even if nobody declared them.
+  const detected = asStringArray(asObject(usage.scan)?.detected_modifications);
+
   for (const candidate of candidates) {
     const values = asStringArray(candidate);
     if (values.length > 0) {
-      return values;
+      return Array.from(new Set([...values, ...detected]));
     }
   }
 
-  return [];
+  return detected;
 }
 
 function isSelfHostingUsage(fontUsage) {
@@ -75,10 +78,538 @@ function isSelfHostingUsage(fontUsage) {
   return false;
 }
 
+const EMBEDDING_SENSITIVE_CONTEXTS = ["web", "app"];
+
+function readUsageContexts(fontUsage) {
+  const usage = asObject(fontUsage);
+  if (!usage) {
+    return [];
+  }
+
+  const declared = Array.from(new Set(asStringArray(usage.contexts)));
+  // Native app font registrations found by the scanner count as app usage even if nobody declared it.
+  const appFonts = asObject(usage.scan)?.app_fonts;
+  const detected = Array.isArray(appFonts) && appFonts.length > 0 && !declared.includes("app") ? ["app"] : [];
+  return [
+    ...declared.map((context) => ({ context, source: "declared" })),
+    ...detected.map((context) => ({ context, source: "detected" })),
+  ];
+}
+
+function readScannedFontFiles(fontUsage) {
+  const scan = asObject(asObject(fontUsage)?.scan);
+  if (!scan || !Array.isArray(scan.font_files)) {
+    return [];
+  }
+
+  return scan.font_files.filter((entry) => Boolean(asObject(entry)));
+}
+
+function evaluateEmbeddingPermissions(fontId, font, reasons) {
+  const usageContexts = readUsageContexts(font.usage).filter((entry) =>
+    EMBEDDING_SENSITIVE_CONTEXTS.includes(entry.context),
+  );
+  if (usageContexts.length === 0) {
+    return;
+  }
+
+  const contexts = usageContexts.map((entry) => entry.context);
+  const detectedContexts = usageContexts.filter((entry) => entry.source === "detected").map((entry) => entry.context);
+
+  const fontFiles = readScannedFontFiles(font.usage);
+  const pathsWith = (permission) =>
+    fontFiles
+      .filter((entry) => asString(entry.embedding_permission) === permission)
+      .map((entry) => asString(entry.path) ?? "unknown_path");
+
+  const restrictedPaths = pathsWith("restricted");
+  if (restrictedPaths.length > 0) {
+    reasons.push({
+      code: "EMBEDDING_RESTRICTED_LICENSE",
+      severity: "escalate",
+      message: `Font '${fontId}' ships file(s) marked restricted-license embedding (OS/2 fsType) but is used in ${contexts.join("/")} context.`,
+      context: { font_id: fontId, contexts, detected_contexts: detectedContexts, paths: restrictedPaths },
+    });
+  }
+
+  const previewPrintPaths = pathsWith("preview_print");
+  if (previewPrintPaths.length > 0) {
+    reasons.push({
+      code: "EMBEDDING_PREVIEW_PRINT_ONLY",
+      severity: "warn",
+      message: `Font '${fontId}' ships file(s) limited to preview-and-print embedding (OS/2 fsType) but is used in ${contexts.join("/")} context.`,
+      context: { font_id: fontId, contexts, detected_contexts: detectedContexts, paths: previewPrintPaths },
+    });
+  }
+}
+
+// Adobe Fonts may only be served from Adobe's CDN; the free services allow copies.
+const SERVICE_PROVIDERS_WITHOUT_SELF_HOSTING = ["adobe_fonts"];
+
+function evaluateServiceHosting(fontId, font, provider, reasons) {
+  const selfHostedPaths = readScannedFontFiles(font.usage).map((entry) => asString(entry.path) ?? "unknown_path");
+  if (selfHostedPaths.length === 0 && !isSelfHostingUsage(font.usage)) {
+    return;
+  }
+
+  const selfHostingForbidden = SERVICE_PROVIDERS_WITHOUT_SELF_HOSTING.includes(provider);
+  reasons.push({
+    code: "SERVICE_FONT_SELF_HOSTED",
+    severity: selfHostingForbidden ? "escalate" : "warn",
+    message: selfHostingForbidden
+      ? `Font '${fontId}' is licensed through ${provider} but font files are self-hosted; the service only covers CDN delivery.`
+      : `Font '${fontId}' is served by a web font service but font files are also self-hosted; record the license for the local copies.`,
+    context: { font_id: fontId, provider: provider ?? null, paths: selfHostedPaths },
+  });
+}
+
+export const DEFAULT_EXPIRY_HORIZON_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function readPolicyClock(options) {
+  const now = options.now instanceof Date ? options.now : new Date(options.now ?? Date.now());
+  if (Number.isNaN(now.valueOf())) {
+    throw new Error(`Invalid policy clock '${options.now}'. Expected an ISO date-time.`);
+  }
+
+  return now;
+}
+
+function readExpiryHorizonDays(options) {
+  const horizonDays = options.expiryHorizonDays ?? DEFAULT_EXPIRY_HORIZON_DAYS;
+  if (!Number.isInteger(horizonDays) || horizonDays < 0) {
+    throw new Error(`Invalid expiry horizon '${horizonDays}'. Expected a non-negative number of days.`);
+  }
+
+  return horizonDays;
+}
+
+function readInstanceDate(instance, key) {
+  const value = asString(instance[key]);
+  if (!value) {
+    return null;
+  }
+
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.valueOf()) ? null : parsed;
+}
+
+function evaluateLicenseValidity(fontId, licenseId, instance, clock, reasons) {
+  const { now, horizonDays } = clock;
+  const validFrom = readInstanceDate(instance, "valid_from");
+  const validUntil = readInstanceDate(instance, "valid_until");
+
+  if (validFrom && now.getTime() < validFrom.getTime()) {
+    reasons.push({
+      code: "LICENSE_NOT_YET_VALID",
+      severity: "escalate",
+      message: `License instance '${licenseId}' is not valid before ${instance.valid_from}.`,
+      context: { font_id: fontId, license_id: licenseId, valid_from: instance.valid_from },
+    });
+  }
+
+  if (validUntil && validUntil.getTime() <= now.getTime()) {
+    reasons.push({
+      code: "LICENSE_EXPIRED",
+      severity: "escalate",
+      message: `License instance '${licenseId}' expired on ${instance.valid_until}.`,
+      context: { font_id: fontId, license_id: licenseId, valid_until: instance.valid_until },
+    });
+    return;
+  }
+
+  const renewalDueAt = readInstanceDate(instance, "renewal_due_at");
+  const renewalOverdue = Boolean(renewalDueAt) && renewalDueAt.getTime() <= now.getTime();
+  if (renewalOverdue) {
+    const daysOverdue = Math.floor((now.getTime() - renewalDueAt.getTime()) / DAY_MS);
+    reasons.push({
+      code: "LICENSE_RENEWAL_OVERDUE",
+      severity: "warn",
+      message: `License instance '${licenseId}' was due for renewal on ${instance.renewal_due_at} (${daysOverdue} day(s) overdue).`,
+      context: {
+        font_id: fontId,
+        license_id: licenseId,
+        renewal_due_at: instance.renewal_due_at,
+        days_overdue: daysOverdue,
+        valid_until: instance.valid_until ?? null,
+      },
+    });
+  }
+
+  // A renewal deadline inside the horizon counts like an upcoming expiry; the earliest deadline is reported.
+  const deadline = (renewalOverdue ? ["valid_until"] : ["renewal_due_at", "valid_until"])
+    .map((field) => ({ field, date: readInstanceDate(instance, field) }))
+    .filter((entry) => entry.date && entry.date.getTime() - now.getTime() <= horizonDays * DAY_MS)
+    .sort((left, right) => left.date.getTime() - right.date.getTime())[0];
+
+  if (!deadline) {
+    return;
+  }
+
+  const daysRemaining = Math.ceil((deadline.date.getTime() - now.getTime()) / DAY_MS);
+  reasons.push({
+    code: "LICENSE_EXPIRING_SOON",
+    severity: "warn",
+    message:
+      deadline.field === "renewal_due_at"
+        ? `License instance '${licenseId}' is due for renewal on ${instance.renewal_due_at} (${daysRemaining} day(s)).`
+        : `License instance '${licenseId}' expires on ${instance.valid_until} (${daysRemaining} day(s)).`,
+    context: {
+      font_id: fontId,
+      license_id: licenseId,
+      due_field: deadline.field,
+      due_at: instance[deadline.field],
+      days_remaining: daysRemaining,
+      horizon_days: horizonDays,
+    },
+  });
+}
+
+export const DEFAULT_METRIC_WARNING_RATIO = 0.8;
+// Gauges describe a level at a point in time; the other metrics are counted up over the period.
+const GAUGE_METRIC_TYPES = ["seats", "domains"];
+
+function readMetricWarningRatio(options) {
+  const ratio = options.metricWarningRatio ?? DEFAULT_METRIC_WARNING_RATIO;
+  if (typeof ratio !== "number" || !(ratio > 0 && ratio <= 1)) {
+    throw new Error(`Invalid metric warning ratio '${ratio}'. Expected a number between 0 and 1.`);
+  }
+
+  return ratio;
+}
+
+function readUsageObservations(manifest) {
+  const raw = Array.isArray(manifest.usage_observations) ? manifest.usage_observations : [];
+  return raw.filter(
+    (entry) =>
+      Boolean(asObject(entry)) &&
+      asString(entry.metric_type) &&
+      Number.isFinite(entry.value) &&
+      !Number.isNaN(Date.parse(entry.period_start)),
+  );
+}
+
+function readMetricPeriodKey(period, observation) {
+  const periodStart = new Date(observation.period_start).toISOString();
+
+  if (period === "per_month") {
+    return periodStart.slice(0, 7);
+  }
+
+  if (period === "per_year") {
+    return periodStart.slice(0, 4);
+  }
+
+  if (period === "per_release") {
+    return asString(observation.observation_id) ?? periodStart;
+  }
+
+  return "lifetime";
+}
+
+// Calendar periods split observations that span several months or years: counted metrics are prorated by day,
+// gauges hold their level in every period they cover.
+function readMetricPeriodShares(period, observation) {
+  if (period !== "per_month" && period !== "per_year") {
+    return [{ key: readMetricPeriodKey(period, observation), share: 1 }];
+  }
+
+  const startDay = Math.floor(Date.parse(observation.period_start) / DAY_MS);
+  const parsedEnd = Date.parse(observation.period_end);
+  const endDay = Number.isNaN(parsedEnd) ? startDay : Math.max(startDay, Math.floor(parsedEnd / DAY_MS));
+  const totalDays = endDay - startDay + 1;
+  const daysByKey = new Map();
+
+  for (let day = startDay; day <= endDay; day += 1) {
+    const key = readMetricPeriodKey(period, { period_start: new Date(day * DAY_MS).toISOString() });
+    daysByKey.set(key, (daysByKey.get(key) ?? 0) + 1);
+  }
+
+  return Array.from(daysByKey, ([key, days]) => ({ key, share: days / totalDays }));
+}
+
+function doesObservationMatchInstance(observation, instance) {
+  const licenseId = asString(observation.license_id);
+  if (licenseId) {
+    return licenseId === asString(instance.license_id);
+  }
+
+  const scope = asObject(instance.scope);
+  return (
+    asString(observation.scope_type) === asString(scope?.scope_type) &&
+    asString(observation.scope_id) === asString(scope?.scope_id)
+  );
+}
+
+export function summarizeMetricUsage(manifest) {
+  const observations = readUsageObservations(manifest);
+  const instances = Array.isArray(manifest.license_instances) ? manifest.license_instances : [];
+  const summaries = [];
+
+  for (const instance of instances) {
+    const licenseId = asString(asObject(instance)?.license_id);
+    if (!licenseId) {
+      continue;
+    }
+
+    const metricLimits = Array.isArray(instance.metric_limits) ? instance.metric_limits : [];
+    for (const metricLimit of metricLimits) {
+      const metricType = asString(asObject(metricLimit)?.metric_type);
+      const period = asString(metricLimit.period);
+      if (!metricType || !period || !Number.isFinite(metricLimit.limit)) {
+        continue;
+      }
+
+      const gauge = GAUGE_METRIC_TYPES.includes(metricType);
+      const buckets = new Map();
+      const matched = observations.filter(
+        (observation) => observation.metric_type === metricType && doesObservationMatchInstance(observation, instance),
+      );
+
+      for (const observation of matched) {
+        for (const { key, share } of readMetricPeriodShares(period, observation)) {
+          const current = buckets.get(key) ?? { value: 0, observation_ids: [] };
+          current.value = gauge
+            ? Math.max(current.value, observation.value)
+            : Math.round((current.value + observation.value * share) * 1000) / 1000;
+          current.observation_ids.push(asString(observation.observation_id) ?? "unknown_observation");
+          buckets.set(key, current);
+        }
+      }
+
+      let peakKey = null;
+      for (const [key, bucket] of buckets) {
+        if (peakKey === null || bucket.value >= buckets.get(peakKey).value) {
+          peakKey = key;
+        }
+      }
+
+      const peak = peakKey === null ? null : buckets.get(peakKey);
+      summaries.push({
+        license_id: licenseId,
+        status: asString(instance.status),
+        metric_type: metricType,
+        period,
+        limit: metricLimit.limit,
+        value: peak ? peak.value : null,
+        period_key: peakKey,
+        ratio: peak && metricLimit.limit > 0 ? Math.round((peak.value / metricLimit.limit) * 1000) / 1000 : null,
+        observation_count: matched.length,
+        observation_ids: peak ? peak.observation_ids : [],
+      });
+    }
+  }
+
+  return summaries;
+}
+
+function evaluateMetricLimits(manifest, warningRatio, reasons) {
+  for (const usage of summarizeMetricUsage(manifest)) {
+    if (usage.value === null || (usage.status && usage.status !== "active")) {
+      continue;
+    }
+
+    const context = {
+      license_id: usage.license_id,
+      metric_type: usage.metric_type,
+      period: usage.period,
+      period_key: usage.period_key,
+      limit: usage.limit,
+      value: usage.value,
+      observation_ids: usage.observation_ids,
+    };
+
+    if (usage.value > usage.limit) {
+      reasons.push({
+        code: "METRIC_LIMIT_EXCEEDED",
+        severity: "escalate",
+        message: `Recorded ${usage.metric_type} (${usage.value}) exceed the limit of ${usage.limit} ${usage.period} for '${usage.license_id}' (${usage.period_key}).`,
+        context,
+      });
+    } else if (usage.limit > 0 && usage.value >= usage.limit * warningRatio) {
+      reasons.push({
+        code: "METRIC_LIMIT_APPROACHING",
+        severity: "warn",
+        message: `Recorded ${usage.metric_type} (${usage.value}) reach ${Math.round(usage.ratio * 100)}% of the limit of ${usage.limit} ${usage.period} for '${usage.license_id}' (${usage.period_key}).`,
+        context: { ...context, warning_ratio: warningRatio },
+      });
+    }
+  }
+}
+
 function findRight(rights, rightType) {
   return rights.find((right) => typeof right.right_type === "string" && right.right_type === rightType) ?? null;
 }
 
+function evaluateShippedFormats(fontId, licenseId, font, formatsRight, reasons) {
+  const allowedFormats = asStringArray(formatsRight?.allowed_formats).map((format) => format.toLowerCase());
+  if (allowedFormats.length === 0) {
+    return;
+  }
+
+  const offendingPaths = new Map();
+  for (const fontFile of readScannedFontFiles(font.usage)) {
+    const formats = [asString(fontFile.format)?.toLowerCase(), fontFile.variable === true ? "variable" : null];
+
+    for (const format of formats) {
+      if (!format || allowedFormats.includes(format)) {
+        continue;
+      }
+
+      if (!offendingPaths.has(format)) {
+        offendingPaths.set(format, []);
+      }
+      offendingPaths.get(format).push(asString(fontFile.path) ?? "unknown_path");
+    }
+  }
+
+  if (offendingPaths.size === 0) {
+    return;
+  }
+
+  const disallowedFormats = Array.from(offendingPaths.keys()).sort((a, b) => a.localeCompare(b));
+  reasons.push({
+    code: "FORMAT_NOT_ALLOWED",
+    severity: "warn",
+    message: `Font '${fontId}' ships ${disallowedFormats.join("/")} file(s), but the offering only allows ${allowedFormats.join(", ")}.`,
+    context: {
+      font_id: fontId,
+      license_id: licenseId,
+      allowed_formats: allowedFormats,
+      disallowed_formats: disallowedFormats,
+      paths: Array.from(new Set(Array.from(offendingPaths.values()).flat())),
+    },
+  });
+}
+
+const CONTEXT_RIGHT_TYPES = {
+  web: "media_web",
+  app: "media_app",
+  desktop: "media_desktop",
+  print: "media_print",
+  broadcast: "media_broadcast",
+  ebook: "media_ebook",
+  server: "media_server",
+};
+
+function evaluateContextRights(fontId, licenseId, font, instance, rights, reasons) {
+  const activatedRightIds = asStringArray(instance.activated_right_ids);
+
+  for (const { context, source } of readUsageContexts(font.usage)) {
+    const requiredRightType = CONTEXT_RIGHT_TYPES[context];
+    if (!requiredRightType) {
+      continue;
+    }
+
+    const matchingRights = rights.filter((right) => asString(right.right_type) === requiredRightType);
+    const allowedRights = matchingRights.filter((right) => right.allowed === true);
+    const activatedRights = allowedRights.filter((right) => activatedRightIds.includes(asString(right.right_id)));
+    if (activatedRights.length > 0) {
+      continue;
+    }
+
+    const problem =
+      matchingRights.length === 0 ? "not_in_offering" : allowedRights.length === 0 ? "not_allowed" : "not_activated";
+    const usage = source === "detected" ? `${context} context (detected by scan)` : `${context} context`;
+    reasons.push({
+      code: "CONTEXT_NOT_LICENSED",
+      severity: "escalate",
+      message:
+        problem === "not_activated"
+          ? `Font '${fontId}' is used in ${usage}, but '${licenseId}' does not activate the ${requiredRightType} right.`
+          : `Font '${fontId}' is used in ${usage}, but the offering does not allow ${requiredRightType}.`,
+      context: {
+        font_id: fontId,
+        license_id: licenseId,
+        usage_context: context,
+        context_source: source,
+        required_right_type: requiredRightType,
+        problem,
+        right_ids: allowedRights.map((right) => asString(right.right_id)).filter(Boolean),
+      },
+    });
+  }
+}
+
+function readInstanceLicenseeType(manifest, instance) {
+  const embeddedType = asString(asObject(instance.licensee)?.type);
+  if (embeddedType) {
+    return embeddedType;
+  }
+
+  const licenseeId = asString(instance.licensee_id);
+  const licensees = Array.isArray(manifest.licensees) ? manifest.licensees : [];
+  const registered = licensees.find((entry) => asString(asObject(entry)?.licensee_id) === licenseeId);
+  return asString(asObject(registered)?.type);
+}
+
+function readProjectClientWork(manifest) {
+  const project = asObject(manifest.project);
+  const clientId = asString(project?.client_id);
+
+  return {
+    clientWork: clientId !== null || project?.client_work === true,
+    clientId,
+  };
+}
+
+const LICENSE_TRANSFER_GUIDANCE =
+  "Transfer the license to the client (licensee type 'client', scope 'client') and attach the foundry's transfer " +
+  "confirmation as evidence, or license the font under an offering that allows client work.";
+
+function evaluateAgencyClientScope(fontId, licenseId, instance, licenseeType, clientWork, reasons) {
+  const scope = asObject(instance.scope);
+  if (licenseeType !== "agency" || asString(scope?.scope_type) !== "client") {
+    return;
+  }
+
+  const scopeClientId = asString(scope?.scope_id);
+  if (scopeClientId === clientWork.clientId) {
+    return;
+  }
+
+  reasons.push({
+    code: "AGENCY_LICENSE_CLIENT_MISMATCH",
+    severity: "escalate",
+    message: clientWork.clientId
+      ? `Agency license '${licenseId}' for font '${fontId}' is scoped to client '${scopeClientId}', but the project is built for client '${clientWork.clientId}'. ${LICENSE_TRANSFER_GUIDANCE}`
+      : `Agency license '${licenseId}' for font '${fontId}' is scoped to client '${scopeClientId}', but the project is not marked as work for that client. ${LICENSE_TRANSFER_GUIDANCE}`,
+    context: {
+      font_id: fontId,
+      license_id: licenseId,
+      licensee_id: asString(instance.licensee_id),
+      scope_client_id: scopeClientId,
+      project_client_id: clientWork.clientId,
+      guidance: LICENSE_TRANSFER_GUIDANCE,
+    },
+  });
+}
+
+function evaluateClientWorkRight(fontId, licenseId, instance, clientWork, clientWorkRight, reasons) {
+  if (!clientWork.clientWork || !clientWorkRight || clientWorkRight.allowed === true) {
+    return;
+  }
+
+  const licenseeId = asString(instance.licensee_id);
+  if (clientWork.clientId && licenseeId === clientWork.clientId) {
+    return;
+  }
+
+  reasons.push({
+    code: "CLIENT_WORK_NOT_ALLOWED",
+    severity: "escalate",
+    message: `Font '${fontId}' is used in client work, but the offering behind '${licenseId}' does not allow client_work. ${LICENSE_TRANSFER_GUIDANCE}`,
+    context: {
+      font_id: fontId,
+      license_id: licenseId,
+      licensee_id: licenseeId,
+      project_client_id: clientWork.clientId,
+      right_id: asString(clientWorkRight.right_id),
+      guidance: LICENSE_TRANSFER_GUIDANCE,
+    },
+  });
+}
+
 function makeDecision(reasons) {
   if (reasons.some((reason) => reason.severity === "escalate")) {
     return "escalate";
@@ -140,11 +671,15 @@ function doesExceptionMatchReason(exception, reason) {
   return true;
 }
 
-export function evaluatePolicy(manifest) {
+export function evaluatePolicy(manifest, options = {}) {
+  const now = readPolicyClock(options);
+  const clock = { now, horizonDays: readExpiryHorizonDays(options) };
+  const metricWarningRatio = readMetricWarningRatio(options);
   const reasons = [];
   const evidenceRequired = new Set();
 
   const projectDomains = readProjectDomains(manifest);
+  const clientWork = readProjectClientWork(manifest);
   const fonts = Array.isArray(manifest.fonts) ? manifest.fonts : [];
   const instances = Array.isArray(manifest.license_instances) ? manifest.license_instances : [];
   const offerings = Array.isArray(manifest.license_offerings) ? manifest.license_offerings : [];
@@ -199,6 +734,12 @@ export function evaluatePolicy(manifest) {
       }
     }
 
+    if (sourceType === "service") {
+      evaluateServiceHosting(fontId, font, asString(source?.provider), reasons);
+    }
+
+    evaluateEmbeddingPermissions(fontId, font, reasons);
+
     if (!instance) {
       continue;
     }
@@ -211,6 +752,8 @@ export function evaluatePolicy(manifest) {
         message: `License instance '${activeInstanceId}' is '${status}', not active.`,
         context: { license_id: activeInstanceId, status },
       });
+    } else {
+      evaluateLicenseValidity(fontId, activeInstanceId, instance, clock, reasons);
     }
 
     const scope = asObject(instance.scope);
@@ -229,6 +772,9 @@ export function evaluatePolicy(manifest) {
       }
     }
 
+    const licenseeType = readInstanceLicenseeType(manifest, instance);
+    evaluateAgencyClientScope(fontId, activeInstanceId, instance, licenseeType, clientWork, reasons);
+
     const offeringRef = asObject(instance.offering_ref);
     const offeringId = asString(offeringRef?.offering_id);
     const offeringVersion = asString(offeringRef?.offering_version);
@@ -269,6 +815,10 @@ export function evaluatePolicy(manifest) {
       }
     }
 
+    evaluateContextRights(fontId, activeInstanceId, font, instance, rights, reasons);
+    evaluateClientWorkRight(fontId, activeInstanceId, instance, clientWork, findRight(rights, "client_work"), reasons);
+    evaluateShippedFormats(fontId, activeInstanceId, font, findRight(rights, "formats"), reasons);
+
     const requiredModifications = readRequiredModifications(font.usage);
     if (requiredModifications.length > 0) {
       const modificationRight = findRight(rights, "modification");
@@ -304,7 +854,9 @@ export function evaluatePolicy(manifest) {
     }
   }
 
-  const activeExceptions = readPolicyExceptions(manifest).filter((exception) => !isExceptionExpired(exception));
+  evaluateMetricLimits(manifest, metricWarningRatio, reasons);
+
+  const activeExceptions = readPolicyExceptions(manifest).filter((exception) => !isExceptionExpired(exception, now));
   const activeExceptionIds = activeExceptions
     .map((entry) => asString(entry.exception_id))
     .filter((entry) => typeof entry === "string")
@@ -330,6 +882,14 @@ export function evaluatePolicy(manifest) {
     evidenceRequired.delete("license_instances[].evidence[]");
   }
 
+  if (
+    effectiveReasons.some(
+      (reason) => reason.code === "AGENCY_LICENSE_CLIENT_MISMATCH" || reason.code === "CLIENT_WORK_NOT_ALLOWED",
+    )
+  ) {
+    evidenceRequired.add("license_instances[].evidence[] (license transfer)");
+  }
+
   return {
     decision: makeDecision(effectiveReasons),
     reasons: effectiveReasons,
@@ -2,8 +2,13 @@ import test from "node:test";
 import assert from "node:assert/strict";
 import {
   addFontToManifest,
+  addLicenseInstanceToManifest,
+  addLicenseeToManifest,
   createManifest,
   removeFontFromManifest,
+  revokeLicenseInstance,
+  supersedeLicenseInstance,
+  updateLicenseInstanceInManifest,
   upsertLicenseEvidence,
   validateManifestDocument,
 } from "./index.js";
@@ -14,12 +19,19 @@ test("createManifest produces schema-valid manifest", async () => {
     projectId: "acme_design",
     licenseeLegalName: "Acme Design GmbH",
     projectDomains: ["acme.example"],
+    projectClientId: "client_beta",
   });
 
   const validation = await validateManifestDocument(manifest);
 
   assert.equal(validation.valid, true);
   assert.equal(validation.errors.length, 0);
+  assert.equal(manifest.project.client_work, true);
+  assert.equal(manifest.project.client_id, "client_beta");
+
+  manifest.project.client_work = "yes";
+  const invalid = await validateManifestDocument(manifest);
+  assert.ok(invalid.errors.includes("/project/client_work must be a boolean"));
 });
 
 test("validateManifestDocument rejects invalid manifest", async () => {
@@ -118,3 +130,124 @@ test("upsertLicenseEvidence attaches evidence to an existing license instance",
   assert.equal(validationAfter.valid, true);
   assert.equal(result.manifest.license_instances[0].evidence.length, 1);
 });
+
+test("addLicenseInstanceToManifest and supersedeLicenseInstance keep font links in sync", async () => {
+  const manifest = addFontToManifest(createManifest({ projectName: "Licensed Project" }), {
+    font_id: "font_brand",
+    family_name: "Brand Sans",
+    source: { type: "byo" },
+    license_instance_ids: [],
+  });
+  manifest.license_offerings = [
+    {
+      kind: "offering",
+      offering_id: "foundry.web",
+      offering_version: "1.2.0",
+      offering_type: "commercial",
+      name: "Web",
+      rights: [
+        { right_id: "r.web", right_type: "media_web", allowed: true },
+        { right_id: "r.clientwork", right_type: "client_work", allowed: false },
+      ],
+      metric_models: [],
+      price_formula: { currency: "EUR", base_price: 50 },
+    },
+  ];
+
+  const added = addLicenseInstanceToManifest(manifest, { fontIds: ["font_brand"], offeringId: "foundry.web" });
+  assert.equal(added.license_id, "lic_font_brand_001");
+  assert.deepEqual(added.instance.offering_ref, { offering_id: "foundry.web", offering_version: "1.2.0" });
+  assert.deepEqual(added.instance.activated_right_ids, ["r.web"]);
+  assert.equal(added.manifest.fonts[0].active_license_instance_id, "lic_font_brand_001");
+  assert.throws(
+    () => addLicenseInstanceToManifest(added.manifest, { licenseId: "lic_font_brand_001", fontIds: ["font_brand"] }),
+    /already exists/,
+  );
+
+  const superseded = supersedeLicenseInstance(added.manifest, { licenseId: "lic_font_brand_001" });
+  assert.equal(superseded.instance.upgrades_from, "lic_font_brand_001");
+  assert.equal(superseded.manifest.license_instances[0].status, "superseded");
+  assert.equal(superseded.manifest.fonts[0].active_license_instance_id, superseded.license_id);
+
+  const validation = await validateManifestDocument(superseded.manifest);
+  assert.equal(validation.valid, true, validation.errors.join("; "));
+
+  const twoFonts = addFontToManifest(manifest, {
+    font_id: "font_serif",
+    family_name: "Brand Serif",
+    source: { type: "byo" },
+    license_instance_ids: [],
+  });
+  const bundle = addLicenseInstanceToManifest(twoFonts, {
+    fontIds: ["font_brand", "font_serif"],
+    offeringId: "foundry.web",
+  });
+  const narrowed = supersedeLicenseInstance(bundle.manifest, { licenseId: bundle.license_id, fontIds: ["font_brand"] });
+  const [brand, serif] = narrowed.manifest.fonts;
+  assert.equal(brand.active_license_instance_id, narrowed.license_id);
+  assert.equal(serif.active_license_instance_id, undefined);
+  assert.deepEqual(narrowed.deactivated_font_ids, ["font_serif"]);
+  assert.equal((await validateManifestDocument(narrowed.manifest)).valid, true);
+});
+
+test("addLicenseInstanceToManifest defaults the licensee only when exactly one is registered", () => {
+  const manifest = addFontToManifest(createManifest({ projectName: "Agency Project" }), {
+    font_id: "font_brand",
+    family_name: "Brand Sans",
+    source: { type: "byo" },
+    license_instance_ids: [],
+  });
+  const input = {
+    fontIds: ["font_brand"],
+    offeringId: "foundry.web",
+    offeringVersion: "1.0.0",
+    activatedRightIds: ["r.web"],
+  };
+
+  const single = addLicenseInstanceToManifest(manifest, input);
+  assert.equal(single.instance.licensee_id, manifest.licensees[0].licensee_id);
+
+  const withClient = addLicenseeToManifest(manifest, { licenseeId: "client_acme", legalName: "ACME", type: "client" });
+  assert.throws(
+    () => addLicenseInstanceToManifest(withClient.manifest, input),
+    /licenseeId is required when the manifest has more than one licensee \(.*client_acme\)/,
+  );
+  const chosen = addLicenseInstanceToManifest(withClient.manifest, { ...input, licenseeId: "client_acme" });
+  assert.equal(chosen.instance.licensee_id, "client_acme");
+});
+
+test("revoked license instances cannot be updated or re-activated", () => {
+  const manifest = addFontToManifest(createManifest({ projectName: "Revoked Project" }), {
+    font_id: "font_brand",
+    family_name: "Brand Sans",
+    source: { type: "byo" },
+    license_instance_ids: [],
+  });
+  const added = addLicenseInstanceToManifest(manifest, {
+    fontIds: ["font_brand"],
+    offeringId: "foundry.web",
+    offeringVersion: "1.0.0",
+    activatedRightIds: ["r.web"],
+  });
+  const revoked = revokeLicenseInstance(added.manifest, { licenseId: added.license_id, reason: "refunded" });
+  assert.equal(revoked.manifest.fonts[0].active_license_instance_id, undefined);
+
+  assert.throws(
+    () => updateLicenseInstanceInManifest(revoked.manifest, { licenseId: added.license_id, notes: "x" }),
+    /is revoked and can no longer be updated/,
+  );
+  assert.throws(
+    () => updateLicenseInstanceInManifest(revoked.manifest, { licenseId: added.license_id, status: "active" }),
+    /is revoked and can no longer be updated/,
+  );
+
+  const expired = addLicenseInstanceToManifest(revoked.manifest, {
+    fontIds: ["font_brand"],
+    offeringId: "foundry.web",
+    offeringVersion: "1.0.0",
+    activatedRightIds: ["r.web"],
+    status: "expired",
+  });
+  assert.equal(expired.manifest.fonts[0].active_license_instance_id, undefined);
+  assert.deepEqual(expired.manifest.fonts[0].license_instance_ids, [added.license_id, expired.license_id]);
+});
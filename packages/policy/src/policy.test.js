@@ -1,6 +1,6 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { applyPolicyPreset, evaluatePolicy } from "./index.js";
+import { applyPolicyPreset, evaluatePolicy, summarizeMetricUsage } from "./index.js";
 
 function baseManifest() {
   return {
@@ -104,6 +104,18 @@ test("escalates when required modification kind is not allowed", () => {
   assert.ok(result.reasons.some((reason) => reason.code === "MODIFICATION_KIND_NOT_ALLOWED"));
 });
 
+test("treats subsets detected by the scanner as required modifications", () => {
+  const manifest = baseManifest();
+  manifest.license_offerings[0].rights[2].modification_kinds = ["convert"];
+  manifest.fonts[0].usage = { scan: { detected_modifications: ["subset"] } };
+
+  const result = evaluatePolicy(manifest);
+  const reason = result.reasons.find((entry) => entry.code === "MODIFICATION_KIND_NOT_ALLOWED");
+
+  assert.equal(result.decision, "escalate");
+  assert.deepEqual(reason.context.disallowed, ["subset"]);
+});
+
 test("returns allow when no policy findings are present", () => {
   const manifest = baseManifest();
   manifest.fonts[0].source = { type: "oss" };
@@ -178,3 +190,308 @@ test("expired policy exceptions do not suppress findings", () => {
   assert.equal(result.reasons.some((reason) => reason.code === "BYO_NO_EVIDENCE"), true);
   assert.equal(result.suppressed_reasons.length, 0);
 });
+
+test("escalates when web-used font ships restricted-license embedding files", () => {
+  const manifest = baseManifest();
+  manifest.fonts[0].source = { type: "oss" };
+  manifest.fonts[0].usage = {
+    contexts: ["web"],
+    scan: {
+      font_files: [
+        { path: "fonts/Inter-Regular.woff2", extension: ".woff2", fs_type: 2, embedding_permission: "restricted" },
+        { path: "fonts/Inter-Bold.woff2", extension: ".woff2", fs_type: 4, embedding_permission: "preview_print" },
+        { path: "fonts/Inter-Italic.woff2", extension: ".woff2", fs_type: 0, embedding_permission: "installable" },
+      ],
+    },
+  };
+
+  const result = evaluatePolicy(manifest);
+
+  assert.equal(result.decision, "escalate");
+  const restricted = result.reasons.find((reason) => reason.code === "EMBEDDING_RESTRICTED_LICENSE");
+  assert.ok(restricted);
+  assert.deepEqual(restricted.context.paths, ["fonts/Inter-Regular.woff2"]);
+  const previewPrint = result.reasons.find((reason) => reason.code === "EMBEDDING_PREVIEW_PRINT_ONLY");
+  assert.ok(previewPrint);
+  assert.equal(previewPrint.severity, "warn");
+});
+
+test("ignores embedding bits when font is not used in web or app contexts", () => {
+  const manifest = baseManifest();
+  manifest.fonts[0].source = { type: "oss" };
+  manifest.license_offerings[0].rights.push({ right_id: "r_print", right_type: "media_print", allowed: true });
+  manifest.license_instances[0].activated_right_ids.push("r_print");
+  manifest.fonts[0].usage = {
+    contexts: ["print"],
+    scan: {
+      font_files: [{ path: "fonts/Inter.otf", extension: ".otf", fs_type: 2, embedding_permission: "restricted" }],
+    },
+  };
+
+  let result = evaluatePolicy(manifest);
+
+  assert.equal(result.decision, "allow");
+
+  manifest.fonts[0].usage.scan.app_fonts = [{ platform: "android", declared_in: "res/font", paths: ["res/font/inter.otf"] }];
+  result = evaluatePolicy(manifest);
+  const restricted = result.reasons.find((reason) => reason.code === "EMBEDDING_RESTRICTED_LICENSE");
+  assert.deepEqual(restricted.context.contexts, ["app"]);
+  assert.deepEqual(restricted.context.detected_contexts, ["app"]);
+});
+
+test("escalates when Adobe Fonts service font files are self-hosted", () => {
+  const manifest = baseManifest();
+  manifest.fonts[0].source = { type: "service", name: "Adobe Fonts", provider: "adobe_fonts" };
+  manifest.fonts[0].license_instance_ids = [];
+  manifest.fonts[0].usage = {
+    scan: {
+      font_files: [{ path: "fonts/Inter.woff2", extension: ".woff2", fs_type: 0, embedding_permission: "installable" }],
+    },
+  };
+
+  const result = evaluatePolicy(manifest);
+
+  assert.equal(result.decision, "escalate");
+  const reason = result.reasons.find((entry) => entry.code === "SERVICE_FONT_SELF_HOSTED");
+  assert.ok(reason);
+  assert.deepEqual(reason.context.paths, ["fonts/Inter.woff2"]);
+
+  manifest.fonts[0].usage = {};
+  assert.equal(evaluatePolicy(manifest).decision, "allow");
+});
+
+test("evaluates license validity dates against the injected clock and expiry horizon", () => {
+  const manifest = baseManifest();
+  manifest.license_instances[0].valid_from = "2026-01-01T00:00:00Z";
+  manifest.license_instances[0].valid_until = "2026-12-31T00:00:00Z";
+
+  const notYetValid = evaluatePolicy(manifest, { now: new Date("2025-12-01T00:00:00Z") });
+  assert.equal(notYetValid.decision, "escalate");
+  assert.deepEqual(notYetValid.reasons.map((reason) => reason.code), ["LICENSE_NOT_YET_VALID"]);
+
+  assert.equal(evaluatePolicy(manifest, { now: "2026-06-01T00:00:00Z" }).decision, "allow");
+
+  const expiringSoon = evaluatePolicy(manifest, { now: "2026-12-11T00:00:00Z" });
+  assert.equal(expiringSoon.decision, "warn");
+  assert.equal(expiringSoon.reasons[0].code, "LICENSE_EXPIRING_SOON");
+  assert.equal(expiringSoon.reasons[0].context.days_remaining, 20);
+  assert.equal(evaluatePolicy(manifest, { now: "2026-12-11T00:00:00Z", expiryHorizonDays: 10 }).decision, "allow");
+
+  manifest.license_instances[0].renewal_due_at = "2026-11-01T00:00:00Z";
+  const renewalDue = evaluatePolicy(manifest, { now: "2026-10-15T00:00:00Z" });
+  assert.equal(renewalDue.reasons[0].context.due_field, "renewal_due_at");
+  assert.equal(renewalDue.reasons[0].context.days_remaining, 17);
+
+  const renewalOverdue = evaluatePolicy(manifest, { now: "2026-11-13T00:00:00Z" });
+  assert.equal(renewalOverdue.decision, "warn");
+  assert.deepEqual(renewalOverdue.reasons.map((reason) => reason.code), ["LICENSE_RENEWAL_OVERDUE"]);
+  assert.equal(renewalOverdue.reasons[0].context.days_overdue, 12);
+  assert.match(renewalOverdue.reasons[0].message, /was due for renewal on 2026-11-01T00:00:00Z \(12 day\(s\) overdue\)/);
+
+  const overdueAndExpiring = evaluatePolicy(manifest, { now: "2026-12-21T00:00:00Z" });
+  assert.deepEqual(
+    overdueAndExpiring.reasons.map((reason) => [reason.code, reason.context.due_field ?? null]),
+    [
+      ["LICENSE_RENEWAL_OVERDUE", null],
+      ["LICENSE_EXPIRING_SOON", "valid_until"],
+    ],
+  );
+
+  const expired = evaluatePolicy(manifest, { now: "2027-01-15T00:00:00Z" });
+  assert.equal(expired.decision, "escalate");
+  assert.deepEqual(expired.reasons.map((reason) => reason.code), ["LICENSE_EXPIRED"]);
+
+  assert.throws(() => evaluatePolicy(manifest, { now: "not-a-date" }), /Invalid policy clock/);
+});
+
+test("warns when shipped font formats are not covered by the formats right", () => {
+  const manifest = baseManifest();
+  manifest.license_offerings[0].rights.push({
+    right_id: "r4",
+    right_type: "formats",
+    allowed: true,
+    allowed_formats: ["woff2", "woff"],
+  });
+  manifest.fonts[0].usage = {
+    scan: {
+      font_files: [
+        { path: "fonts/Inter.woff2", format: "woff2", variable: false },
+        { path: "fonts/Inter.ttf", format: "ttf", variable: false },
+        { path: "fonts/InterVariable.woff2", format: "woff2", variable: true },
+      ],
+    },
+  };
+
+  const result = evaluatePolicy(manifest);
+
+  assert.equal(result.decision, "warn");
+  const reason = result.reasons.find((entry) => entry.code === "FORMAT_NOT_ALLOWED");
+  assert.deepEqual(reason.context.disallowed_formats, ["ttf", "variable"]);
+  assert.deepEqual(reason.context.paths, ["fonts/Inter.ttf", "fonts/InterVariable.woff2"]);
+
+  manifest.license_offerings[0].rights[3].allowed_formats = ["woff2", "ttf", "variable"];
+  assert.equal(evaluatePolicy(manifest).decision, "allow");
+});
+
+test("compares recorded usage observations with metric limits per period", () => {
+  const manifest = baseManifest();
+  manifest.license_instances[0].metric_limits = [
+    { metric_type: "pageviews", limit: 100000, period: "per_month" },
+    { metric_type: "seats", limit: 5, period: "lifetime" },
+  ];
+  const observe = (observationId, metricType, value, periodStart) => ({
+    observation_id: observationId,
+    metric_type: metricType,
+    value,
+    period_start: periodStart,
+    period_end: periodStart,
+    scope_type: "project",
+    scope_id: "proj_1",
+    source: "analytics",
+  });
+  manifest.usage_observations = [
+    observe("u1", "pageviews", 50000, "2026-08-01"),
+    observe("u2", "pageviews", 40000, "2026-08-15"),
+    observe("u3", "pageviews", 30000, "2026-09-01"),
+    observe("u4", "seats", 3, "2026-09-01"),
+  ];
+
+  const approaching = evaluatePolicy(manifest);
+  assert.equal(approaching.decision, "warn");
+  assert.deepEqual(approaching.reasons.map((reason) => reason.code), ["METRIC_LIMIT_APPROACHING"]);
+  assert.equal(approaching.reasons[0].context.period_key, "2026-08");
+  assert.equal(approaching.reasons[0].context.value, 90000);
+
+  manifest.usage_observations.push(observe("u5", "pageviews", 20000, "2026-08-20"));
+  manifest.usage_observations.push(observe("u6", "seats", 6, "2026-09-10"));
+  const exceeded = evaluatePolicy(manifest);
+  assert.equal(exceeded.decision, "escalate");
+  assert.deepEqual(
+    exceeded.reasons.map((reason) => [reason.code, reason.context.metric_type, reason.context.value]),
+    [
+      ["METRIC_LIMIT_EXCEEDED", "pageviews", 110000],
+      ["METRIC_LIMIT_EXCEEDED", "seats", 6],
+    ],
+  );
+
+  manifest.license_instances[0].status = "expired";
+  assert.ok(!evaluatePolicy(manifest).reasons.some((reason) => reason.code.startsWith("METRIC_LIMIT")));
+});
+
+test("splits observations spanning several periods across the limit's calendar periods", () => {
+  const manifest = baseManifest();
+  manifest.license_instances[0].metric_limits = [
+    { metric_type: "pageviews", limit: 100000, period: "per_month" },
+    { metric_type: "seats", limit: 3, period: "per_month" },
+  ];
+  const observe = (observationId, metricType, value, periodStart, periodEnd) => ({
+    observation_id: observationId,
+    metric_type: metricType,
+    value,
+    period_start: periodStart,
+    period_end: periodEnd,
+    scope_type: "project",
+    scope_id: "proj_1",
+    source: "analytics",
+  });
+  manifest.usage_observations = [observe("q3", "pageviews", 276000, "2026-07-01", "2026-09-30")];
+
+  const [pageviews, seats] = summarizeMetricUsage(manifest);
+  assert.equal(pageviews.value, 93000);
+  assert.equal(pageviews.period_key, "2026-08");
+  assert.equal(seats.value, null);
+  assert.equal(evaluatePolicy(manifest).reasons.find((reason) => reason.code === "METRIC_LIMIT_EXCEEDED"), undefined);
+
+  manifest.usage_observations.push(observe("q3_seats", "seats", 4, "2026-07-01", "2026-09-30"));
+  const exceeded = evaluatePolicy(manifest).reasons.filter((reason) => reason.code === "METRIC_LIMIT_EXCEEDED");
+  assert.deepEqual(
+    exceeded.map((reason) => [reason.context.metric_type, reason.context.value, reason.context.period_key]),
+    [["seats", 4, "2026-09"]],
+  );
+});
+
+test("escalates usage contexts that the offering does not allow or the instance does not activate", () => {
+  const manifest = baseManifest();
+  manifest.license_offerings[0].rights.push(
+    { right_id: "r_web", right_type: "media_web", allowed: true },
+    { right_id: "r_app", right_type: "media_app", allowed: true },
+    { right_id: "r_ebook", right_type: "media_ebook", allowed: false },
+  );
+  manifest.license_instances[0].activated_right_ids = ["r1", "r_web"];
+  manifest.fonts[0].usage = { contexts: ["web", "app", "ebook", "print", "slides"] };
+
+  const result = evaluatePolicy(manifest);
+
+  assert.equal(result.decision, "escalate");
+  assert.deepEqual(
+    result.reasons
+      .filter((reason) => reason.code === "CONTEXT_NOT_LICENSED")
+      .map((reason) => [reason.context.usage_context, reason.context.problem]),
+    [
+      ["app", "not_activated"],
+      ["ebook", "not_allowed"],
+      ["print", "not_in_offering"],
+    ],
+  );
+
+  manifest.fonts[0].usage = { contexts: ["web"] };
+  assert.equal(evaluatePolicy(manifest).decision, "allow");
+});
+
+test("treats scanned app font registrations as app usage next to declared contexts", () => {
+  const manifest = baseManifest();
+  manifest.license_offerings[0].rights.push({ right_id: "r_web", right_type: "media_web", allowed: true });
+  manifest.license_instances[0].activated_right_ids = ["r1", "r_web"];
+  manifest.fonts[0].usage = {
+    contexts: ["web"],
+    scan: { app_fonts: [{ platform: "ios", declared_in: "ios/App/Info.plist", paths: [] }] },
+  };
+
+  manifest.fonts[0].usage.contexts.push("print");
+
+  const reasons = evaluatePolicy(manifest).reasons.filter((reason) => reason.code === "CONTEXT_NOT_LICENSED");
+  assert.deepEqual(
+    reasons.map((reason) => [reason.context.usage_context, reason.context.context_source, reason.context.problem]),
+    [
+      ["print", "declared", "not_in_offering"],
+      ["app", "detected", "not_in_offering"],
+    ],
+  );
+  assert.match(reasons[1].message, /app context \(detected by scan\)/);
+
+  manifest.fonts[0].usage = { contexts: ["web"], scan: { app_fonts: [] } };
+  assert.equal(evaluatePolicy(manifest).decision, "allow");
+});
+
+test("escalates agency licenses used for other clients and client work the offering disallows", () => {
+  const manifest = baseManifest();
+  manifest.licensees.push({ licensee_id: "agency_studio", type: "agency", legal_name: "Studio" });
+  manifest.license_instances[0].licensee_id = "agency_studio";
+  manifest.license_instances[0].scope = { scope_type: "client", scope_id: "client_beta" };
+  manifest.project.domains = [];
+  manifest.project.client_id = "client_alpha";
+
+  let result = evaluatePolicy(manifest);
+  const mismatch = result.reasons.find((reason) => reason.code === "AGENCY_LICENSE_CLIENT_MISMATCH");
+  assert.equal(result.decision, "escalate");
+  assert.equal(mismatch.context.scope_client_id, "client_beta");
+  assert.equal(mismatch.context.project_client_id, "client_alpha");
+  assert.match(mismatch.context.guidance, /transfer/i);
+  assert.ok(result.evidence_required.includes("license_instances[].evidence[] (license transfer)"));
+  assert.equal(result.reasons.some((reason) => reason.code === "CLIENT_WORK_NOT_ALLOWED"), false);
+
+  manifest.license_instances[0].scope.scope_id = "client_alpha";
+  manifest.license_offerings[0].rights.push({ right_id: "r.clientwork", right_type: "client_work", allowed: false });
+  result = evaluatePolicy(manifest);
+  assert.deepEqual(
+    result.reasons.map((reason) => reason.code),
+    ["CLIENT_WORK_NOT_ALLOWED"],
+  );
+  assert.equal(result.reasons[0].context.right_id, "r.clientwork");
+
+  manifest.licensees.push({ licensee_id: "client_alpha", type: "client", legal_name: "Alpha" });
+  manifest.license_instances[0].licensee_id = "client_alpha";
+  result = evaluatePolicy(manifest);
+  assert.equal(result.decision, "allow");
+  assert.deepEqual(result.evidence_required, []);
+});
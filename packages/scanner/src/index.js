@@ -1,6 +1,10 @@
+import { spawnSync } from "node:child_process";
 import { readdir, readFile, stat } from "node:fs/promises";
 import path from "node:path";
-import { nowIso, sha256Hex, slugifyId } from "../../core/src/index.js";
+import { Worker, isMainThread, parentPort, workerData } from "node:worker_threads";
+import { brotliDecompressSync, gunzipSync, inflateRawSync, inflateSync } from "node:zlib";
+import { nowIso, sha256Hex, slugifyId, writeJsonFileAtomic } from "../../core/src/index.js";
+import { CANONICAL_LICENSE_TEXTS } from "./license-texts.js";
 
 const DEFAULT_IGNORED_DIRS = new Set([
   ".git",
@@ -14,6 +18,15 @@ const DEFAULT_IGNORED_DIRS = new Set([
   ".turbo",
 ]);
 
+const PROJECT_CONFIG_FILENAME = "setzkasten.config.json";
+const SCAN_IGNORE_FILENAME = ".setzkastenignore";
+const DEFAULT_MAX_TEXT_FILE_BYTES = 2 * 1024 * 1024;
+const SCAN_CACHE_RELATIVE_PATH = path.join(".setzkasten", "cache", "scan-cache.json");
+const SCAN_CACHE_VERSION = 2;
+const SCAN_WORKER_FLAG = "setzkasten_scan_worker";
+const SCAN_WORKER_BATCH_SIZE = 64;
+const GIT_MAX_BUFFER_BYTES = 256 * 1024 * 1024;
+
 const TEXT_FILE_EXTENSIONS = new Set([
   ".css",
   ".scss",
@@ -32,12 +45,142 @@ const TEXT_FILE_EXTENSIONS = new Set([
   ".txt",
 ]);
 
+const STYLESHEET_EXTENSIONS = new Set([".css", ".scss", ".sass", ".less"]);
 const FONT_FILE_EXTENSIONS = new Set([".woff2", ".woff", ".ttf", ".otf", ".otc"]);
 const LICENSE_FILE_EXTENSIONS = new Set(["", ".txt", ".md", ".pdf", ".rtf", ".html", ".htm"]);
 const LICENSE_FILE_NAME_PATTERN = /(license|licence|eula|ofl|fontlog|copying|copyright)/i;
 const BUNDLER_LICENSE_ARTIFACT_PATTERN = /\.(js|css)\.license\.txt$/i;
 const FONT_PATH_SEGMENT_PATTERN = /(^|[\\/])(fonts?|typefaces?)([\\/]|$)/i;
 const FONT_LICENSE_ANCESTOR_DEPTH = 4;
+const MAX_FONT_METADATA_BYTES = 32 * 1024 * 1024;
+const ARCHIVE_FILE_EXTENSIONS = [
+  ".zip",
+  ".jar",
+  ".aar",
+  ".apk",
+  ".aab",
+  ".ipa",
+  ".docx",
+  ".dotx",
+  ".pptx",
+  ".potx",
+  ".xlsx",
+  ".odt",
+  ".odp",
+  ".epub",
+  ".asar",
+  ".tar",
+  ".tgz",
+  ".tar.gz",
+];
+const MAX_ARCHIVE_BYTES = 256 * 1024 * 1024;
+const MAX_ARCHIVE_DEPTH = 3;
+const EMBEDDING_FILE_EXTENSIONS = new Set([".svg", ".pdf"]);
+const MAX_EMBEDDING_FILE_BYTES = 64 * 1024 * 1024;
+const MAX_LICENSE_TEXT_BYTES = 512 * 1024;
+const DATA_URI_FONT_PATTERN =
+  /data:(font\/[\w.+-]+|application\/(?:font-[\w.+-]+|x-font-[\w.+-]+|vnd\.ms-opentype|octet-stream));base64,([A-Za-z0-9+/]+=*)/gi;
+const PDF_SUBSET_PREFIX_PATTERN = /^[A-Z]{6}\+/;
+// Full Latin fonts ship several hundred glyphs; per-script web subsets typically stay well below this.
+const SUBSET_GLYPH_COUNT_THRESHOLD = 256;
+const CONTAINER_FORMATS = { ttc: "ttf", otc: "otf" };
+const ANDROID_FONT_RESOURCE_DIR_PATTERN = /(^|[\\/])res[\\/]font(-[\w-]+)?$/;
+const ANDROID_FONT_RESOURCE_XML_PATTERN = /(^|[\\/])res[\\/]font(-[\w-]+)?[\\/][^\\/]+\.xml$/;
+
+// Table tags addressable by index in the WOFF2 table directory (WOFF2 spec, section 5.1).
+const WOFF2_KNOWN_TABLE_TAGS = [
+  "cmap", "head", "hhea", "hmtx", "maxp", "name", "OS/2", "post", "cvt ", "fpgm", "glyf", "loca", "prep",
+  "CFF ", "VORG", "EBDT", "EBLC", "gasp", "hdmx", "kern", "LTSH", "PCLT", "VDMX", "vhea", "vmtx", "BASE",
+  "GDEF", "GPOS", "GSUB", "EBSC", "JSTF", "MATH", "CBDT", "CBLC", "COLR", "CPAL", "SVG ", "sbix", "acnt",
+  "avar", "bdat", "bloc", "bsln", "cvar", "fdsc", "feat", "fmtx", "fvar", "gvar", "hsty", "just", "lcar",
+  "mort", "morx", "opbd", "prop", "trak", "Zapf", "Silf", "Glat", "Gloc", "Feat", "Sill",
+];
+
+const NAME_ID_FIELDS = {
+  0: "copyright",
+  1: "family_name",
+  2: "subfamily",
+  4: "full_name",
+  5: "version",
+  6: "postscript_name",
+  8: "manufacturer",
+  13: "license_description",
+  14: "license_url",
+  16: "typographic_family",
+  17: "typographic_subfamily",
+};
+
+const FONT_SERVICE_URL_PATTERN =
+  /(?:https?:)?\/\/(?:fonts\.googleapis\.com|fonts\.gstatic\.com|fonts\.bunny\.net|api\.fontshare\.com|use\.typekit\.(?:net|com))\/[^\s"'`()<>\\]+/gi;
+const FONT_SERVICE_HOST_HINTS = ["fonts.googleapis.com", "fonts.gstatic.com", "fonts.bunny.net", "api.fontshare.com", "use.typekit."];
+const FONT_SERVICE_PROVIDER_NAMES = {
+  google_fonts: "Google Fonts",
+  adobe_fonts: "Adobe Fonts",
+  fontshare: "Fontshare",
+  bunny_fonts: "Bunny Fonts",
+};
+
+const PACKAGE_JSON_DEPENDENCY_FIELDS = ["dependencies", "devDependencies", "optionalDependencies", "peerDependencies"];
+const LOCKFILE_NAMES = new Set(["package-lock.json", "npm-shrinkwrap.json", "yarn.lock", "pnpm-lock.yaml"]);
+const LICENSE_SHINGLE_SIZE = 3;
+const LICENSE_MATCH_THRESHOLD = 0.6;
+const LICENSE_CLAUSE_MATCH_RATIO = 0.5;
+const MAX_LICENSE_MODIFICATIONS = 10;
+const LICENSE_BOILERPLATE_PATTERN =
+  /copyright|\(c\)|©|all rights reserved|reserved font name|https?:\/\/|www\.|licensed under|license is copied below|faq/i;
+const EULA_TERM_FIELDS = [
+  "licensee",
+  "order_reference",
+  "purchased_at",
+  "licensed_styles",
+  "pageviews",
+  "seats",
+  "domains",
+  "media",
+];
+const DEFAULT_EULA_PATTERNS = {
+  // Defined terms such as `(the "Licensee")` or `Licensee - means ...` are contract boilerplate, not a name.
+  licensee: [
+    /(?<!["“'])\b(?:licensee|licensed to|customer|purchaser|bill(?:ed)? to)(?:\s+name)?(?:\s*:|\s+[–-])\s*(?!\s*(?:means|shall|refers|includes?|is|are|any|an?\s+(?:person|individual|entity|party|company))\b)([^\n]{2,120})/i,
+  ],
+  order_reference: [
+    /\b(?:order|invoice|receipt|transaction|license)\s*(?:number|no\.?|nr\.?|id|#|reference|ref\.?)\s*[:#]?\s*(#?[A-Z0-9][A-Z0-9_/.-]{2,40})/i,
+  ],
+  purchased_at: [
+    /\b(?:purchase|order|invoice)\s+date\s*[:–-]?\s*([^\n]{6,40})/i,
+    /\b(?:purchased|ordered)\s+on\s+([^\n]{6,40})/i,
+  ],
+  licensed_styles: [/\b(?:licensed\s+(?:font\s+)?(?:styles|fonts|weights)|font\s+styles)\s*[:–-]\s*([^\n]{2,400})/i],
+  pageviews: [
+    /\b(\d[\d.,]*\s*(?:k|m|thousand|million)?)\s+(?:monthly\s+)?page\s*-?\s*views?\b/i,
+    // Years such as "since 2024" are skipped rather than read as the limit.
+    /\bpage\s*-?\s*views?\b(?:[^\n\d]|\b(?:19|20)\d{2}\b){0,40}?(?!(?:19|20)\d{2}\b(?![.,]\d))(\d[\d.,]*\s*(?:(?:k|m|thousand|million)\b)?)/i,
+  ],
+  seats: [
+    /\b(\d[\d,]*)\s+(?:seats?|users?|workstations?|computers?|desktop\s+users?)\b/i,
+    /\b(?:seats?|users?|workstations?)\s*[:–-]\s*(\d[\d,]*)/i,
+  ],
+  domains: [/\b(\d[\d,]*)\s+(?:web\s*)?domains?\b/i, /\bdomains?\s*[:–-]\s*(\d[\d,]*)\b/i],
+};
+const LICENSE_REF_ID_PATTERN = /^LicenseRef-[A-Za-z0-9.-]+$/;
+const DEFAULT_EULA_MEDIA_PATTERN =
+  /\b(desktop|web\s*font|web|mobile\s+app|app|e-?book|epub|broadcast|video|server|print)\s+licen[cs]e\b/gi;
+const EULA_MEDIA_KEYWORDS = [
+  [/web/i, "media_web"],
+  [/desktop/i, "media_desktop"],
+  [/\bapps?\b|mobile|application/i, "media_app"],
+  [/e-?book|epub/i, "media_ebook"],
+  [/broadcast|video/i, "media_broadcast"],
+  [/server/i, "media_server"],
+  [/print/i, "media_print"],
+];
+const EULA_MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const PACKAGE_LICENSE_FILE_NAMES = ["LICENSE", "LICENSE.md", "LICENSE.txt", "LICENCE", "OFL.txt", "OFL.md"];
+const FONT_PACKAGE_HINTS = ["@fontsource", "typeface-", "next/font/google"];
+const FONT_PACKAGE_NAME_PATTERN = /@fontsource(?:-variable)?\/[a-z0-9-]+|(?<![\w.-]|@[\w.-]+\/)typeface-[a-z0-9-]+/g;
+const FONT_PACKAGE_IMPORT_PATTERN =
+  /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*|@(?:import|use)\s+(?:url\(\s*)?)["']~?(@fontsource(?:-variable)?\/[a-z0-9-]+|typeface-[a-z0-9-]+)(?:\/[^"']*)?["']/g;
+const NEXT_FONT_GOOGLE_IMPORT_PATTERN = /import\s*\{([^}]*)\}\s*from\s*["']next\/font\/google["']/g;
 
 const STYLE_TOKENS = new Set([
   "regular",
@@ -72,9 +215,9 @@ function normalizeFonts(manifest) {
   return Array.isArray(manifest.fonts) ? manifest.fonts : [];
 }
 
-function shouldScanFile(filePath) {
+function shouldScanFile(filePath, scanRules) {
   const extension = path.extname(filePath).toLowerCase();
-  return TEXT_FILE_EXTENSIONS.has(extension);
+  return scanRules.text_file_extensions.has(extension);
 }
 
 function shouldDiscoverFontFile(filePath) {
@@ -102,38 +245,354 @@ function isLikelyTextLicenseFile(filePath) {
   return extension === "" || extension === ".txt" || extension === ".md" || extension === ".html" || extension === ".htm";
 }
 
-async function collectProjectFiles(rootPath) {
+function globToRegexSource(glob) {
+  let source = "";
+
+  for (let index = 0; index < glob.length; index += 1) {
+    const char = glob[index];
+
+    if (char === "*" && glob[index + 1] === "*") {
+      // "**/" spans zero or more directories, any other "**" everything below.
+      if (glob[index + 2] === "/") {
+        source += "(?:.*/)?";
+        index += 2;
+      } else {
+        source += ".*";
+        index += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[" && glob.indexOf("]", index + 2) !== -1) {
+      const end = glob.indexOf("]", index + 2);
+      const body = glob.slice(index + 1, end).replace(/\\/g, "\\\\");
+      source += body.startsWith("!") ? `[^${body.slice(1)}]` : `[${body}]`;
+      index = end;
+    } else if (char === "\\" && index + 1 < glob.length) {
+      source += escapeRegex(glob[index + 1]);
+      index += 1;
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+
+  return source;
+}
+
+function compileScanPattern(rawPattern, origin) {
+  let pattern = rawPattern.replace(/\s+$/, "");
+  if (pattern.length === 0 || pattern.startsWith("#")) {
+    return null;
+  }
+
+  let negated = false;
+  if (pattern.startsWith("!")) {
+    negated = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith("\\!") || pattern.startsWith("\\#")) {
+    pattern = pattern.slice(1);
+  }
+
+  const directoryOnly = pattern.endsWith("/");
+  if (directoryOnly) {
+    pattern = pattern.slice(0, -1);
+  }
+
+  // As in .gitignore, a pattern without an inner slash matches at any depth.
+  const anchored = pattern.includes("/");
+  pattern = pattern.replace(/^\//, "");
+  if (pattern.length === 0) {
+    return null;
+  }
+
+  return {
+    pattern: rawPattern.trim(),
+    origin,
+    negated,
+    directory_only: directoryOnly,
+    regex: new RegExp(`${anchored ? "^" : "^(?:.*/)?"}${globToRegexSource(pattern)}$`),
+  };
+}
+
+function compileScanPatterns(patterns, origin) {
+  return patterns.map((pattern) => compileScanPattern(pattern, origin)).filter(Boolean);
+}
+
+async function readOptionalTextFile(filePath) {
+  try {
+    return await readFile(filePath, "utf8");
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function readConfigStringArray(scanConfig, key) {
+  const value = scanConfig[key];
+  if (value === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(value) || value.some((entry) => typeof entry !== "string")) {
+    throw new Error(`${PROJECT_CONFIG_FILENAME}: scan.${key} must be an array of strings.`);
+  }
+
+  return value;
+}
+
+function compileEulaPattern(source, pathName) {
+  try {
+    return new RegExp(source, "i");
+  } catch {
+    throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName} is not a valid regular expression.`);
+  }
+}
+
+function readEulaPatternConfig(scanConfig) {
+  const value = scanConfig.eula_patterns;
+  if (value === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(value)) {
+    throw new Error(`${PROJECT_CONFIG_FILENAME}: scan.eula_patterns must be an array.`);
+  }
+
+  return value.map((entry, index) => {
+    const pathName = `scan.eula_patterns[${index}]`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName} must be an object.`);
+    }
+    if (typeof entry.foundry !== "string" || entry.foundry.trim().length === 0) {
+      throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName}.foundry must be a non-empty string.`);
+    }
+    if (entry.match !== undefined && typeof entry.match !== "string") {
+      throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName}.match must be a string.`);
+    }
+    if (!entry.fields || typeof entry.fields !== "object" || Array.isArray(entry.fields)) {
+      throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName}.fields must be an object.`);
+    }
+
+    const fields = {};
+    for (const [field, patterns] of Object.entries(entry.fields)) {
+      if (!EULA_TERM_FIELDS.includes(field)) {
+        throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName}.fields.${field} is not a supported field.`);
+      }
+
+      const sources = Array.isArray(patterns) ? patterns : [patterns];
+      if (sources.length === 0 || sources.some((source) => typeof source !== "string")) {
+        throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName}.fields.${field} must be a string or string array.`);
+      }
+      fields[field] = sources.map((source) => compileEulaPattern(source, `${pathName}.fields.${field}`));
+    }
+
+    return {
+      foundry: entry.foundry.trim(),
+      match: entry.match === undefined ? null : compileEulaPattern(entry.match, `${pathName}.match`),
+      fields,
+    };
+  });
+}
+
+async function readLicenseTextConfig(scanConfig, projectRoot) {
+  const value = scanConfig.license_texts;
+  if (value === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(value)) {
+    throw new Error(`${PROJECT_CONFIG_FILENAME}: scan.license_texts must be an array.`);
+  }
+
+  const licenseTexts = [];
+  for (const [index, entry] of value.entries()) {
+    const pathName = `scan.license_texts[${index}]`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName} must be an object.`);
+    }
+    if (typeof entry.id !== "string" || !LICENSE_REF_ID_PATTERN.test(entry.id)) {
+      throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName}.id must be a LicenseRef- identifier.`);
+    }
+    if (entry.name !== undefined && (typeof entry.name !== "string" || entry.name.trim().length === 0)) {
+      throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName}.name must be a non-empty string.`);
+    }
+    if (typeof entry.path !== "string" || entry.path.trim().length === 0) {
+      throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName}.path must be a non-empty string.`);
+    }
+
+    let buffer;
+    try {
+      buffer = await readFile(path.resolve(projectRoot, entry.path));
+    } catch {
+      throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName}.path '${entry.path}' cannot be read.`);
+    }
+
+    const text = readLicenseDocumentText(path.basename(entry.path), buffer);
+    if (!text || text.trim().length === 0) {
+      throw new Error(`${PROJECT_CONFIG_FILENAME}: ${pathName}.path '${entry.path}' has no readable text.`);
+    }
+
+    licenseTexts.push({
+      spdx_id: entry.id,
+      name: entry.name?.trim() ?? entry.id,
+      kind: "eula",
+      reference_path: entry.path,
+      text,
+    });
+  }
+
+  return licenseTexts;
+}
+
+async function readProjectScanConfig(configPath) {
+  const content = await readOptionalTextFile(configPath);
+  if (content === null) {
+    return null;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${PROJECT_CONFIG_FILENAME} is not valid JSON: ${error.message}`);
+  }
+
+  const scanConfig = config?.scan ?? {};
+  if (typeof scanConfig !== "object" || Array.isArray(scanConfig) || scanConfig === null) {
+    throw new Error(`${PROJECT_CONFIG_FILENAME}: scan must be an object.`);
+  }
+
+  const maxTextFileBytes = scanConfig.max_text_file_bytes ?? DEFAULT_MAX_TEXT_FILE_BYTES;
+  if (!Number.isInteger(maxTextFileBytes) || maxTextFileBytes <= 0) {
+    throw new Error(`${PROJECT_CONFIG_FILENAME}: scan.max_text_file_bytes must be a positive integer.`);
+  }
+
+  return {
+    include: readConfigStringArray(scanConfig, "include"),
+    exclude: readConfigStringArray(scanConfig, "exclude"),
+    extensions: readConfigStringArray(scanConfig, "extensions").map((extension) => {
+      const normalized = extension.trim().toLowerCase();
+      return normalized.startsWith(".") ? normalized : `.${normalized}`;
+    }),
+    max_text_file_bytes: maxTextFileBytes,
+    eula_patterns: readEulaPatternConfig(scanConfig),
+    license_texts: await readLicenseTextConfig(scanConfig, path.dirname(configPath)),
+  };
+}
+
+async function loadScanRules(projectRoot) {
+  const configPath = path.join(projectRoot, PROJECT_CONFIG_FILENAME);
+  const ignorePath = path.join(projectRoot, SCAN_IGNORE_FILENAME);
+  const config = await readProjectScanConfig(configPath);
+  const ignoreContent = await readOptionalTextFile(ignorePath);
+
+  return {
+    base_path: projectRoot,
+    config_path: config ? configPath : null,
+    ignore_path: ignoreContent === null ? null : ignorePath,
+    // Later rules win, so .setzkastenignore can re-include a default directory with "!dist/".
+    ignore: [
+      ...compileScanPatterns(
+        Array.from(DEFAULT_IGNORED_DIRS, (dirName) => `${dirName}/`),
+        "default",
+      ),
+      ...compileScanPatterns(ignoreContent === null ? [] : ignoreContent.split(/\r?\n/), "ignore_file"),
+      ...compileScanPatterns(config?.exclude ?? [], "config"),
+    ],
+    include: compileScanPatterns(config?.include ?? [], "config"),
+    text_file_extensions: new Set([...TEXT_FILE_EXTENSIONS, ...(config?.extensions ?? [])]),
+    max_text_file_bytes: config?.max_text_file_bytes ?? DEFAULT_MAX_TEXT_FILE_BYTES,
+    eula_patterns: config?.eula_patterns ?? [],
+    license_texts: config?.license_texts ?? [],
+  };
+}
+
+function isIgnoredByScanRules(scanRules, rulePath, isDirectory) {
+  let ignored = false;
+
+  for (const rule of scanRules.ignore) {
+    if (rule.directory_only && !isDirectory) {
+      continue;
+    }
+
+    if (rule.regex.test(rulePath)) {
+      ignored = !rule.negated;
+    }
+  }
+
+  return ignored;
+}
+
+function isIncludedByScanRules(scanRules, rulePath) {
+  return scanRules.include.length === 0 || scanRules.include.some((rule) => rule.regex.test(rulePath));
+}
+
+function describeScanRules(scanRules, rootPath) {
+  const relativeOrNull = (filePath) => (filePath ? relativeTo(rootPath, filePath) : null);
+
+  return {
+    config_path: relativeOrNull(scanRules.config_path),
+    ignore_file_path: relativeOrNull(scanRules.ignore_path),
+    default_ignored_dirs: Array.from(DEFAULT_IGNORED_DIRS),
+    ignore_patterns: scanRules.ignore
+      .filter((rule) => rule.origin !== "default")
+      .map((rule) => ({ pattern: rule.pattern, origin: rule.origin })),
+    include: scanRules.include.map((rule) => rule.pattern),
+    text_file_extensions: Array.from(scanRules.text_file_extensions).sort((a, b) => a.localeCompare(b)),
+    max_text_file_bytes: scanRules.max_text_file_bytes,
+    eula_pattern_foundries: scanRules.eula_patterns.map((entry) => entry.foundry),
+    license_text_ids: scanRules.license_texts.map((entry) => entry.spdx_id),
+  };
+}
+
+async function collectProjectFiles(rootPath, scanRules) {
   const textFiles = [];
   const fontFiles = [];
   const licenseFiles = [];
+  const lockFiles = [];
+  const archiveFiles = [];
+  const appManifestFiles = [];
+  const embeddingFiles = [];
+
+  // Rule paths are relative to the project root, falling back to the scan root outside of it.
+  const toRulePath = (fullPath) => {
+    const relativePath = path.relative(scanRules.base_path, fullPath);
+    const rulePath = relativePath.startsWith("..") ? path.relative(rootPath, fullPath) : relativePath;
+    return rulePath.split(path.sep).join("/");
+  };
 
   async function walk(dirPath) {
     const entries = await readdir(dirPath, { withFileTypes: true });
 
     for (const entry of entries) {
-      if (entry.name.startsWith(".")) {
-        if (entry.isDirectory() && !DEFAULT_IGNORED_DIRS.has(entry.name)) {
-          await walk(path.join(dirPath, entry.name));
-        }
-        continue;
-      }
-
       const fullPath = path.join(dirPath, entry.name);
 
       if (entry.isDirectory()) {
-        if (!DEFAULT_IGNORED_DIRS.has(entry.name)) {
+        if (!isIgnoredByScanRules(scanRules, toRulePath(fullPath), true)) {
           await walk(fullPath);
         }
         continue;
       }
 
-      if (!entry.isFile()) {
+      if (entry.name.startsWith(".") || !entry.isFile()) {
+        continue;
+      }
+
+      const rulePath = toRulePath(fullPath);
+      if (isIgnoredByScanRules(scanRules, rulePath, false) || !isIncludedByScanRules(scanRules, rulePath)) {
         continue;
       }
 
-      if (shouldScanFile(fullPath)) {
+      if (LOCKFILE_NAMES.has(entry.name)) {
+        lockFiles.push(fullPath);
+      }
+
+      if (shouldScanFile(fullPath, scanRules)) {
         const fileStat = await stat(fullPath);
-        if (fileStat.size <= 2 * 1024 * 1024) {
+        if (fileStat.size <= scanRules.max_text_file_bytes) {
           textFiles.push(fullPath);
         }
       }
@@ -145,6 +604,18 @@ async function collectProjectFiles(rootPath) {
       if (shouldDiscoverLicenseFile(fullPath)) {
         licenseFiles.push(fullPath);
       }
+
+      if (isArchivePath(fullPath)) {
+        archiveFiles.push(fullPath);
+      }
+
+      if (isAppFontManifestPath(fullPath)) {
+        appManifestFiles.push(fullPath);
+      }
+
+      if (EMBEDDING_FILE_EXTENSIONS.has(path.extname(fullPath).toLowerCase()) && !shouldDiscoverLicenseFile(fullPath)) {
+        embeddingFiles.push(fullPath);
+      }
     }
   }
 
@@ -154,6 +625,10 @@ async function collectProjectFiles(rootPath) {
     textFiles,
     fontFiles,
     licenseFiles,
+    lockFiles,
+    archiveFiles,
+    appManifestFiles,
+    embeddingFiles,
   };
 }
 
@@ -192,193 +667,3064 @@ function guessFamilyNameFromFile(filePath) {
   return tokens.map((token) => toTitleCaseToken(token)).join(" ");
 }
 
-function createFamilyNamePattern(familyName) {
-  const normalized = familyName.trim().toLowerCase().replace(/\s+/g, " ");
-  if (normalized.length === 0) {
-    return null;
-  }
+function readTag(buffer, offset) {
+  return buffer.toString("latin1", offset, offset + 4);
+}
 
-  const tokens = normalized.split(" ").map((token) => token.trim()).filter(Boolean);
-  if (tokens.length === 0) {
-    return null;
+function readUIntBase128(buffer, cursor) {
+  let value = 0;
+
+  for (let index = 0; index < 5; index += 1) {
+    const byte = buffer.readUInt8(cursor + index);
+    value = value * 128 + (byte & 0x7f);
+
+    if ((byte & 0x80) === 0) {
+      return { value, next: cursor + index + 1 };
+    }
   }
 
-  const tokenPattern = tokens.map((token) => escapeRegex(token)).join("[\\s_-]+");
-  return new RegExp(`(^|[^a-z0-9])${tokenPattern}([^a-z0-9]|$)`, "i");
+  throw new RangeError("UIntBase128 exceeds 5 bytes.");
 }
 
-function containsFamilyName(contentLower, font) {
-  if (!contentLower.includes(font.family_name_lower)) {
-    return false;
+function read255UInt16(buffer, cursor) {
+  const code = buffer.readUInt8(cursor);
+
+  if (code === 253) {
+    return { value: buffer.readUInt16BE(cursor + 1), next: cursor + 3 };
   }
 
-  if (!font.family_name_pattern) {
-    return true;
+  if (code === 255) {
+    return { value: buffer.readUInt8(cursor + 1) + 253, next: cursor + 2 };
   }
 
-  return font.family_name_pattern.test(contentLower);
+  if (code === 254) {
+    return { value: buffer.readUInt8(cursor + 1) + 506, next: cursor + 2 };
+  }
+
+  return { value: code, next: cursor + 1 };
 }
 
-function discoverFontFiles(rootPath, fontFiles, maxDiscoveredFiles) {
-  return fontFiles
-    .map((filePath) => {
-      const extension = path.extname(filePath).toLowerCase();
-      const relativePath = relativeTo(rootPath, filePath);
-      const familyGuess = guessFamilyNameFromFile(filePath);
+function readSfntTables(buffer, baseOffset) {
+  const numTables = buffer.readUInt16BE(baseOffset + 4);
+  const tables = new Map();
 
-      return {
-        path: relativePath,
-        extension,
-        file_name: path.basename(filePath),
-        family_guess: familyGuess,
-        font_id_guess: slugifyId(familyGuess || path.basename(filePath, extension), "font"),
-      };
-    })
-    .sort((a, b) => a.path.localeCompare(b.path))
-    .slice(0, maxDiscoveredFiles);
-}
+  for (let index = 0; index < numTables; index += 1) {
+    const recordOffset = baseOffset + 12 + index * 16;
+    const offset = buffer.readUInt32BE(recordOffset + 8);
+    const length = buffer.readUInt32BE(recordOffset + 12);
 
-function detectLicenseKind(fileName, contentLower) {
-  if (contentLower) {
-    if (
-      contentLower.includes("sil open font license") ||
-      contentLower.includes("ofl version 1.1") ||
-      contentLower.includes("scripts.sil.org/ofl")
-    ) {
-      return "sil_ofl_1_1";
+    if (offset + length <= buffer.length) {
+      tables.set(readTag(buffer, recordOffset), buffer.subarray(offset, offset + length));
     }
+  }
 
-    if (contentLower.includes("apache license") && contentLower.includes("version 2.0")) {
-      return "apache_2_0";
-    }
+  return {
+    flavor: readTag(buffer, baseOffset),
+    tables,
+  };
+}
 
-    if (contentLower.includes("mit license")) {
-      return "mit";
-    }
+function readWoffTables(buffer) {
+  const numTables = buffer.readUInt16BE(12);
+  const tables = new Map();
 
-    if (contentLower.includes("gnu general public license")) {
-      return "gpl";
-    }
+  for (let index = 0; index < numTables; index += 1) {
+    const recordOffset = 44 + index * 20;
+    const offset = buffer.readUInt32BE(recordOffset + 4);
+    const compressedLength = buffer.readUInt32BE(recordOffset + 8);
+    const originalLength = buffer.readUInt32BE(recordOffset + 12);
+    const data = buffer.subarray(offset, offset + compressedLength);
 
-    if (contentLower.includes("mozilla public license")) {
-      return "mpl";
+    tables.set(readTag(buffer, recordOffset), compressedLength < originalLength ? inflateSync(data) : data);
+  }
+
+  return {
+    flavor: readTag(buffer, 4),
+    tables,
+  };
+}
+
+function readWoff2Tables(buffer) {
+  const flavor = readTag(buffer, 4);
+  const numTables = buffer.readUInt16BE(12);
+  const totalCompressedSize = buffer.readUInt32BE(20);
+  const entries = [];
+  let cursor = 48;
+
+  for (let index = 0; index < numTables; index += 1) {
+    const flags = buffer.readUInt8(cursor);
+    cursor += 1;
+
+    let tag = WOFF2_KNOWN_TABLE_TAGS[flags & 0x3f];
+    if ((flags & 0x3f) === 63) {
+      tag = readTag(buffer, cursor);
+      cursor += 4;
     }
 
-    if (contentLower.includes("eula") || contentLower.includes("end user license agreement")) {
-      return "eula";
+    const transformVersion = (flags >> 6) & 0x03;
+    const transformed = tag === "glyf" || tag === "loca" ? transformVersion === 0 : transformVersion !== 0;
+    const originalLength = readUIntBase128(buffer, cursor);
+    cursor = originalLength.next;
+
+    let length = originalLength.value;
+    if (transformed) {
+      const transformLength = readUIntBase128(buffer, cursor);
+      cursor = transformLength.next;
+      length = transformLength.value;
     }
-  }
 
-  if (fileName.toLowerCase().includes("ofl")) {
-    return "sil_ofl_1_1";
+    entries.push({ tag, length });
   }
 
-  if (fileName.toLowerCase().includes("eula")) {
-    return "eula";
+  let faces = [{ flavor, indices: entries.map((_, index) => index) }];
+
+  if (flavor === "ttcf") {
+    cursor += 4;
+    const numFonts = read255UInt16(buffer, cursor);
+    cursor = numFonts.next;
+    faces = [];
+
+    for (let fontIndex = 0; fontIndex < numFonts.value; fontIndex += 1) {
+      const numFontTables = read255UInt16(buffer, cursor);
+      cursor = numFontTables.next;
+      const faceFlavor = readTag(buffer, cursor);
+      cursor += 4;
+
+      const indices = [];
+      for (let tableIndex = 0; tableIndex < numFontTables.value; tableIndex += 1) {
+        const entryIndex = read255UInt16(buffer, cursor);
+        cursor = entryIndex.next;
+        indices.push(entryIndex.value);
+      }
+
+      faces.push({ flavor: faceFlavor, indices });
+    }
   }
 
-  return null;
-}
+  const stream = brotliDecompressSync(buffer.subarray(cursor, cursor + totalCompressedSize));
+  const tableData = [];
+  let streamOffset = 0;
 
-function matchFontIdsFromLicenseContent(fonts, contentLower) {
-  if (!contentLower) {
-    return [];
+  for (const entry of entries) {
+    tableData.push(stream.subarray(streamOffset, streamOffset + entry.length));
+    streamOffset += entry.length;
   }
 
-  return fonts
-    .filter((font) => containsFamilyName(contentLower, font))
-    .map((font) => font.font_id)
-    .sort((a, b) => a.localeCompare(b));
+  return faces.map((face) => ({
+    flavor: face.flavor,
+    tables: new Map(
+      face.indices.filter((index) => index < entries.length).map((index) => [entries[index].tag, tableData[index]]),
+    ),
+  }));
 }
 
-function collectFontAdjacentDirs(rootPath, fontFiles) {
-  const root = path.resolve(rootPath);
-  const dirs = new Set();
-
-  for (const filePath of fontFiles) {
-    let currentDir = path.resolve(path.dirname(filePath));
+function readFontFaces(buffer) {
+  const signature = readTag(buffer, 0);
 
-    for (let depth = 0; depth <= FONT_LICENSE_ANCESTOR_DEPTH; depth += 1) {
-      dirs.add(currentDir);
+  if (signature === "wOFF") {
+    return { container: "woff", faces: [readWoffTables(buffer)] };
+  }
 
-      if (currentDir === root) {
-        break;
-      }
+  if (signature === "wOF2") {
+    return { container: "woff2", faces: readWoff2Tables(buffer) };
+  }
 
-      const parentDir = path.dirname(currentDir);
-      if (parentDir === currentDir || parentDir === root) {
-        break;
-      }
+  if (signature === "ttcf") {
+    const numFonts = buffer.readUInt32BE(8);
+    const faces = [];
 
-      currentDir = parentDir;
+    for (let index = 0; index < numFonts; index += 1) {
+      faces.push(readSfntTables(buffer, buffer.readUInt32BE(12 + index * 4)));
     }
+
+    return { container: faces[0]?.flavor === "OTTO" ? "otc" : "ttc", faces };
   }
 
-  return dirs;
+  if (signature === "OTTO") {
+    return { container: "otf", faces: [readSfntTables(buffer, 0)] };
+  }
+
+  if (signature === "\u0000\u0001\u0000\u0000" || signature === "true") {
+    return { container: "ttf", faces: [readSfntTables(buffer, 0)] };
+  }
+
+  return null;
 }
 
-function filterLicenseFilesForFontContext(rootPath, licenseFiles, fontFiles) {
-  if (licenseFiles.length === 0 || fontFiles.length === 0) {
-    return [];
+function decodeNameString(platformId, bytes) {
+  if (platformId === 0 || platformId === 3) {
+    const swapped = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+    return swapped.swap16().toString("utf16le");
   }
 
-  const adjacentDirs = collectFontAdjacentDirs(rootPath, fontFiles);
-  return licenseFiles.filter((filePath) => {
-    const fileDir = path.resolve(path.dirname(filePath));
-    if (adjacentDirs.has(fileDir)) {
-      return true;
-    }
+  if (platformId === 1) {
+    return bytes.toString("latin1");
+  }
 
-    return FONT_PATH_SEGMENT_PATTERN.test(relativeTo(rootPath, filePath));
-  });
+  return null;
 }
 
-async function discoverLicenseFiles(rootPath, licenseFiles, fonts, maxDiscoveredLicenseFiles) {
-  const discovered = [];
+function rankNameRecord(platformId, languageId) {
+  if (platformId === 3) {
+    return languageId === 0x0409 ? 0 : 1;
+  }
 
-  for (const filePath of licenseFiles) {
-    let fileBuffer;
-    let fileStat;
+  if (platformId === 0) {
+    return 2;
+  }
 
-    try {
-      fileBuffer = await readFile(filePath);
-      fileStat = await stat(filePath);
+  return platformId === 1 && languageId === 0 ? 3 : 4;
+}
+
+function parseNameTable(data) {
+  const count = data.readUInt16BE(2);
+  const stringOffset = data.readUInt16BE(4);
+  const best = new Map();
+
+  for (let index = 0; index < count; index += 1) {
+    const recordOffset = 6 + index * 12;
+    if (recordOffset + 12 > data.length) {
+      break;
+    }
+
+    const platformId = data.readUInt16BE(recordOffset);
+    const languageId = data.readUInt16BE(recordOffset + 4);
+    const nameId = data.readUInt16BE(recordOffset + 6);
+    const length = data.readUInt16BE(recordOffset + 8);
+    const offset = stringOffset + data.readUInt16BE(recordOffset + 10);
+
+    if (!(nameId in NAME_ID_FIELDS) || offset + length > data.length) {
+      continue;
+    }
+
+    const rank = rankNameRecord(platformId, languageId);
+    if (best.has(nameId) && best.get(nameId).rank <= rank) {
+      continue;
+    }
+
+    const value = decodeNameString(platformId, data.subarray(offset, offset + length));
+    const normalized = value ? value.replace(/\u0000/g, "").trim() : "";
+    if (normalized.length > 0) {
+      best.set(nameId, { rank, value: normalized });
+    }
+  }
+
+  const fields = {};
+  for (const [nameId, field] of Object.entries(NAME_ID_FIELDS)) {
+    fields[field] = best.get(Number(nameId))?.value ?? null;
+  }
+
+  return fields;
+}
+
+// OS/2 fsType bits 1-3 (OpenType spec); bit 3 (editable) is the most permissive when several are set.
+function describeEmbeddingPermission(fsType) {
+  if (fsType === null) {
+    return null;
+  }
+
+  if (fsType & 0x0008) {
+    return "editable";
+  }
+
+  if (fsType & 0x0004) {
+    return "preview_print";
+  }
+
+  if (fsType & 0x0002) {
+    return "restricted";
+  }
+
+  return "installable";
+}
+
+function buildFontFaceMetadata(tables) {
+  const nameTable = tables.get("name");
+  const headTable = tables.get("head");
+  const os2Table = tables.get("OS/2");
+  const names = nameTable && nameTable.length >= 6 ? parseNameTable(nameTable) : {};
+
+  const vendorId =
+    os2Table && os2Table.length >= 62 ? os2Table.toString("latin1", 58, 62).replace(/[\u0000 ]+$/g, "") : "";
+  const fsType = os2Table && os2Table.length >= 10 ? os2Table.readUInt16BE(8) : null;
+
+  return {
+    family_name: names.typographic_family ?? names.family_name ?? null,
+    subfamily: names.typographic_subfamily ?? names.subfamily ?? null,
+    full_name: names.full_name ?? null,
+    postscript_name: names.postscript_name ?? null,
+    version: names.version ?? null,
+    font_revision:
+      headTable && headTable.length >= 8 ? Math.round((headTable.readInt32BE(4) / 65536) * 1000) / 1000 : null,
+    vendor_id: vendorId.length > 0 ? vendorId : null,
+    manufacturer: names.manufacturer ?? null,
+    copyright: names.copyright ?? null,
+    license_description: names.license_description ?? null,
+    license_url: names.license_url ?? null,
+    weight_class: os2Table && os2Table.length >= 6 ? os2Table.readUInt16BE(4) : null,
+    fs_type: fsType,
+    embedding_permission: describeEmbeddingPermission(fsType),
+    embedding_no_subsetting: fsType === null ? null : (fsType & 0x0100) !== 0,
+    embedding_bitmap_only: fsType === null ? null : (fsType & 0x0200) !== 0,
+  };
+}
+
+function readVariationAxes(fvarTable) {
+  if (!fvarTable || fvarTable.length < 16) {
+    return null;
+  }
+
+  const axesOffset = fvarTable.readUInt16BE(4);
+  const axisCount = fvarTable.readUInt16BE(8);
+  const axisSize = fvarTable.readUInt16BE(10);
+  const axes = [];
+
+  for (let index = 0; index < axisCount; index += 1) {
+    const offset = axesOffset + index * axisSize;
+    if (offset + 20 > fvarTable.length) {
+      break;
+    }
+
+    axes.push({
+      tag: fvarTable.toString("latin1", offset, offset + 4).trim(),
+      min: fvarTable.readInt32BE(offset + 4) / 65536,
+      default: fvarTable.readInt32BE(offset + 8) / 65536,
+      max: fvarTable.readInt32BE(offset + 12) / 65536,
+    });
+  }
+
+  return { axes, named_instance_count: fvarTable.readUInt16BE(12) };
+}
+
+function buildFontShapeMetadata(container, face) {
+  const maxpTable = face.tables.get("maxp");
+  const variation = readVariationAxes(face.tables.get("fvar"));
+  const glyphCount = maxpTable && maxpTable.length >= 6 ? maxpTable.readUInt16BE(4) : null;
+
+  return {
+    container,
+    format: CONTAINER_FORMATS[container] ?? container,
+    outline_format: face.flavor === "OTTO" || face.tables.has("CFF ") || face.tables.has("CFF2") ? "cff" : "truetype",
+    glyph_count: glyphCount,
+    variable: variation !== null,
+    variable_axes: variation?.axes ?? [],
+    named_instance_count: variation?.named_instance_count ?? 0,
+  };
+}
+
+function readSubsetIndicators(metadata) {
+  const indicators = [];
+  const names = [metadata.family_name, metadata.full_name, metadata.postscript_name];
+
+  if (names.some((name) => typeof name === "string" && PDF_SUBSET_PREFIX_PATTERN.test(name))) {
+    indicators.push("name_prefix");
+  }
+
+  if (metadata.glyph_count !== null && metadata.glyph_count < SUBSET_GLYPH_COUNT_THRESHOLD) {
+    indicators.push("low_glyph_count");
+  }
+
+  return indicators;
+}
+
+export function readFontMetadata(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  try {
+    const parsed = readFontFaces(buffer);
+    if (!parsed || parsed.faces.length === 0) {
+      return null;
+    }
+
+    const metadata = {
+      ...buildFontFaceMetadata(parsed.faces[0].tables),
+      ...buildFontShapeMetadata(parsed.container, parsed.faces[0]),
+      face_count: parsed.faces.length,
+    };
+    const subsetIndicators = readSubsetIndicators(metadata);
+
+    return {
+      ...metadata,
+      family_name: metadata.family_name?.replace(PDF_SUBSET_PREFIX_PATTERN, "") ?? null,
+      // Small complete fonts (display, icon, Latin-only cuts) are common, so a low glyph count stays informational.
+      subset: subsetIndicators.includes("name_prefix"),
+      subset_indicators: subsetIndicators,
+    };
+  } catch {
+    return null;
+  }
+}
+
+async function readFontFileMetadata(filePath) {
+  try {
+    const fileStat = await stat(filePath);
+    if (fileStat.size > MAX_FONT_METADATA_BYTES) {
+      return null;
+    }
+
+    return readFontMetadata(await readFile(filePath));
+  } catch {
+    return null;
+  }
+}
+
+function normalizeFamilyKey(familyName) {
+  return familyName.trim().toLowerCase().replace(/[\s_-]+/g, " ");
+}
+
+function matchFontIdsByFamilyName(fonts, familyName) {
+  if (!familyName) {
+    return [];
+  }
+
+  const familyKey = normalizeFamilyKey(familyName);
+  return fonts
+    .filter((font) => normalizeFamilyKey(font.family_name) === familyKey)
+    .map((font) => font.font_id)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+function createFamilyNamePattern(familyName) {
+  const normalized = familyName.trim().toLowerCase().replace(/\s+/g, " ");
+  if (normalized.length === 0) {
+    return null;
+  }
+
+  const tokens = normalized.split(" ").map((token) => token.trim()).filter(Boolean);
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const tokenPattern = tokens.map((token) => escapeRegex(token)).join("[\\s_-]+");
+  return new RegExp(`(^|[^a-z0-9])${tokenPattern}([^a-z0-9]|$)`, "i");
+}
+
+function containsFamilyName(contentLower, font) {
+  if (!contentLower.includes(font.family_name_lower)) {
+    return false;
+  }
+
+  if (!font.family_name_pattern) {
+    return true;
+  }
+
+  return font.family_name_pattern.test(contentLower);
+}
+
+// Aho-Corasick automaton over all lower-cased family names, so each text file is walked once
+// instead of once per manifest font.
+function createFamilyNameMatcher(fonts) {
+  const nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+
+  fonts.forEach((font, fontIndex) => {
+    let nodeIndex = 0;
+
+    for (const char of font.family_name_lower) {
+      let childIndex = nodes[nodeIndex].next.get(char);
+      if (childIndex === undefined) {
+        childIndex = nodes.length;
+        nodes.push({ next: new Map(), fail: 0, outputs: [] });
+        nodes[nodeIndex].next.set(char, childIndex);
+      }
+      nodeIndex = childIndex;
+    }
+
+    nodes[nodeIndex].outputs.push(fontIndex);
+  });
+
+  const queue = Array.from(nodes[0].next.values());
+  for (let cursor = 0; cursor < queue.length; cursor += 1) {
+    const node = nodes[queue[cursor]];
+
+    for (const [char, childIndex] of node.next) {
+      let failIndex = node.fail;
+      while (failIndex !== 0 && !nodes[failIndex].next.has(char)) {
+        failIndex = nodes[failIndex].fail;
+      }
+
+      const fallback = nodes[failIndex].next.get(char);
+      const child = nodes[childIndex];
+      child.fail = fallback !== undefined && fallback !== childIndex ? fallback : 0;
+      child.outputs = child.outputs.concat(nodes[child.fail].outputs);
+      queue.push(childIndex);
+    }
+  }
+
+  return nodes;
+}
+
+function findFamilyNameCandidates(contentLower, matcher) {
+  const found = new Set();
+  let state = 0;
+
+  for (const char of contentLower) {
+    while (state !== 0 && !matcher[state].next.has(char)) {
+      state = matcher[state].fail;
+    }
+
+    state = matcher[state].next.get(char) ?? 0;
+    for (const fontIndex of matcher[state].outputs) {
+      found.add(fontIndex);
+    }
+  }
+
+  return found;
+}
+
+function stripStylesheetComments(content, allowLineComments) {
+  let result = "";
+  let quote = null;
+  let parenDepth = 0;
+  let index = 0;
+
+  while (index < content.length) {
+    const char = content[index];
+    const next = content[index + 1];
+
+    if (quote) {
+      if (char === "\\" && next !== undefined) {
+        result += char + next;
+        index += 2;
+        continue;
+      }
+
+      if (char === quote || char === "\n") {
+        quote = null;
+      }
+      result += char;
+      index += 1;
+      continue;
+    }
+
+    // Comments are blanked rather than removed so offsets (and line numbers) stay stable.
+    if (char === "/" && next === "*") {
+      const end = content.indexOf("*/", index + 2);
+      const stop = end === -1 ? content.length : end + 2;
+      result += content.slice(index, stop).replace(/[^\n]/g, " ");
+      index = stop;
+      continue;
+    }
+
+    if (allowLineComments && char === "/" && next === "/" && parenDepth === 0) {
+      const end = content.indexOf("\n", index);
+      const stop = end === -1 ? content.length : end;
+      result += " ".repeat(stop - index);
+      index = stop;
+      continue;
+    }
+
+    if (char === "\"" || char === "'") {
+      quote = char;
+    } else if (char === "(") {
+      parenDepth += 1;
+    } else if (char === ")") {
+      parenDepth = Math.max(0, parenDepth - 1);
+    }
+
+    result += char;
+    index += 1;
+  }
+
+  return result;
+}
+
+function splitTopLevel(value, separator) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+  let parenDepth = 0;
+
+  for (let index = 0; index < value.length; index += 1) {
+    const char = value[index];
+
+    if (quote) {
+      if (char === "\\" && index + 1 < value.length) {
+        current += char + value[index + 1];
+        index += 1;
+        continue;
+      }
+      if (char === quote) {
+        quote = null;
+      }
+      current += char;
+      continue;
+    }
+
+    if (char === "\"" || char === "'") {
+      quote = char;
+    } else if (char === "(") {
+      parenDepth += 1;
+    } else if (char === ")") {
+      parenDepth = Math.max(0, parenDepth - 1);
+    } else if (char === separator && parenDepth === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+
+    current += char;
+  }
+
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter((part) => part.length > 0);
+}
+
+function unquoteCssString(value) {
+  const trimmed = value.trim();
+  const quoted = /^(['"])([\s\S]*)\1$/.exec(trimmed);
+  const inner = quoted ? quoted[2] : trimmed;
+  return inner.replace(/\\(.)/g, "$1").replace(/\s+/g, " ").trim();
+}
+
+function parseFontFamilyList(value) {
+  return splitTopLevel(value.replace(/!important\s*$/i, ""), ",")
+    .map((entry) => unquoteCssString(entry))
+    .filter((entry) => entry.length > 0);
+}
+
+function lineNumberAt(content, offset) {
+  let line = 1;
+  for (let index = content.indexOf("\n"); index !== -1 && index < offset; index = content.indexOf("\n", index + 1)) {
+    line += 1;
+  }
+  return line;
+}
+
+function readCssFunctionArgument(item, functionName) {
+  const match = new RegExp(`${functionName}\\(\\s*(['"]?)([\\s\\S]*?)\\1\\s*\\)`, "i").exec(item);
+  return match ? match[2].trim() : null;
+}
+
+function parseFontFaceSource(value) {
+  const sources = [];
+  const localNames = [];
+
+  for (const item of splitTopLevel(value, ",")) {
+    const url = readCssFunctionArgument(item, "url");
+    if (url) {
+      sources.push({ url, format: readCssFunctionArgument(item, "format") });
+      continue;
+    }
+
+    const localName = readCssFunctionArgument(item, "local");
+    if (localName) {
+      localNames.push(localName);
+    }
+  }
+
+  return { sources, localNames };
+}
+
+function findBlockEnd(content, openBraceIndex) {
+  let depth = 0;
+
+  for (let index = openBraceIndex; index < content.length; index += 1) {
+    if (content[index] === "{") {
+      depth += 1;
+    } else if (content[index] === "}") {
+      depth -= 1;
+      if (depth === 0) {
+        return index;
+      }
+    }
+  }
+
+  return content.length;
+}
+
+// Resolves `$var` (SCSS), `@var` (LESS) and `var(--var)` references one declaration deep at a time.
+function resolveStylesheetVariables(value, variables) {
+  let resolved = value;
+
+  for (let pass = 0; pass < 3; pass += 1) {
+    const next = resolved
+      .replace(/var\(\s*(--[\w-]+)\s*(?:,([^)]*))?\)/g, (match, name, fallback) => variables.get(name) ?? fallback ?? match)
+      .replace(/([$@][\w-]+)/g, (match, name) => variables.get(name) ?? match);
+
+    if (next === resolved) {
+      break;
+    }
+    resolved = next;
+  }
+
+  return resolved;
+}
+
+function readFontShorthandFamilies(value) {
+  const match =
+    /(?:^|\s)(?:[\d.]+(?:px|em|rem|pt|pc|%|vw|vh|ex|ch)|xx-small|x-small|small|medium|large|x-large|xx-large|smaller|larger)(?:\s*\/\s*\S+)?\s+([\s\S]+)$/i.exec(
+      value.trim(),
+    );
+  return match ? parseFontFamilyList(match[1]) : [];
+}
+
+function parseStylesheet(content, extension) {
+  const indentedSyntax = extension === ".sass";
+  const source = stripStylesheetComments(content, extension !== ".css");
+  const fontFaces = [];
+  let masked = source;
+
+  const fontFacePattern = /@font-face\s*\{/gi;
+  let fontFaceMatch;
+  while ((fontFaceMatch = fontFacePattern.exec(source)) !== null) {
+    const openBraceIndex = fontFaceMatch.index + fontFaceMatch[0].length - 1;
+    const endIndex = findBlockEnd(source, openBraceIndex);
+    const properties = {};
+
+    for (const declaration of splitTopLevel(source.slice(openBraceIndex + 1, endIndex), ";")) {
+      const separatorIndex = declaration.indexOf(":");
+      if (separatorIndex > 0) {
+        properties[declaration.slice(0, separatorIndex).trim().toLowerCase()] = declaration
+          .slice(separatorIndex + 1)
+          .trim();
+      }
+    }
+
+    const family = properties["font-family"] ? parseFontFamilyList(properties["font-family"])[0] : undefined;
+    if (family) {
+      const { sources, localNames } = parseFontFaceSource(properties.src ?? "");
+      fontFaces.push({
+        kind: "font_face",
+        line: lineNumberAt(content, fontFaceMatch.index),
+        family,
+        src: sources,
+        local_names: localNames,
+        weight: properties["font-weight"] ?? null,
+        style: properties["font-style"] ?? null,
+        unicode_range: properties["unicode-range"] ?? null,
+        display: properties["font-display"] ?? null,
+      });
+    }
+
+    masked =
+      masked.slice(0, fontFaceMatch.index) +
+      " ".repeat(endIndex + 1 - fontFaceMatch.index) +
+      masked.slice(endIndex + 1);
+    fontFacePattern.lastIndex = endIndex;
+  }
+
+  const terminator = indentedSyntax ? "[^;{}\\n]" : "[^;{}]";
+  const variables = new Map();
+  const variablePattern = new RegExp(`(^|[\\s;{])(\\$[\\w-]+|@[\\w-]+|--[\\w-]+)\\s*:\\s*(${terminator}+)`, "g");
+  let variableMatch;
+  while ((variableMatch = variablePattern.exec(masked)) !== null) {
+    variables.set(variableMatch[2], variableMatch[3].replace(/!default\s*$/i, "").trim());
+  }
+
+  const familyDeclarations = [];
+  const declarationPattern = new RegExp(`(^|[\\s;{])(font-family|font)\\s*:\\s*(${terminator}+)`, "gi");
+  let declarationMatch;
+  while ((declarationMatch = declarationPattern.exec(masked)) !== null) {
+    const property = declarationMatch[2].toLowerCase();
+    const value = resolveStylesheetVariables(declarationMatch[3], variables);
+    const stack = property === "font" ? readFontShorthandFamilies(value) : parseFontFamilyList(value);
+
+    if (stack.length > 0) {
+      familyDeclarations.push({
+        kind: "font_family",
+        line: lineNumberAt(content, declarationMatch.index + declarationMatch[1].length),
+        property,
+        stack,
+      });
+    }
+  }
+
+  return { fontFaces, familyDeclarations };
+}
+
+function collectStylesheetDeclarations(font, stylesheet, relativePath) {
+  const familyKey = normalizeFamilyKey(font.family_name);
+  const declarations = [];
+
+  for (const fontFace of stylesheet.fontFaces) {
+    if (normalizeFamilyKey(fontFace.family) === familyKey) {
+      declarations.push({ path: relativePath, ...fontFace });
+    }
+  }
+
+  for (const declaration of stylesheet.familyDeclarations) {
+    const position = declaration.stack.findIndex((entry) => normalizeFamilyKey(entry) === familyKey);
+    if (position >= 0) {
+      declarations.push({ path: relativePath, ...declaration, stack_position: position });
+    }
+  }
+
+  return declarations;
+}
+
+function titleCaseFamilySlug(slug) {
+  return slug
+    .replace(/[+_-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .split(" ")
+    .map((token) => (token === token.toLowerCase() ? toTitleCaseToken(token) : token))
+    .join(" ");
+}
+
+function readGoogleStyleFamilies(url) {
+  const families = [];
+
+  for (const value of url.searchParams.getAll("family")) {
+    // css (v1) joins families with "|", css2 repeats the parameter.
+    for (const spec of value.split("|")) {
+      const familyName = titleCaseFamilySlug(spec.split(":")[0]);
+      if (familyName.length > 0) {
+        families.push(familyName);
+      }
+    }
+  }
+
+  return families;
+}
+
+function parseFontServiceUrl(rawUrl) {
+  const decodedUrl = rawUrl.replace(/&amp;/g, "&");
+  let url;
+  try {
+    url = new URL(decodedUrl.startsWith("//") ? `https:${decodedUrl}` : decodedUrl);
+  } catch {
+    return [];
+  }
+
+  const host = url.hostname.toLowerCase();
+
+  if (host === "fonts.googleapis.com" || host === "fonts.bunny.net") {
+    const provider = host === "fonts.bunny.net" ? "bunny_fonts" : "google_fonts";
+    return readGoogleStyleFamilies(url).map((familyName) => ({ provider, family_name: familyName, kit_id: null }));
+  }
+
+  if (host === "fonts.gstatic.com") {
+    const slug = /^\/s\/([^/]+)\//.exec(url.pathname)?.[1];
+    return slug ? [{ provider: "google_fonts", family_name: titleCaseFamilySlug(slug), kit_id: null }] : [];
+  }
+
+  if (host === "api.fontshare.com") {
+    return url.searchParams
+      .getAll("f[]")
+      .map((spec) => titleCaseFamilySlug(spec.split("@")[0]))
+      .filter((familyName) => familyName.length > 0)
+      .map((familyName) => ({ provider: "fontshare", family_name: familyName, kit_id: null }));
+  }
+
+  if (host === "use.typekit.net" || host === "use.typekit.com") {
+    const kitId = /^\/([a-z0-9]+)\.(css|js)$/i.exec(url.pathname)?.[1];
+    return kitId ? [{ provider: "adobe_fonts", family_name: null, kit_id: kitId }] : [];
+  }
+
+  return [];
+}
+
+function readFontServiceReferences(content) {
+  const references = [];
+
+  for (const match of content.matchAll(FONT_SERVICE_URL_PATTERN)) {
+    const url = match[0].replace(/&amp;/g, "&");
+    for (const reference of parseFontServiceUrl(match[0])) {
+      references.push({ ...reference, url });
+    }
+  }
+
+  return references;
+}
+
+function addFontServiceReference(servicesByKey, reference, relativePath) {
+  const key = `${reference.provider}|${reference.kit_id ?? normalizeFamilyKey(reference.family_name)}`;
+
+  if (!servicesByKey.has(key)) {
+    servicesByKey.set(key, {
+      provider: reference.provider,
+      provider_name: FONT_SERVICE_PROVIDER_NAMES[reference.provider],
+      family_name: reference.family_name,
+      font_id_guess: reference.family_name ? slugifyId(reference.family_name, "font") : null,
+      kit_id: reference.kit_id,
+      urls: new Set(),
+      paths: new Set(),
+    });
+  }
+
+  const service = servicesByKey.get(key);
+  service.urls.add(reference.url);
+  service.paths.add(relativePath);
+}
+
+function finalizeFontServices(servicesByKey, fonts) {
+  return Array.from(servicesByKey.values())
+    .map((service) => ({
+      ...service,
+      matched_font_ids: service.family_name ? matchFontIdsByFamilyName(fonts, service.family_name) : [],
+      urls: Array.from(service.urls).sort((a, b) => a.localeCompare(b)),
+      paths: Array.from(service.paths).sort((a, b) => a.localeCompare(b)),
+    }))
+    .sort((a, b) => {
+      if (a.provider !== b.provider) {
+        return a.provider.localeCompare(b.provider);
+      }
+      return String(a.family_name ?? a.kit_id).localeCompare(String(b.family_name ?? b.kit_id));
+    });
+}
+
+function readFontPackageSlug(packageName) {
+  const match = /^(?:@fontsource(?:-variable)?\/|typeface-)([a-z0-9-]+)$/.exec(packageName);
+  return match ? match[1] : null;
+}
+
+function addFontPackageReference(referencesByKey, reference, relativePath, searchDir) {
+  const key = reference.family_name
+    ? `${reference.package_name}|${normalizeFamilyKey(reference.family_name)}`
+    : reference.package_name;
+
+  if (!referencesByKey.has(key)) {
+    referencesByKey.set(key, {
+      package_name: reference.package_name,
+      family_name: reference.family_name ?? null,
+      declared_range: null,
+      referenced_by: new Set(),
+      search_dirs: new Set(),
+    });
+  }
+
+  const entry = referencesByKey.get(key);
+  entry.referenced_by.add(relativePath);
+  entry.search_dirs.add(searchDir);
+  if (reference.declared_range && !entry.declared_range) {
+    entry.declared_range = reference.declared_range;
+  }
+}
+
+function readFontPackageReferences(content, fileName) {
+  const references = [];
+
+  if (fileName === "package.json") {
+    let packageJson;
+    try {
+      packageJson = JSON.parse(content);
+    } catch {
+      return references;
+    }
+
+    for (const field of PACKAGE_JSON_DEPENDENCY_FIELDS) {
+      const dependencies = packageJson?.[field];
+      if (!dependencies || typeof dependencies !== "object" || Array.isArray(dependencies)) {
+        continue;
+      }
+
+      for (const [packageName, range] of Object.entries(dependencies)) {
+        if (readFontPackageSlug(packageName)) {
+          references.push({ package_name: packageName, declared_range: typeof range === "string" ? range : null });
+        }
+      }
+    }
+    return references;
+  }
+
+  if (LOCKFILE_NAMES.has(fileName)) {
+    // Lockfiles also list transitive installs, e.g. a design system pulling in @fontsource packages.
+    for (const match of content.matchAll(FONT_PACKAGE_NAME_PATTERN)) {
+      references.push({ package_name: match[0] });
+    }
+    return references;
+  }
+
+  for (const match of content.matchAll(FONT_PACKAGE_IMPORT_PATTERN)) {
+    references.push({ package_name: match[1] });
+  }
+
+  for (const match of content.matchAll(NEXT_FONT_GOOGLE_IMPORT_PATTERN)) {
+    for (const specifier of match[1].split(",")) {
+      // `Roboto_Mono as mono` -> "Roboto Mono"
+      const exportName = specifier.trim().split(/\s+as\s+/)[0].trim();
+      if (exportName.length > 0) {
+        references.push({ package_name: "next/font/google", family_name: exportName.replace(/_/g, " ") });
+      }
+    }
+  }
+
+  return references;
+}
+
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+async function findInstalledPackageDir(rootPath, searchDirs, packageName) {
+  for (const searchDir of Array.from(searchDirs).sort((a, b) => b.length - a.length || a.localeCompare(b))) {
+    let currentDir = searchDir;
+
+    while (true) {
+      const candidate = path.join(currentDir, "node_modules", packageName);
+      try {
+        if ((await stat(path.join(candidate, "package.json"))).isFile()) {
+          return candidate;
+        }
+      } catch {
+        // not installed at this level
+      }
+
+      if (currentDir === rootPath || !currentDir.startsWith(rootPath)) {
+        break;
+      }
+      currentDir = path.dirname(currentDir);
+    }
+  }
+
+  return null;
+}
+
+async function readPackageLicenseFile(rootPath, packageDir, fonts) {
+  for (const fileName of PACKAGE_LICENSE_FILE_NAMES) {
+    const filePath = path.join(packageDir, fileName);
+    let fileBuffer;
+
+    try {
+      fileBuffer = await readFile(filePath);
+    } catch {
+      continue;
+    }
+
+    const content = readLicenseDocumentText(fileName, fileBuffer);
+    const contentLower = content ? content.toLowerCase() : null;
+
+    return {
+      path: relativeTo(rootPath, filePath),
+      extension: path.extname(filePath).toLowerCase(),
+      file_name: fileName,
+      size_bytes: fileBuffer.length,
+      document_hash: sha256Hex(fileBuffer),
+      ...describeLicenseDocument(fileName, content),
+      matched_font_ids: matchFontIdsFromLicenseContent(fonts, contentLower),
+      adjacent_font_ids: [],
+    };
+  }
+
+  return null;
+}
+
+async function discoverFontPackages(rootPath, referencesByKey, fonts) {
+  const discovered = [];
+
+  for (const reference of referencesByKey.values()) {
+    const slug = readFontPackageSlug(reference.package_name);
+    const packageDir = slug ? await findInstalledPackageDir(rootPath, reference.search_dirs, reference.package_name) : null;
+    const installedPackageJson = packageDir ? await readJsonFile(path.join(packageDir, "package.json")) : null;
+    // Fontsource ships the canonical family name in metadata.json.
+    const fontsourceMetadata = packageDir ? await readJsonFile(path.join(packageDir, "metadata.json")) : null;
+
+    const familyName =
+      reference.family_name ??
+      (typeof fontsourceMetadata?.family === "string" ? fontsourceMetadata.family : null) ??
+      titleCaseFamilySlug(slug ?? reference.package_name);
+    const licenseFile = packageDir ? await readPackageLicenseFile(rootPath, packageDir, fonts) : null;
+
+    discovered.push({
+      package_name: reference.package_name,
+      family_name: familyName,
+      font_id_guess: slugifyId(familyName, "font"),
+      matched_font_ids: matchFontIdsByFamilyName(fonts, familyName),
+      source_type: "oss",
+      version: typeof installedPackageJson?.version === "string" ? installedPackageJson.version : null,
+      declared_range: reference.declared_range,
+      license_spdx: typeof installedPackageJson?.license === "string" ? installedPackageJson.license : null,
+      installed_path: packageDir ? relativeTo(rootPath, packageDir) : null,
+      license_file: licenseFile,
+      referenced_by: Array.from(reference.referenced_by).sort((a, b) => a.localeCompare(b)),
+    });
+  }
+
+  return discovered.sort((a, b) => {
+    if (a.package_name !== b.package_name) {
+      return a.package_name.localeCompare(b.package_name);
+    }
+    return a.family_name.localeCompare(b.family_name);
+  });
+}
+
+function describeDiscoveredFontFile(filePath, relativePath, metadata, fonts, fileHash = null) {
+  const extension = path.extname(filePath).toLowerCase();
+  const familyGuess = metadata?.family_name ?? guessFamilyNameFromFile(filePath);
+  const extensionFormat = extension.slice(1);
+
+  return {
+    path: relativePath,
+    extension,
+    file_name: path.basename(filePath),
+    file_hash: fileHash,
+    // The container read from the binary wins over the extension (e.g. WOFF2 data saved as .ttf).
+    format: metadata?.format ?? CONTAINER_FORMATS[extensionFormat] ?? extensionFormat,
+    family_guess: familyGuess,
+    family_source: metadata?.family_name ? "name_table" : "file_name",
+    font_id_guess: slugifyId(familyGuess || path.basename(filePath, extension), "font"),
+    matched_font_ids: matchFontIdsByFamilyName(fonts, familyGuess),
+    metadata,
+  };
+}
+
+function runGit(cwd, args) {
+  const result = spawnSync("git", args, { cwd, maxBuffer: GIT_MAX_BUFFER_BYTES });
+
+  if (result.error) {
+    throw new Error(`Git-aware scan modes require the git binary: ${result.error.message}`);
+  }
+
+  if (result.status !== 0) {
+    throw new Error(`git ${args.find((arg) => !arg.startsWith("-"))} failed: ${result.stderr.toString("utf8").trim()}`);
+  }
+
+  return result.stdout;
+}
+
+function splitGitNulList(buffer) {
+  return buffer
+    .toString("utf8")
+    .split("\0")
+    .filter((entry) => entry.length > 0);
+}
+
+function resolveGitChangedFiles(rootPath, ref) {
+  const headSha = runGit(rootPath, ["rev-parse", "HEAD"]).toString("utf8").trim();
+  const refSha = runGit(rootPath, ["rev-parse", "--verify", `${ref}^{commit}`]).toString("utf8").trim();
+
+  // Diff against the merge base so commits that landed on the base branch meanwhile are not counted.
+  let mergeBaseSha = refSha;
+  try {
+    mergeBaseSha = runGit(rootPath, ["merge-base", refSha, headSha]).toString("utf8").trim();
+  } catch {
+    // unrelated histories: fall back to the ref itself
+  }
+
+  const changedPaths = [
+    ...splitGitNulList(runGit(rootPath, ["diff", "--name-only", "--relative", "--diff-filter=d", "-z", mergeBaseSha])),
+    ...splitGitNulList(runGit(rootPath, ["ls-files", "--others", "--exclude-standard", "-z"])),
+  ];
+
+  return {
+    summary: {
+      ref,
+      ref_sha: refSha,
+      merge_base_sha: mergeBaseSha,
+      head_sha: headSha,
+      changed_files_count: new Set(changedPaths).size,
+    },
+    absolutePaths: new Set(changedPaths.map((changedPath) => path.resolve(rootPath, changedPath))),
+  };
+}
+
+function readGitFontFileEvents(rootPath) {
+  const pathspecs = Array.from(FONT_FILE_EXTENSIONS, (extension) => `:(icase)*${extension}`);
+  const log = runGit(rootPath, [
+    "-c",
+    "core.quotePath=false",
+    "log",
+    "--all",
+    "--no-renames",
+    "--relative",
+    "--diff-filter=AD",
+    "--name-status",
+    "--format=%x01%H %cI",
+    "--",
+    ...pathspecs,
+  ]).toString("utf8");
+
+  // Newest commits come first, so the first event per path is its latest state.
+  const eventsByPath = new Map();
+  let commit = null;
+
+  for (const line of log.split("\n")) {
+    if (line.startsWith("\x01")) {
+      const [sha, committedAt] = line.slice(1).split(" ");
+      commit = { sha, committed_at: committedAt };
+      continue;
+    }
+
+    const match = /^([AD])\t(.+)$/.exec(line);
+    if (!match || !commit) {
+      continue;
+    }
+
+    if (!eventsByPath.has(match[2])) {
+      eventsByPath.set(match[2], []);
+    }
+    eventsByPath.get(match[2]).push({ status: match[1], ...commit });
+  }
+
+  return eventsByPath;
+}
+
+async function discoverHistoricalFontFiles(rootPath, fonts, maxDiscoveredFiles) {
+  const eventsByPath = readGitFontFileEvents(rootPath);
+  const discovered = [];
+
+  for (const gitPath of Array.from(eventsByPath.keys()).sort((a, b) => a.localeCompare(b))) {
+    if (discovered.length >= maxDiscoveredFiles) {
+      break;
+    }
+
+    const filePath = path.resolve(rootPath, gitPath);
+    try {
+      await stat(filePath);
+      continue;
+    } catch {
+      // no longer in the working tree, but still distributed through git history
+    }
+
+    const events = eventsByPath.get(gitPath);
+    const addedIn = events.find((event) => event.status === "A") ?? null;
+    const deletedIn = events.find((event) => event.status === "D") ?? null;
+    let metadata = null;
+    let fileHash = null;
+
+    if (addedIn) {
+      try {
+        const blob = runGit(rootPath, ["show", `${addedIn.sha}:./${gitPath}`]);
+        metadata = blob.length <= MAX_FONT_METADATA_BYTES ? readFontMetadata(blob) : null;
+        fileHash = sha256Hex(blob);
+      } catch {
+        metadata = null;
+      }
+    }
+
+    discovered.push({
+      ...describeDiscoveredFontFile(filePath, relativeTo(rootPath, filePath), metadata, fonts, fileHash),
+      added_in: addedIn ? { sha: addedIn.sha, committed_at: addedIn.committed_at } : null,
+      deleted_in: deletedIn ? { sha: deletedIn.sha, committed_at: deletedIn.committed_at } : null,
+    });
+  }
+
+  return discovered;
+}
+
+function isAppFontManifestPath(filePath) {
+  const fileName = path.basename(filePath);
+  return (
+    fileName === "Info.plist" ||
+    fileName.endsWith("-Info.plist") ||
+    fileName === "pubspec.yaml" ||
+    fileName === "react-native.config.js" ||
+    ANDROID_FONT_RESOURCE_XML_PATTERN.test(filePath)
+  );
+}
+
+function decodeXmlText(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function readInfoPlistFonts(content) {
+  const block = /<key>\s*UIAppFonts\s*<\/key>\s*<array>([\s\S]*?)<\/array>/.exec(content);
+  if (!block) {
+    return [];
+  }
+
+  return Array.from(block[1].matchAll(/<string>([^<]*)<\/string>/g), (match) => ({
+    family_name: null,
+    asset: decodeXmlText(match[1]),
+  })).filter((declaration) => declaration.asset.length > 0);
+}
+
+function readAndroidFontFamilyXml(content) {
+  const declarations = [];
+
+  for (const match of content.matchAll(/<font\b([^>]*)>/g)) {
+    const resource = /\b(?:android|app):font\s*=\s*"@font\/([\w.]+)"/.exec(match[1]);
+    if (resource) {
+      declarations.push({ family_name: null, asset: resource[1] });
+    }
+  }
+
+  // Downloadable fonts name the family in the provider query instead of shipping a file.
+  const query = /\b(?:android|app):fontProviderQuery\s*=\s*"([^"]*)"/.exec(content);
+  if (query) {
+    const rawQuery = decodeXmlText(query[1]);
+    const familyName = rawQuery.includes("=") ? new URLSearchParams(rawQuery).get("name") : rawQuery;
+    if (familyName) {
+      declarations.push({ family_name: familyName.trim(), asset: null });
+    }
+  }
+
+  return declarations;
+}
+
+function readReactNativeAssetDirs(content) {
+  const block = /\bassets\s*:\s*\[([^\]]*)\]/.exec(content);
+  if (!block) {
+    return [];
+  }
+
+  return Array.from(block[1].matchAll(/["'`]([^"'`]+)["'`]/g), (match) => match[1]);
+}
+
+function readYamlScalar(value) {
+  return value.replace(/\s+#.*$/, "").trim().replace(/^(['"])(.*)\1$/, "$2");
+}
+
+function readPubspecFonts(content) {
+  const declarations = [];
+  let inFlutter = false;
+  let fontsIndent = null;
+  let familyName = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed.length === 0 || trimmed.startsWith("#")) {
+      continue;
+    }
+
+    const indent = line.length - line.trimStart().length;
+    if (fontsIndent !== null && indent <= fontsIndent) {
+      fontsIndent = null;
+    }
+
+    if (indent === 0) {
+      inFlutter = /^flutter:\s*$/.test(trimmed);
+      continue;
+    }
+
+    if (inFlutter && fontsIndent === null && /^fonts:\s*$/.test(trimmed)) {
+      fontsIndent = indent;
+      familyName = null;
+      continue;
+    }
+
+    if (fontsIndent === null) {
+      continue;
+    }
+
+    const family = /^(?:-\s*)?family:\s*(.+)$/.exec(trimmed);
+    if (family) {
+      familyName = readYamlScalar(family[1]);
+      continue;
+    }
+
+    const asset = /^(?:-\s*)?asset:\s*(.+)$/.exec(trimmed);
+    if (asset) {
+      declarations.push({ family_name: familyName, asset: readYamlScalar(asset[1]) });
+    }
+  }
+
+  return declarations;
+}
+
+function isWithinDir(dirPath, filePath) {
+  const relativePath = path.relative(dirPath, filePath);
+  return relativePath.length > 0 && !relativePath.startsWith("..") && !path.isAbsolute(relativePath);
+}
+
+function resolveAppFontDeclarations(manifestPath, content, fontFiles) {
+  const fileName = path.basename(manifestPath);
+  const manifestDir = path.dirname(manifestPath);
+
+  if (fileName.endsWith(".plist")) {
+    // UIAppFonts paths are bundle-relative, so source files are matched by file name, preferring the Xcode project.
+    const projectDir = path.dirname(manifestDir);
+    return readInfoPlistFonts(content).map((declaration) => {
+      const files = fontFiles.filter((filePath) => path.basename(filePath) === path.basename(declaration.asset));
+      const projectFiles = files.filter((filePath) => isWithinDir(projectDir, filePath));
+      return { platform: "ios", ...declaration, files: projectFiles.length > 0 ? projectFiles : files };
+    });
+  }
+
+  if (fileName === "pubspec.yaml") {
+    return readPubspecFonts(content).map((declaration) => ({
+      platform: "flutter",
+      ...declaration,
+      files: fontFiles.filter((filePath) => filePath === path.resolve(manifestDir, declaration.asset)),
+    }));
+  }
+
+  if (fileName === "react-native.config.js") {
+    return readReactNativeAssetDirs(content).flatMap((assetDir) => {
+      const resolvedDir = path.resolve(manifestDir, assetDir);
+      return fontFiles
+        .filter((filePath) => isWithinDir(resolvedDir, filePath))
+        .map((filePath) => ({
+          platform: "react_native",
+          family_name: null,
+          asset: path.relative(manifestDir, filePath).split(path.sep).join("/"),
+          files: [filePath],
+        }));
+    });
+  }
+
+  return readAndroidFontFamilyXml(content).map((declaration) => ({
+    platform: "android",
+    ...declaration,
+    files: declaration.asset
+      ? fontFiles.filter(
+          (filePath) =>
+            path.dirname(filePath) === manifestDir &&
+            path.basename(filePath, path.extname(filePath)) === declaration.asset,
+        )
+      : [],
+  }));
+}
+
+async function discoverAppFonts(rootPath, appManifestFiles, fontFiles, fonts) {
+  const declarations = [];
+
+  for (const manifestPath of appManifestFiles) {
+    let content;
+    try {
+      content = await readFile(manifestPath, "utf8");
+    } catch {
+      continue;
+    }
+
+    for (const declaration of resolveAppFontDeclarations(manifestPath, content, fontFiles)) {
+      declarations.push({ ...declaration, declared_in: relativeTo(rootPath, manifestPath) });
+    }
+  }
+
+  // Android also loads font files dropped directly into res/font without a font-family XML.
+  const declaredFiles = new Set(declarations.flatMap((declaration) => declaration.files));
+  for (const filePath of fontFiles) {
+    if (ANDROID_FONT_RESOURCE_DIR_PATTERN.test(path.dirname(filePath)) && !declaredFiles.has(filePath)) {
+      declarations.push({
+        platform: "android",
+        family_name: null,
+        asset: path.basename(filePath, path.extname(filePath)),
+        files: [filePath],
+        declared_in: relativeTo(rootPath, filePath),
+      });
+    }
+  }
+
+  const discovered = [];
+  for (const declaration of declarations) {
+    const metadata = declaration.files.length > 0 ? await readFontFileMetadata(declaration.files[0]) : null;
+    let familyName = declaration.family_name;
+    let familySource = "declaration";
+
+    if (!familyName && metadata?.family_name) {
+      familyName = metadata.family_name;
+      familySource = "name_table";
+    } else if (!familyName) {
+      familyName = guessFamilyNameFromFile(declaration.asset);
+      familySource = "file_name";
+    }
+
+    discovered.push({
+      platform: declaration.platform,
+      declared_in: declaration.declared_in,
+      asset: declaration.asset,
+      family_name: familyName,
+      family_source: familySource,
+      font_id_guess: slugifyId(familyName, "font"),
+      paths: declaration.files.map((filePath) => relativeTo(rootPath, filePath)).sort((a, b) => a.localeCompare(b)),
+      matched_font_ids: matchFontIdsByFamilyName(fonts, familyName),
+    });
+  }
+
+  return discovered.sort(
+    (a, b) => a.declared_in.localeCompare(b.declared_in) || (a.asset ?? "").localeCompare(b.asset ?? ""),
+  );
+}
+
+function detectFontBinaryExtension(buffer) {
+  const signature = buffer.toString("latin1", 0, 4);
+  if (signature === "wOF2") {
+    return ".woff2";
+  }
+  if (signature === "wOFF") {
+    return ".woff";
+  }
+  if (signature === "OTTO") {
+    return ".otf";
+  }
+  if (signature === "ttcf") {
+    return ".otc";
+  }
+  return ".ttf";
+}
+
+function readDataUriFonts(content) {
+  const embedded = [];
+
+  for (const match of content.matchAll(DATA_URI_FONT_PATTERN)) {
+    if (match[2].length > (MAX_FONT_METADATA_BYTES * 4) / 3) {
+      continue;
+    }
+
+    const buffer = Buffer.from(match[2], "base64");
+    const metadata = readFontMetadata(buffer);
+    // Generic MIME types are common for unrelated blobs, so only parseable fonts are reported.
+    if (!metadata) {
+      continue;
+    }
+
+    embedded.push({
+      family_name: null,
+      extension: detectFontBinaryExtension(buffer),
+      file_hash: sha256Hex(buffer),
+      metadata,
+      embedded_in: {
+        kind: "data_uri",
+        mime_type: match[1].toLowerCase(),
+        line: lineNumberAt(content, match.index),
+        size_bytes: buffer.length,
+      },
+    });
+  }
+
+  return embedded;
+}
+
+function readSvgFonts(content) {
+  const embedded = [];
+
+  for (const match of content.matchAll(/<font-face\b([^>]*)>/gi)) {
+    const family = /\bfont-family\s*=\s*(["'])(.*?)\1/i.exec(match[1]);
+    if (family && family[2].trim().length > 0) {
+      embedded.push({
+        family_name: decodeXmlText(family[2]),
+        extension: ".svg",
+        metadata: null,
+        embedded_in: { kind: "svg_font", line: lineNumberAt(content, match.index) },
+      });
+    }
+  }
+
+  return [...embedded, ...readDataUriFonts(content)];
+}
+
+function readPdfSearchText(buffer) {
+  const text = buffer.toString("latin1");
+  const parts = [];
+  let cursor = 0;
+
+  // Stream bodies are binary; only object streams (PDF 1.5+) are inflated because they hold font dictionaries.
+  for (const match of text.matchAll(/(?<!end)stream\r?\n/g)) {
+    const end = text.indexOf("endstream", match.index + match[0].length);
+    if (end < 0) {
+      break;
+    }
+
+    const dictionary = text.slice(Math.max(cursor, text.lastIndexOf("obj", match.index)), match.index);
+    parts.push(text.slice(cursor, match.index));
+
+    if (dictionary.includes("/ObjStm") && dictionary.includes("/FlateDecode")) {
+      try {
+        parts.push(inflateSync(buffer.subarray(match.index + match[0].length, end)).toString("latin1"));
+      } catch {
+        // truncated or non-deflate stream
+      }
+    }
+
+    cursor = end + "endstream".length;
+  }
+
+  parts.push(text.slice(cursor));
+  return parts.join("\n");
+}
+
+function readPdfDictionaries(text) {
+  const dictionaries = [];
+  const starts = [];
+
+  for (let index = 0; index < text.length - 1; index += 1) {
+    if (text[index] === "<" && text[index + 1] === "<") {
+      starts.push(index);
+      index += 1;
+    } else if (text[index] === ">" && text[index + 1] === ">") {
+      const start = starts.pop();
+      if (start !== undefined) {
+        dictionaries.push(text.slice(start, index + 2));
+      }
+      index += 1;
+    }
+  }
+
+  return dictionaries;
+}
+
+function readPdfFonts(buffer) {
+  const fontsByName = new Map();
+
+  for (const dictionary of readPdfDictionaries(readPdfSearchText(buffer))) {
+    if (!/\/Type\s*\/FontDescriptor\b/.test(dictionary)) {
+      continue;
+    }
+
+    const fontName = /\/FontName\s*\/([^\s/<>[\]()]+)/.exec(dictionary);
+    const fontFile = /\/(FontFile[23]?)\b/.exec(dictionary);
+    // Descriptors without a FontFile reference only name a font the viewer has to supply.
+    if (!fontName || !fontFile) {
+      continue;
+    }
+
+    const rawName = fontName[1].replace(/#([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(Number.parseInt(hex, 16)));
+    const subset = PDF_SUBSET_PREFIX_PATTERN.test(rawName);
+    if (!fontsByName.has(rawName)) {
+      fontsByName.set(rawName, {
+        family_name: guessFamilyNameFromFile(rawName.replace(PDF_SUBSET_PREFIX_PATTERN, "").replace(/,/g, "-")),
+        extension: ".pdf",
+        metadata: null,
+        embedded_in: { kind: "pdf_font", font_name: rawName, subset, font_file_type: fontFile[1] },
+      });
+    }
+  }
+
+  return Array.from(fontsByName.values()).sort((a, b) =>
+    a.embedded_in.font_name.localeCompare(b.embedded_in.font_name),
+  );
+}
+
+function readPdfObjects(buffer) {
+  const text = buffer.toString("latin1");
+  const objects = new Map();
+
+  for (const match of text.matchAll(/(?<![\d])(\d+)\s+\d+\s+obj\b/g)) {
+    const start = match.index + match[0].length;
+    const end = text.indexOf("endobj", start);
+    if (end < 0) {
+      break;
+    }
+
+    const body = text.slice(start, end);
+    const streamMatch = /(?<!end)stream\r?\n/.exec(body);
+    if (!streamMatch) {
+      objects.set(Number(match[1]), { dictionary: body, stream: null });
+      continue;
+    }
+
+    const streamStart = start + streamMatch.index + streamMatch[0].length;
+    const streamEnd = text.indexOf("endstream", streamStart);
+    objects.set(Number(match[1]), {
+      dictionary: body.slice(0, streamMatch.index),
+      stream: buffer.subarray(streamStart, streamEnd < 0 ? end : streamEnd),
+    });
+  }
+
+  for (const object of Array.from(objects.values())) {
+    if (!/\/Type\s*\/ObjStm\b/.test(object.dictionary)) {
+      continue;
+    }
+
+    const content = decodePdfStream(object);
+    const first = Number(/\/First\s+(\d+)/.exec(object.dictionary)?.[1]);
+    if (!content || !Number.isFinite(first)) {
+      continue;
+    }
+
+    const decoded = content.toString("latin1");
+    const header = decoded.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let index = 0; index + 1 < header.length; index += 2) {
+      const offset = first + header[index + 1];
+      const next = index + 3 < header.length ? first + header[index + 3] : decoded.length;
+      if (!objects.has(header[index])) {
+        objects.set(header[index], { dictionary: decoded.slice(offset, next), stream: null });
+      }
+    }
+  }
+
+  return objects;
+}
+
+function decodePdfStream(object) {
+  if (!object?.stream) {
+    return null;
+  }
+
+  const filters = Array.from(
+    (/\/Filter\s*(\[[^\]]*\]|\/\w+)/.exec(object.dictionary)?.[1] ?? "").matchAll(/\/(\w+)/g),
+    (match) => match[1],
+  );
+  if (filters.length === 0) {
+    return object.stream;
+  }
+  if (filters.length > 1 || filters[0] !== "FlateDecode") {
+    return null;
+  }
+
+  try {
+    return inflateSync(object.stream);
+  } catch {
+    return null;
+  }
+}
+
+function readPdfValue(dictionary, key) {
+  const match = new RegExp(`/${key}(?![\\w.#-])\\s*`).exec(dictionary);
+  if (!match) {
+    return null;
+  }
+
+  const rest = dictionary.slice(match.index + match[0].length);
+  const reference = /^(\d+)\s+\d+\s+R\b/.exec(rest);
+  if (reference) {
+    return { ref: Number(reference[1]) };
+  }
+
+  const open = rest.startsWith("<<") ? "<<" : rest.startsWith("[") ? "[" : null;
+  if (!open) {
+    return { value: /^[^\s/<>[\]]*/.exec(rest)[0] };
+  }
+
+  const close = open === "<<" ? ">>" : "]";
+  let depth = 0;
+  for (let index = 0; index < rest.length; index += 1) {
+    if (rest.startsWith(open, index)) {
+      depth += 1;
+      index += open.length - 1;
+    } else if (rest.startsWith(close, index)) {
+      depth -= 1;
+      index += close.length - 1;
+      if (depth === 0) {
+        return { value: rest.slice(0, index + 1) };
+      }
+    }
+  }
+
+  return { value: rest };
+}
+
+function resolvePdfValue(objects, value) {
+  if (value?.ref !== undefined) {
+    return objects.get(value.ref)?.dictionary ?? null;
+  }
+  return value?.value ?? null;
+}
+
+function readPdfCMap(content) {
+  const codes = new Map();
+  let codeLength = 1;
+  const decodeUnicode = (hex) =>
+    String.fromCharCode(...(hex.match(/[0-9a-f]{1,4}/gi) ?? []).map((chunk) => Number.parseInt(chunk.padEnd(4, "0"), 16)));
+
+  for (const block of content.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    const low = /<([0-9a-f]+)>/i.exec(block[1]);
+    if (low) {
+      codeLength = Math.max(1, Math.ceil(low[1].length / 2));
+    }
+  }
+
+  for (const block of content.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const entry of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      codes.set(Number.parseInt(entry[1], 16), decodeUnicode(entry[2]));
+    }
+  }
+
+  for (const block of content.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const entry of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(?:<([0-9a-f]+)>|\[([^\]]*)\])/gi)) {
+      const low = Number.parseInt(entry[1], 16);
+      const high = Math.min(Number.parseInt(entry[2], 16), low + 0xffff);
+      const targets = entry[4] ? Array.from(entry[4].matchAll(/<([0-9a-f]*)>/gi), (target) => target[1]) : null;
+      for (let code = low; code <= high; code += 1) {
+        if (targets) {
+          if (targets[code - low] !== undefined) {
+            codes.set(code, decodeUnicode(targets[code - low]));
+          }
+          continue;
+        }
+
+        const base = Number.parseInt(entry[3], 16) + (code - low);
+        codes.set(code, decodeUnicode(base.toString(16).padStart(entry[3].length, "0")));
+      }
+    }
+  }
+
+  return { codes, code_length: codeLength };
+}
+
+function readPdfFontDecoders(objects, resources) {
+  const decoders = new Map();
+  const fontDictionary = resources ? resolvePdfValue(objects, readPdfValue(resources, "Font")) : null;
+  if (!fontDictionary) {
+    return decoders;
+  }
+
+  for (const entry of fontDictionary.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R\b/g)) {
+    const font = objects.get(Number(entry[2]))?.dictionary ?? "";
+    const toUnicode = readPdfValue(font, "ToUnicode");
+    const cmap = toUnicode?.ref !== undefined ? decodePdfStream(objects.get(toUnicode.ref)) : null;
+    if (cmap) {
+      decoders.set(entry[1], readPdfCMap(cmap.toString("latin1")));
+    } else {
+      // Composite fonts without a ToUnicode map only carry glyph ids.
+      decoders.set(entry[1], /\/Subtype\s*\/Type0\b/.test(font) ? { codes: new Map(), code_length: 2 } : null);
+    }
+  }
+
+  return decoders;
+}
+
+function readPdfStringBytes(token) {
+  if (token.startsWith("<")) {
+    const hex = token.slice(1, -1).replace(/[^0-9a-f]/gi, "");
+    return Buffer.from(hex.length % 2 === 0 ? hex : `${hex}0`, "hex");
+  }
+
+  const bytes = [];
+  const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+  for (let index = 1; index < token.length - 1; index += 1) {
+    const code = token.charCodeAt(index);
+    if (token[index] !== "\\") {
+      bytes.push(code & 0xff);
+      continue;
+    }
+
+    const next = token[index + 1];
+    const octal = /^[0-7]{1,3}/.exec(token.slice(index + 1, index + 4));
+    if (octal) {
+      bytes.push(Number.parseInt(octal[0], 8) & 0xff);
+      index += octal[0].length;
+    } else if (next === "\r" || next === "\n") {
+      index += next === "\r" && token[index + 2] === "\n" ? 2 : 1;
+    } else {
+      bytes.push(escapes[next] ?? next.charCodeAt(0));
+      index += 1;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function decodePdfTextString(bytes, decoder) {
+  if (!decoder) {
+    return bytes.toString("latin1");
+  }
+
+  let text = "";
+  for (let index = 0; index + decoder.code_length <= bytes.length; index += decoder.code_length) {
+    text += decoder.codes.get(bytes.readUIntBE(index, decoder.code_length)) ?? "";
+  }
+  return text;
+}
+
+function readPdfContentText(content, decoders) {
+  const tokens = content.match(
+    /%[^\r\n]*|\((?:\\[\s\S]|\((?:\\[\s\S]|[^\\()])*\)|[^\\()])*\)|<<|>>|<[0-9a-fA-F\s]*>|\[|\]|\/[^\s/<>[\]()%{}]*|[-+]?(?:\d+\.?\d*|\.\d+)|[A-Za-z'"*]+\d?\*?/g,
+  ) ?? [];
+  const lines = [];
+  let line = "";
+  let operands = [];
+  let decoder = null;
+  const breakLine = () => {
+    if (line.trim()) {
+      lines.push(line.replace(/\s+/g, " ").trim());
+    }
+    line = "";
+  };
+
+  for (const token of tokens) {
+    if (token.startsWith("%")) {
+      continue;
+    }
+
+    if (/^[A-Za-z'"]/.test(token) && token !== "true" && token !== "false" && token !== "null") {
+      if (token === "Tf") {
+        const name = operands.find((operand) => operand.startsWith("/"));
+        decoder = name ? (decoders.get(name.slice(1)) ?? null) : null;
+      } else if (token === "Tj" || token === "'" || token === '"' || token === "TJ") {
+        if (token !== "Tj" && token !== "TJ") {
+          breakLine();
+        }
+        for (const operand of operands) {
+          if (operand.startsWith("(") || (operand.startsWith("<") && operand !== "<<")) {
+            line += decodePdfTextString(readPdfStringBytes(operand), decoder);
+          } else if (token === "TJ" && /^[-+]?[\d.]+$/.test(operand) && Number(operand) < -200) {
+            line += " ";
+          }
+        }
+      } else if (token === "T*" || token === "ET" || token === "Tm") {
+        breakLine();
+      } else if ((token === "Td" || token === "TD") && Number(operands[operands.length - 1]) !== 0) {
+        breakLine();
+      }
+      operands = [];
+      continue;
+    }
+
+    operands.push(token);
+  }
+
+  breakLine();
+  return lines.join("\n");
+}
+
+function collectPdfPages(objects, objectNumber, inheritedResources, pages, seen) {
+  const object = objects.get(objectNumber);
+  if (!object || seen.has(objectNumber)) {
+    return;
+  }
+  seen.add(objectNumber);
+
+  const resources = resolvePdfValue(objects, readPdfValue(object.dictionary, "Resources")) ?? inheritedResources;
+  const kids = resolvePdfValue(objects, readPdfValue(object.dictionary, "Kids"));
+  if (kids) {
+    for (const kid of kids.matchAll(/(\d+)\s+\d+\s+R\b/g)) {
+      collectPdfPages(objects, Number(kid[1]), resources, pages, seen);
+    }
+    return;
+  }
+
+  const contents = readPdfValue(object.dictionary, "Contents");
+  const contentRefs =
+    contents?.ref !== undefined
+      ? /^\s*\[/.test(objects.get(contents.ref)?.dictionary ?? "") && !objects.get(contents.ref)?.stream
+        ? Array.from(objects.get(contents.ref).dictionary.matchAll(/(\d+)\s+\d+\s+R\b/g), (entry) => Number(entry[1]))
+        : [contents.ref]
+      : Array.from((contents?.value ?? "").matchAll(/(\d+)\s+\d+\s+R\b/g), (entry) => Number(entry[1]));
+  pages.push({ resources, content_refs: contentRefs });
+}
+
+function readPdfText(buffer) {
+  const text = buffer.toString("latin1");
+  if (!text.startsWith("%PDF-") || /\/Encrypt\s/.test(text)) {
+    return null;
+  }
+
+  const objects = readPdfObjects(buffer);
+  const pages = [];
+  const root = Array.from(objects.entries()).find(([, object]) => /\/Type\s*\/Catalog\b/.test(object.dictionary));
+  const pagesRef = root ? readPdfValue(root[1].dictionary, "Pages") : null;
+  if (pagesRef?.ref !== undefined) {
+    collectPdfPages(objects, pagesRef.ref, null, pages, new Set());
+  }
+
+  const pageTexts = pages.map((page) => {
+    const decoders = readPdfFontDecoders(objects, page.resources);
+    const content = page.content_refs
+      .map((ref) => decodePdfStream(objects.get(ref))?.toString("latin1") ?? "")
+      .join("\n");
+    return readPdfContentText(content, decoders);
+  });
+
+  const extracted = pageTexts.join("\n").trim();
+  return extracted ? extracted.slice(0, MAX_LICENSE_TEXT_BYTES) : null;
+}
+
+function readRtfText(content) {
+  const skippedDestinations = new Set([
+    "fonttbl",
+    "colortbl",
+    "stylesheet",
+    "info",
+    "pict",
+    "object",
+    "themedata",
+    "colorschememapping",
+    "datastore",
+    "latentstyles",
+    "listtable",
+    "listoverridetable",
+    "rsidtbl",
+    "generator",
+    "xmlnstbl",
+    "header",
+    "footer",
+  ]);
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+  let text = "";
+
+  for (let index = 0; index < content.length; index += 1) {
+    const char = content[index];
+
+    if (char === "{") {
+      stack.push({ skip, unicodeSkip });
+      if (content[index + 1] === "\\" && content[index + 2] === "*") {
+        skip = true;
+      }
+      continue;
+    }
+
+    if (char === "}") {
+      ({ skip, unicodeSkip } = stack.pop() ?? { skip: false, unicodeSkip: 1 });
+      continue;
+    }
+
+    if (char === "\\") {
+      const next = content[index + 1];
+      if (next === "'") {
+        if (!skip && pendingSkip === 0) {
+          text += String.fromCharCode(Number.parseInt(content.slice(index + 2, index + 4), 16));
+        }
+        pendingSkip = Math.max(0, pendingSkip - 1);
+        index += 3;
+        continue;
+      }
+
+      const controlWord = /^([a-z]+)(-?\d+)? ?/.exec(content.slice(index + 1, index + 40));
+      if (!controlWord) {
+        if (!skip && "\\{}".includes(next)) {
+          text += next;
+        } else if (!skip && next === "~") {
+          text += " ";
+        } else if (!skip && (next === "\n" || next === "\r")) {
+          text += "\n";
+        }
+        index += 1;
+        continue;
+      }
+
+      index += controlWord[0].length;
+      const [, word, parameter] = controlWord;
+      if (skippedDestinations.has(word)) {
+        skip = true;
+      } else if (word === "uc") {
+        unicodeSkip = Number(parameter);
+      } else if (!skip && word === "u") {
+        const code = Number(parameter);
+        text += String.fromCharCode(code < 0 ? code + 65536 : code);
+        pendingSkip = unicodeSkip;
+      } else if (!skip && (word === "par" || word === "line" || word === "sect" || word === "page")) {
+        text += "\n";
+      } else if (!skip && (word === "tab" || word === "cell")) {
+        text += "\t";
+      } else if (!skip && word === "row") {
+        text += "\n";
+      }
+      continue;
+    }
+
+    if (char === "\r" || char === "\n") {
+      continue;
+    }
+
+    if (pendingSkip > 0) {
+      pendingSkip -= 1;
+      continue;
+    }
+
+    if (!skip) {
+      text += char;
+    }
+  }
+
+  const extracted = text.replace(/[ \t]+\n/g, "\n").trim();
+  return extracted ? extracted.slice(0, MAX_LICENSE_TEXT_BYTES) : null;
+}
+
+function readLicenseDocumentText(fileName, buffer) {
+  const extension = path.extname(fileName).toLowerCase();
+  if (extension === ".pdf") {
+    return buffer.length <= MAX_EMBEDDING_FILE_BYTES ? readPdfText(buffer) : null;
+  }
+  if (extension === ".rtf") {
+    return buffer.length <= MAX_EMBEDDING_FILE_BYTES ? readRtfText(buffer.toString("latin1")) : null;
+  }
+  return isLikelyTextLicenseFile(fileName) && buffer.length <= MAX_LICENSE_TEXT_BYTES ? buffer.toString("utf8") : null;
+}
+
+async function discoverEmbeddingFileFonts(rootPath, embeddingFiles, fonts) {
+  const embedded = [];
+
+  for (const filePath of embeddingFiles) {
+    let buffer;
+    try {
+      const fileStat = await stat(filePath);
+      if (fileStat.size > MAX_EMBEDDING_FILE_BYTES) {
+        continue;
+      }
+      buffer = await readFile(filePath);
+    } catch {
+      continue;
+    }
+
+    const relativePath = relativeTo(rootPath, filePath);
+    const entries =
+      path.extname(filePath).toLowerCase() === ".pdf" ? readPdfFonts(buffer) : readSvgFonts(buffer.toString("utf8"));
+    embedded.push(...entries.map((entry) => describeEmbeddedFont(entry, relativePath, fonts)));
+  }
+
+  return embedded;
+}
+
+function describeEmbeddedFont(entry, relativePath, fonts) {
+  const metadataFamily = entry.metadata?.family_name ?? null;
+  const familyGuess = metadataFamily ?? entry.family_name;
+
+  return {
+    path: relativePath,
+    extension: entry.extension,
+    file_name: path.basename(relativePath),
+    file_hash: entry.file_hash ?? null,
+    format: entry.metadata?.format ?? (entry.embedded_in.kind === "svg_font" ? "svg" : null),
+    family_guess: familyGuess,
+    family_source: metadataFamily
+      ? "name_table"
+      : entry.embedded_in.kind === "pdf_font"
+        ? "pdf_font_name"
+        : "svg_font_face",
+    font_id_guess: slugifyId(familyGuess, "font"),
+    matched_font_ids: matchFontIdsByFamilyName(fonts, familyGuess),
+    metadata: entry.metadata,
+    embedded_in: entry.embedded_in,
+  };
+}
+
+function clusterFontFilesByHash(fontFiles) {
+  const filesByHash = new Map();
+
+  for (const entry of fontFiles) {
+    if (!entry.file_hash) {
+      continue;
+    }
+
+    if (!filesByHash.has(entry.file_hash)) {
+      filesByHash.set(entry.file_hash, []);
+    }
+    filesByHash.get(entry.file_hash).push(entry);
+  }
+
+  return Array.from(filesByHash.entries())
+    .filter(([, entries]) => entries.length > 1)
+    .map(([fileHash, entries]) => {
+      const fileNames = new Set(entries.map((entry) => entry.file_name));
+      return {
+        file_hash: fileHash,
+        count: entries.length,
+        paths: entries.map((entry) => entry.path).sort((a, b) => a.localeCompare(b)),
+        family_guesses: Array.from(new Set(entries.map((entry) => entry.family_guess))).sort((a, b) =>
+          a.localeCompare(b),
+        ),
+        renamed: fileNames.size > 1,
+      };
+    })
+    .sort((a, b) => a.paths[0].localeCompare(b.paths[0]));
+}
+
+export function findFontBinaryChanges(manifest, fontFiles) {
+  const changes = [];
+  const filesByPath = new Map(fontFiles.filter((entry) => entry.file_hash).map((entry) => [entry.path, entry]));
+
+  for (const font of normalizeFonts(manifest)) {
+    const knownHashes = Array.isArray(font.known_file_hashes)
+      ? font.known_file_hashes.filter((entry) => typeof entry?.file_hash === "string")
+      : [];
+    if (knownHashes.length === 0) {
+      continue;
+    }
+
+    const anyPathHashes = knownHashes.filter((entry) => typeof entry.path !== "string").map((entry) => entry.file_hash);
+    const candidatePaths = new Set(
+      knownHashes.map((entry) => entry.path).filter((entryPath) => typeof entryPath === "string"),
+    );
+    if (anyPathHashes.length > 0) {
+      for (const entry of filesByPath.values()) {
+        if (Array.isArray(entry.matched_font_ids) && entry.matched_font_ids.includes(font.font_id)) {
+          candidatePaths.add(entry.path);
+        }
+      }
+    }
+
+    // Known paths are compared even when the swapped binary no longer carries the font's family name.
+    for (const filePath of Array.from(candidatePaths).sort((a, b) => a.localeCompare(b))) {
+      const current = filesByPath.get(filePath);
+      if (!current) {
+        continue;
+      }
+
+      const pathHashes = knownHashes.filter((entry) => entry.path === filePath).map((entry) => entry.file_hash);
+      const expected = pathHashes.length > 0 ? [...pathHashes, ...anyPathHashes] : anyPathHashes;
+      if (expected.some((fileHash) => fileHash.toLowerCase() === current.file_hash)) {
+        continue;
+      }
+
+      changes.push({
+        font_id: font.font_id,
+        path: filePath,
+        file_hash: current.file_hash,
+        expected_hashes: expected,
+        family_guess: current.family_guess ?? null,
+      });
+    }
+  }
+
+  return changes;
+}
+
+function toProjectRelativePath(projectRoot, rootPath, scanPath) {
+  if (projectRoot === rootPath) {
+    return scanPath;
+  }
+
+  // Archive members keep their "archive!member" suffix.
+  const [filePath, ...memberPath] = scanPath.split("!");
+  return [relativeTo(projectRoot, path.resolve(rootPath, filePath)), ...memberPath].join("!");
+}
+
+export async function hashKnownFontFiles(projectRoot, manifest, options = {}) {
+  const resolvedProjectRoot = path.resolve(projectRoot);
+  const withinPath = options.withinPath ? path.resolve(options.withinPath) : resolvedProjectRoot;
+  const skipPaths = options.skipPaths ?? new Set();
+  const hashedFiles = new Map();
+
+  for (const font of normalizeFonts(manifest)) {
+    if (!Array.isArray(font.known_file_hashes)) {
+      continue;
+    }
+
+    // Path-less hashes are compared against the files the last scan matched, resolved from its scan root.
+    const scan = font.usage?.scan;
+    const scanRoot = typeof scan?.scan_root === "string" ? scan.scan_root : ".";
+    const scannedPaths = (Array.isArray(scan?.font_files) ? scan.font_files : [])
+      .map((entry) => entry?.path)
+      .filter((entryPath) => typeof entryPath === "string")
+      .map((entryPath) => path.join(scanRoot, entryPath));
+    const knownPaths = font.known_file_hashes
+      .map((entry) => entry?.path)
+      .filter((entryPath) => typeof entryPath === "string");
+
+    for (const filePath of [...knownPaths, ...scannedPaths]) {
+      const absolutePath = path.resolve(resolvedProjectRoot, filePath);
+      if (
+        filePath.includes("!") ||
+        hashedFiles.has(filePath) ||
+        skipPaths.has(filePath) ||
+        relativeTo(withinPath, absolutePath).startsWith("..")
+      ) {
+        continue;
+      }
+
+      let buffer;
+      try {
+        buffer = await readFile(absolutePath);
+      } catch {
+        // missing files are reported by scan/prune, not as changed binaries
+        continue;
+      }
+
+      const metadata = buffer.length <= MAX_FONT_METADATA_BYTES ? readFontMetadata(buffer) : null;
+      hashedFiles.set(filePath, {
+        path: filePath,
+        file_hash: sha256Hex(buffer),
+        matched_font_ids: [font.font_id],
+        family_guess: metadata?.family_name ?? null,
+      });
+    }
+  }
+
+  return Array.from(hashedFiles.values());
+}
+
+async function discoverFontFiles(rootPath, fontFiles, fonts) {
+  // Every file is hashed so known-good baselines cover fonts past the reporting cap.
+  const selectedFiles = fontFiles
+    .map((filePath) => ({ filePath, relativePath: relativeTo(rootPath, filePath) }))
+    .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
+  const discovered = [];
+
+  for (const { filePath, relativePath } of selectedFiles) {
+    let buffer = null;
+    try {
+      buffer = await readFile(filePath);
+    } catch {
+      buffer = null;
+    }
+
+    const metadata = buffer && buffer.length <= MAX_FONT_METADATA_BYTES ? readFontMetadata(buffer) : null;
+    const fileHash = buffer ? sha256Hex(buffer) : null;
+    discovered.push(describeDiscoveredFontFile(filePath, relativePath, metadata, fonts, fileHash));
+  }
+
+  return discovered;
+}
+
+function detectLicenseKind(fileName, contentLower) {
+  if (contentLower) {
+    if (
+      contentLower.includes("sil open font license") ||
+      contentLower.includes("ofl version 1.1") ||
+      contentLower.includes("scripts.sil.org/ofl")
+    ) {
+      return "sil_ofl_1_1";
+    }
+
+    if (contentLower.includes("apache license") && contentLower.includes("version 2.0")) {
+      return "apache_2_0";
+    }
+
+    if (contentLower.includes("mit license")) {
+      return "mit";
+    }
+
+    if (contentLower.includes("gnu general public license")) {
+      return "gpl";
+    }
+
+    if (contentLower.includes("mozilla public license")) {
+      return "mpl";
+    }
+
+    if (contentLower.includes("eula") || contentLower.includes("end user license agreement")) {
+      return "eula";
+    }
+  }
+
+  if (fileName.toLowerCase().includes("ofl")) {
+    return "sil_ofl_1_1";
+  }
+
+  if (fileName.toLowerCase().includes("eula")) {
+    return "eula";
+  }
+
+  return null;
+}
+
+function normalizeLicenseWords(text) {
+  return text
+    .toLowerCase()
+    .replace(/licence/g, "license")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter(Boolean);
+}
+
+function buildLicenseShingles(words) {
+  const shingles = new Set();
+  for (let index = 0; index + LICENSE_SHINGLE_SIZE <= words.length; index += 1) {
+    shingles.add(words.slice(index, index + LICENSE_SHINGLE_SIZE).join(" "));
+  }
+  return shingles;
+}
+
+function splitLicenseClauses(text) {
+  return text
+    .split(/\n\s*\n|(?<=[.;])\s+(?=[A-Z0-9("])/)
+    .map((clause) => clause.replace(/\s+/g, " ").trim())
+    .filter((clause) => normalizeLicenseWords(clause).length > LICENSE_SHINGLE_SIZE)
+    .map((clause) => ({ text: clause, shingles: buildLicenseShingles(normalizeLicenseWords(clause)) }));
+}
+
+function countSharedShingles(shingles, otherShingles) {
+  let shared = 0;
+  for (const shingle of shingles) {
+    if (otherShingles.has(shingle)) {
+      shared += 1;
+    }
+  }
+  return shared;
+}
+
+function indexLicenseText(entry) {
+  return {
+    ...entry,
+    shingles: buildLicenseShingles(normalizeLicenseWords(entry.text)),
+    clauses: splitLicenseClauses(entry.text),
+  };
+}
+
+let canonicalLicenseIndex = null;
+const referenceLicenseIndex = new WeakMap();
+
+function getCanonicalLicenseIndex() {
+  if (!canonicalLicenseIndex) {
+    canonicalLicenseIndex = CANONICAL_LICENSE_TEXTS.map(indexLicenseText);
+  }
+  return canonicalLicenseIndex;
+}
+
+function getReferenceLicenseIndex(referenceTexts) {
+  return referenceTexts.map((entry) => {
+    if (!referenceLicenseIndex.has(entry)) {
+      referenceLicenseIndex.set(entry, indexLicenseText(entry));
+    }
+    return referenceLicenseIndex.get(entry);
+  });
+}
+
+function readReservedFontNames(text) {
+  const names = new Set();
+  for (const match of text.matchAll(/with\s+reserved\s+font\s+names?\s*:?\s*([^\n]*)/gi)) {
+    const quoted = Array.from(match[1].matchAll(/["“']([^"”']+)["”']/g), (entry) => entry[1].trim());
+    const values = quoted.length > 0 ? quoted : [match[1].replace(/[.;,\s]+$/, "").trim()];
+    for (const value of values) {
+      if (value) {
+        names.add(value);
+      }
+    }
+  }
+  return Array.from(names).sort((a, b) => a.localeCompare(b));
+}
+
+function findLicenseModifications(canonical, clauses, shingles) {
+  const modifications = [];
+
+  for (const clause of canonical.clauses) {
+    if (countSharedShingles(clause.shingles, shingles) / clause.shingles.size < LICENSE_CLAUSE_MATCH_RATIO) {
+      modifications.push({ type: "removed", text: clause.text.slice(0, 200) });
+    }
+  }
+
+  // Trimmed canonical texts omit sections a complete copy contains, so additions cannot be detected against them.
+  const addedCandidates = canonical.trimmed ? [] : clauses;
+  for (const clause of addedCandidates) {
+    if (LICENSE_BOILERPLATE_PATTERN.test(clause.text)) {
+      continue;
+    }
+    if (countSharedShingles(clause.shingles, canonical.shingles) / clause.shingles.size < LICENSE_CLAUSE_MATCH_RATIO) {
+      modifications.push({ type: "added", text: clause.text.slice(0, 200) });
+    }
+  }
+
+  return [
+    ...modifications.filter((entry) => entry.type === "removed").slice(0, MAX_LICENSE_MODIFICATIONS),
+    ...modifications.filter((entry) => entry.type === "added").slice(0, MAX_LICENSE_MODIFICATIONS),
+  ];
+}
+
+export function classifyLicenseText(text, referenceTexts = []) {
+  if (typeof text !== "string" || text.trim().length === 0) {
+    return null;
+  }
+
+  const shingles = buildLicenseShingles(normalizeLicenseWords(text));
+  if (shingles.size === 0) {
+    return null;
+  }
+
+  let best = null;
+  for (const canonical of [...getCanonicalLicenseIndex(), ...getReferenceLicenseIndex(referenceTexts)]) {
+    const score = countSharedShingles(canonical.shingles, shingles) / canonical.shingles.size;
+    if (score >= LICENSE_MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { canonical, score };
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  const { canonical, score } = best;
+  const reservedFontNames = readReservedFontNames(text);
+  let spdxId = canonical.spdx_id;
+  if (spdxId.startsWith("OFL-")) {
+    if (reservedFontNames.length > 0) {
+      spdxId = `${spdxId}-RFN`;
+    } else if (/copyright\s+(?:\(c\)|©|\d{4})/i.test(text)) {
+      spdxId = `${spdxId}-no-RFN`;
+    }
+  }
+
+  return {
+    spdx_id: spdxId,
+    name: canonical.name,
+    kind: canonical.kind,
+    score: Math.round(score * 1000) / 1000,
+    trimmed: canonical.trimmed === true,
+    ...(canonical.reference_path ? { reference_path: canonical.reference_path } : {}),
+    modifications: findLicenseModifications(canonical, splitLicenseClauses(text), shingles),
+    reserved_font_names: reservedFontNames,
+  };
+}
+
+function parseEulaNumber(raw) {
+  const match = /([\d.,]+)\s*(k|m|thousand|million|mio\.?)?/i.exec(raw);
+  if (!match) {
+    return null;
+  }
+
+  let digits = match[1].replace(/,/g, "");
+  // "1.000.000" and "250.000" use dots as thousands separators.
+  if ((digits.match(/\./g) ?? []).length > 1 || (/^\d{1,3}\.\d{3}$/.test(digits) && !match[2])) {
+    digits = digits.replace(/\./g, "");
+  }
+
+  const multiplier = match[2] ? (/^(k|thousand)$/i.test(match[2]) ? 1000 : 1000000) : 1;
+  const value = Number.parseFloat(digits) * multiplier;
+  return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+}
+
+function parseEulaDate(raw) {
+  const monthIndex = (name) => EULA_MONTH_NAMES.findIndex((month) => name.toLowerCase().startsWith(month)) + 1;
+  let parts = null;
+  let match;
+
+  if ((match = /(\d{4})-(\d{1,2})-(\d{1,2})/.exec(raw))) {
+    parts = [match[1], match[2], match[3]];
+  } else if ((match = /(\d{1,2})\.\s?(\d{1,2})\.\s?(\d{4})/.exec(raw))) {
+    parts = [match[3], match[2], match[1]];
+  } else if ((match = /(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(raw))) {
+    parts = [match[3], match[1], match[2]];
+  } else if ((match = /([A-Za-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/.exec(raw)) && monthIndex(match[1])) {
+    parts = [match[3], monthIndex(match[1]), match[2]];
+  } else if (
+    (match = /(\d{1,2})(?:st|nd|rd|th)?\.?\s+([A-Za-z]{3,})\.?,?\s+(\d{4})/.exec(raw)) &&
+    monthIndex(match[2])
+  ) {
+    parts = [match[3], monthIndex(match[2]), match[1]];
+  }
+
+  if (!parts) {
+    return null;
+  }
+
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString();
+}
+
+function readEulaMedia(text) {
+  return EULA_MEDIA_KEYWORDS.filter(([pattern]) => pattern.test(text)).map(([, rightType]) => rightType);
+}
+
+function cleanEulaValue(value) {
+  return value
+    .replace(/\s+/g, " ")
+    .replace(/^["'“]|["'”.,;:]+$/g, "")
+    .trim();
+}
+
+function selectEulaPatternSets(content, eulaPatterns) {
+  const contentLower = content.toLowerCase();
+  return eulaPatterns.filter((entry) =>
+    entry.match ? entry.match.test(content) : contentLower.includes(entry.foundry.toLowerCase()),
+  );
+}
+
+function matchEulaField(field, content, patternSets) {
+  const patterns = [
+    ...patternSets.flatMap((entry) => entry.fields[field] ?? []),
+    ...(DEFAULT_EULA_PATTERNS[field] ?? []),
+  ];
+  for (const pattern of patterns) {
+    const match = pattern.exec(content);
+    if (match) {
+      return { value: cleanEulaValue(match[1] ?? match[0]), context: content.slice(match.index, match.index + 160) };
+    }
+  }
+  return null;
+}
+
+function extractEulaTerms(content, detectedLicense, eulaPatterns) {
+  const patternSets = selectEulaPatternSets(content, eulaPatterns);
+  if (detectedLicense !== "eula" && patternSets.length === 0) {
+    return null;
+  }
+
+  const read = (field) => matchEulaField(field, content, patternSets);
+  const licensee = read("licensee");
+  const orderReference = read("order_reference");
+  const purchasedAt = read("purchased_at");
+  const licensedStyles = read("licensed_styles");
+  const metricLimits = [];
+
+  const pageviews = read("pageviews");
+  const pageviewLimit = pageviews ? parseEulaNumber(pageviews.value) : null;
+  if (pageviewLimit) {
+    const period = /per\s+year|\/\s*year|annual|yearly/i.test(pageviews.context) ? "per_year" : "per_month";
+    metricLimits.push({ metric_type: "pageviews", limit: pageviewLimit, period });
+  }
+
+  for (const field of ["seats", "domains"]) {
+    const match = read(field);
+    const limit = match ? parseEulaNumber(match.value) : null;
+    if (limit) {
+      metricLimits.push({ metric_type: field, limit, period: "lifetime" });
+    }
+  }
+
+  const configuredMedia = patternSets
+    .flatMap((entry) => entry.fields.media ?? [])
+    .map((pattern) => pattern.exec(content))
+    .find(Boolean);
+  const mediaText = configuredMedia
+    ? (configuredMedia[1] ?? configuredMedia[0])
+    : Array.from(content.matchAll(DEFAULT_EULA_MEDIA_PATTERN), (match) => match[1]).join(" ");
+
+  const terms = {
+    foundry: patternSets[0]?.foundry ?? null,
+    licensee: licensee?.value || null,
+    order_reference: orderReference?.value.replace(/^#/, "") || null,
+    purchased_at: purchasedAt ? parseEulaDate(purchasedAt.value) : null,
+    licensed_styles: licensedStyles
+      ? licensedStyles.value
+          .split(/\s*(?:,|;|\/|&|\band\b)\s*/i)
+          .map((style) => style.trim())
+          .filter(Boolean)
+          .slice(0, 50)
+      : [],
+    metric_limits: metricLimits,
+    media: readEulaMedia(mediaText),
+  };
+
+  const hasTerms =
+    terms.licensee ||
+    terms.order_reference ||
+    terms.purchased_at ||
+    terms.licensed_styles.length > 0 ||
+    terms.metric_limits.length > 0 ||
+    terms.media.length > 0;
+  return hasTerms ? terms : null;
+}
+
+function describeLicenseDocument(fileName, content, eulaPatterns = [], licenseTexts = []) {
+  const classification = content ? classifyLicenseText(content, licenseTexts) : null;
+  const detectedLicense = classification?.kind ?? detectLicenseKind(fileName, content ? content.toLowerCase() : null);
+  const description = { detected_license: detectedLicense };
+
+  if (classification) {
+    const { kind, ...licenseClassification } = classification;
+    description.license_classification = licenseClassification;
+  }
+
+  const eulaTerms = content ? extractEulaTerms(content, detectedLicense, eulaPatterns) : null;
+  if (eulaTerms) {
+    description.eula_terms = eulaTerms;
+  }
+
+  return description;
+}
+
+function matchFontIdsFromLicenseContent(fonts, contentLower) {
+  if (!contentLower) {
+    return [];
+  }
+
+  return fonts
+    .filter((font) => containsFamilyName(contentLower, font))
+    .map((font) => font.font_id)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+function listFontAdjacentDirs(root, filePath) {
+  const dirs = [];
+  let currentDir = path.resolve(path.dirname(filePath));
+
+  for (let depth = 0; depth <= FONT_LICENSE_ANCESTOR_DEPTH; depth += 1) {
+    dirs.push(currentDir);
+
+    if (currentDir === root) {
+      break;
+    }
+
+    const parentDir = path.dirname(currentDir);
+    if (parentDir === currentDir || parentDir === root) {
+      break;
+    }
+
+    currentDir = parentDir;
+  }
+
+  return dirs;
+}
+
+function collectFontAdjacentDirs(rootPath, fontFiles) {
+  const root = path.resolve(rootPath);
+  const dirs = new Set();
+
+  for (const filePath of fontFiles) {
+    for (const dir of listFontAdjacentDirs(root, filePath)) {
+      dirs.add(dir);
+    }
+  }
+
+  return dirs;
+}
+
+function collectAdjacentFontIdsByDir(rootPath, discoveredFontFiles) {
+  const root = path.resolve(rootPath);
+  const fontIdsByDir = new Map();
+
+  for (const entry of discoveredFontFiles) {
+    if (entry.matched_font_ids.length === 0) {
+      continue;
+    }
+
+    for (const dir of listFontAdjacentDirs(root, path.join(root, entry.path))) {
+      if (!fontIdsByDir.has(dir)) {
+        fontIdsByDir.set(dir, new Set());
+      }
+
+      for (const fontId of entry.matched_font_ids) {
+        fontIdsByDir.get(dir).add(fontId);
+      }
+    }
+  }
+
+  return fontIdsByDir;
+}
+
+function filterLicenseFilesForFontContext(rootPath, licenseFiles, fontFiles) {
+  if (licenseFiles.length === 0 || fontFiles.length === 0) {
+    return [];
+  }
+
+  const adjacentDirs = collectFontAdjacentDirs(rootPath, fontFiles);
+  return licenseFiles.filter((filePath) => {
+    const fileDir = path.resolve(path.dirname(filePath));
+    if (adjacentDirs.has(fileDir)) {
+      return true;
+    }
+
+    return FONT_PATH_SEGMENT_PATTERN.test(relativeTo(rootPath, filePath));
+  });
+}
+
+async function discoverLicenseFiles(
+  rootPath,
+  licenseFiles,
+  fonts,
+  discoveredFontFiles,
+  discoveredFontPackages,
+  maxDiscoveredLicenseFiles,
+  eulaPatterns,
+  licenseTexts,
+) {
+  const discovered = [];
+  const adjacentFontIdsByDir = collectAdjacentFontIdsByDir(rootPath, discoveredFontFiles);
+
+  for (const filePath of licenseFiles) {
+    let fileBuffer;
+    let fileStat;
+
+    try {
+      fileBuffer = await readFile(filePath);
+      fileStat = await stat(filePath);
+    } catch {
+      continue;
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    const fileName = path.basename(filePath);
+    const relativePath = relativeTo(rootPath, filePath);
+    const content = readLicenseDocumentText(fileName, fileBuffer);
+    const contentLower = content ? content.toLowerCase() : null;
+
+    discovered.push({
+      path: relativePath,
+      extension,
+      file_name: fileName,
+      size_bytes: fileStat.size,
+      document_hash: sha256Hex(fileBuffer),
+      ...describeLicenseDocument(fileName, content, eulaPatterns, licenseTexts),
+      matched_font_ids: matchFontIdsFromLicenseContent(fonts, contentLower),
+      adjacent_font_ids: Array.from(adjacentFontIdsByDir.get(path.resolve(path.dirname(filePath))) ?? []).sort(
+        (a, b) => a.localeCompare(b),
+      ),
+    });
+  }
+
+  const packageLicensePaths = new Set();
+  for (const fontPackage of discoveredFontPackages) {
+    if (!fontPackage.license_file || packageLicensePaths.has(fontPackage.license_file.path)) {
+      continue;
+    }
+
+    packageLicensePaths.add(fontPackage.license_file.path);
+    discovered.push({
+      ...fontPackage.license_file,
+      package_name: fontPackage.package_name,
+      package_font_ids: fontPackage.matched_font_ids,
+    });
+  }
+
+  return discovered
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .slice(0, maxDiscoveredLicenseFiles);
+}
+
+function findZipEndOfCentralDirectory(buffer) {
+  const lowestOffset = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= lowestOffset; offset -= 1) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+function readZipEntries(buffer) {
+  const endOffset = findZipEndOfCentralDirectory(buffer);
+  if (endOffset < 0) {
+    throw new Error("zip end of central directory not found");
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let cursor = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+
+  for (let index = 0; index < entryCount && cursor + 46 <= buffer.length; index += 1) {
+    if (buffer.readUInt32LE(cursor) !== 0x02014b50) {
+      throw new Error("invalid zip central directory entry");
+    }
+
+    const flags = buffer.readUInt16LE(cursor + 8);
+    const method = buffer.readUInt16LE(cursor + 10);
+    const compressedSize = buffer.readUInt32LE(cursor + 20);
+    const size = buffer.readUInt32LE(cursor + 24);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const extraLength = buffer.readUInt16LE(cursor + 30);
+    const commentLength = buffer.readUInt16LE(cursor + 32);
+    const localHeaderOffset = buffer.readUInt32LE(cursor + 42);
+    // Bit 11 marks UTF-8 names; older tools write CP437, which latin1 approximates.
+    const name = buffer.toString(flags & 0x800 ? "utf8" : "latin1", cursor + 46, cursor + 46 + nameLength);
+    cursor += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/") || flags & 0x1) {
+      continue;
+    }
+
+    entries.push({
+      name,
+      size,
+      read: () => {
+        const dataOffset =
+          localHeaderOffset + 30 + buffer.readUInt16LE(localHeaderOffset + 26) + buffer.readUInt16LE(localHeaderOffset + 28);
+        const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+        if (method === 0) {
+          return data;
+        }
+        if (method === 8) {
+          return inflateRawSync(data, { maxOutputLength: MAX_ARCHIVE_BYTES });
+        }
+        throw new Error(`unsupported zip compression method ${method}`);
+      },
+    });
+  }
+
+  return entries;
+}
+
+function readTarString(buffer, offset, length) {
+  const end = buffer.indexOf(0, offset);
+  return buffer.toString("utf8", offset, end >= 0 && end < offset + length ? end : offset + length);
+}
+
+function readTarEntries(buffer) {
+  const entries = [];
+  let offset = 0;
+  let nextName = null;
+
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+
+    const size = Number.parseInt(readTarString(header, 124, 12).trim() || "0", 8);
+    const type = String.fromCharCode(header[156] || 48);
+    const prefix = readTarString(header, 257, 6) === "ustar" ? readTarString(header, 345, 155) : "";
+    const baseName = readTarString(header, 0, 100);
+    const dataOffset = offset + 512;
+    const data = buffer.subarray(dataOffset, dataOffset + size);
+    offset = dataOffset + Math.ceil(size / 512) * 512;
+
+    if (type === "L") {
+      // GNU long name for the following entry.
+      nextName = data.toString("utf8").replace(/\0+$/, "");
+      continue;
+    }
+
+    if (type === "x") {
+      const pathRecord = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(data.toString("utf8"));
+      nextName = pathRecord ? pathRecord[1] : null;
+      continue;
+    }
+
+    const name = nextName ?? (prefix ? `${prefix}/${baseName}` : baseName);
+    nextName = null;
+
+    if (type === "0" || type === "7") {
+      entries.push({ name: name.replace(/^\.\//, ""), size, read: () => data });
+    }
+  }
+
+  return entries;
+}
+
+function readAsarEntries(buffer) {
+  const headerSize = buffer.readUInt32LE(4);
+  const jsonLength = buffer.readUInt32LE(12);
+  const header = JSON.parse(buffer.toString("utf8", 16, 16 + jsonLength));
+  const dataOffset = 8 + headerSize;
+  const entries = [];
+
+  const walk = (node, prefix) => {
+    for (const [name, child] of Object.entries(node.files ?? {})) {
+      const entryPath = prefix ? `${prefix}/${name}` : name;
+      if (child.files) {
+        walk(child, entryPath);
+      } else if (!child.unpacked && typeof child.size === "number") {
+        // Unpacked files live next to the archive in app.asar.unpacked/ and are walked as plain files.
+        const start = dataOffset + Number(child.offset);
+        entries.push({ name: entryPath, size: child.size, read: () => buffer.subarray(start, start + child.size) });
+      }
+    }
+  };
+
+  walk(header, "");
+  return entries;
+}
+
+function detectArchiveFormat(buffer, name) {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    return "zip";
+  }
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return "gzip";
+  }
+  if (buffer.length >= 262 && buffer.toString("latin1", 257, 262) === "ustar") {
+    return "tar";
+  }
+  if (name.toLowerCase().endsWith(".asar") && buffer.length >= 16 && buffer.readUInt32LE(0) === 4) {
+    return "asar";
+  }
+  return null;
+}
+
+function readArchiveEntries(buffer, name) {
+  const format = detectArchiveFormat(buffer, name);
+
+  if (format === "zip") {
+    return { format, entries: readZipEntries(buffer) };
+  }
+  if (format === "gzip") {
+    const inflated = gunzipSync(buffer, { maxOutputLength: MAX_ARCHIVE_BYTES });
+    return { format: "tar.gz", entries: readTarEntries(inflated) };
+  }
+  if (format === "tar") {
+    return { format, entries: readTarEntries(buffer) };
+  }
+  if (format === "asar") {
+    return { format, entries: readAsarEntries(buffer) };
+  }
+  return null;
+}
+
+function isArchivePath(filePath) {
+  const lowerPath = filePath.toLowerCase();
+  return ARCHIVE_FILE_EXTENSIONS.some((extension) => lowerPath.endsWith(extension));
+}
+
+function isNestedArchiveCandidate(entry, containerFormat) {
+  if (isArchivePath(entry.name)) {
+    return true;
+  }
+
+  // Docker/OCI image exports store layers as extension-less blobs (blobs/sha256/<digest>).
+  // Tar entries are slices of the already-read buffer, so probing their magic bytes is cheap.
+  return containerFormat.startsWith("tar") && path.posix.extname(entry.name) === "";
+}
+
+function scanArchiveBuffer(buffer, displayPath, depth, context) {
+  let archive;
+  try {
+    archive = readArchiveEntries(buffer, displayPath);
+  } catch (error) {
+    context.archives.push({ path: displayPath, format: null, entries_count: 0, error: error.message });
+    return;
+  }
+
+  if (!archive) {
+    return;
+  }
+
+  context.archives.push({ path: displayPath, format: archive.format, entries_count: archive.entries.length, error: null });
+
+  const fontEntries = [];
+  const licenseEntries = [];
+
+  for (const entry of archive.entries) {
+    const entryPath = `${displayPath}!${entry.name}`;
+    const extension = path.posix.extname(entry.name).toLowerCase();
+
+    try {
+      if (FONT_FILE_EXTENSIONS.has(extension)) {
+        const data = entry.size <= MAX_FONT_METADATA_BYTES ? entry.read() : null;
+        fontEntries.push({
+          ...describeDiscoveredFontFile(
+            entry.name,
+            entryPath,
+            data ? readFontMetadata(data) : null,
+            context.fonts,
+            data ? sha256Hex(data) : null,
+          ),
+          archive_path: displayPath,
+          entry_path: entry.name,
+        });
+      } else if (shouldDiscoverLicenseFile(entry.name)) {
+        licenseEntries.push(entry);
+      } else if (depth < MAX_ARCHIVE_DEPTH && entry.size <= MAX_ARCHIVE_BYTES && isNestedArchiveCandidate(entry, archive.format)) {
+        scanArchiveBuffer(entry.read(), entryPath, depth + 1, context);
+      }
+    } catch {
+      // unreadable entry: keep scanning the rest of the archive
+    }
+  }
+
+  context.fontFiles.push(...fontEntries);
+
+  // Like on disk, only license files that ship next to fonts are reported.
+  if (fontEntries.length === 0) {
+    return;
+  }
+
+  const archiveFontIds = Array.from(new Set(fontEntries.flatMap((entry) => entry.matched_font_ids))).sort((a, b) =>
+    a.localeCompare(b),
+  );
+
+  for (const entry of licenseEntries) {
+    let data;
+    try {
+      data = entry.read();
     } catch {
       continue;
     }
 
-    const extension = path.extname(filePath).toLowerCase();
-    const fileName = path.basename(filePath);
-    const relativePath = relativeTo(rootPath, filePath);
-    const contentLower =
-      isLikelyTextLicenseFile(filePath) && fileBuffer.length <= 512 * 1024
-        ? fileBuffer.toString("utf8").toLowerCase()
-        : null;
+    const fileName = path.posix.basename(entry.name);
+    const content = readLicenseDocumentText(fileName, data);
+    const contentLower = content ? content.toLowerCase() : null;
 
-    discovered.push({
-      path: relativePath,
-      extension,
+    context.licenseFiles.push({
+      path: `${displayPath}!${entry.name}`,
+      extension: path.posix.extname(entry.name).toLowerCase(),
       file_name: fileName,
-      size_bytes: fileStat.size,
-      document_hash: sha256Hex(fileBuffer),
-      detected_license: detectLicenseKind(fileName, contentLower),
-      matched_font_ids: matchFontIdsFromLicenseContent(fonts, contentLower),
+      size_bytes: data.length,
+      document_hash: sha256Hex(data),
+      ...describeLicenseDocument(fileName, content, context.eulaPatterns, context.licenseTexts),
+      matched_font_ids: matchFontIdsFromLicenseContent(context.fonts, contentLower),
+      adjacent_font_ids: archiveFontIds,
+      archive_path: displayPath,
+      entry_path: entry.name,
     });
   }
-
-  return discovered
-    .sort((a, b) => a.path.localeCompare(b.path))
-    .slice(0, maxDiscoveredLicenseFiles);
 }
 
-export async function scanProject(input) {
-  const rootPath = path.resolve(input.rootPath);
-  const maxMatchedPathsPerFont = input.maxMatchedPathsPerFont ?? 30;
-  const discover = input.discover === true;
-  const maxDiscoveredFiles = input.maxDiscoveredFiles ?? 200;
-  const maxDiscoveredLicenseFiles = input.maxDiscoveredLicenseFiles ?? 200;
+async function discoverArchiveEntries(rootPath, archiveFiles, fonts, eulaPatterns, licenseTexts) {
+  const context = { fonts, eulaPatterns, licenseTexts, fontFiles: [], licenseFiles: [], archives: [] };
+  const sortedArchives = archiveFiles
+    .map((filePath) => ({ filePath, relativePath: relativeTo(rootPath, filePath) }))
+    .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
+  for (const { filePath, relativePath } of sortedArchives) {
+    try {
+      const fileStat = await stat(filePath);
+      if (fileStat.size > MAX_ARCHIVE_BYTES) {
+        context.archives.push({ path: relativePath, format: null, entries_count: 0, error: "archive too large" });
+        continue;
+      }
+
+      scanArchiveBuffer(await readFile(filePath), relativePath, 1, context);
+    } catch (error) {
+      context.archives.push({ path: relativePath, format: null, entries_count: 0, error: error.message });
+    }
+  }
 
-  const fonts = normalizeFonts(input.manifest)
+  return context;
+}
+
+function prepareScanFonts(fonts) {
+  return fonts
     .map((font) => ({
       font_id: typeof font.font_id === "string" ? font.font_id : "",
       family_name: typeof font.family_name === "string" ? font.family_name : "",
@@ -387,12 +3733,216 @@ export async function scanProject(input) {
         typeof font.family_name === "string" ? createFamilyNamePattern(font.family_name) : null,
     }))
     .filter((font) => font.font_id.length > 0 && font.family_name.length > 0);
+}
+
+function createTextScanContext(fonts, discover) {
+  return {
+    fonts,
+    familyNameMatcher: createFamilyNameMatcher(fonts),
+    discover,
+  };
+}
+
+function analyzeTextFile(content, filePath, relativePath, scanContext) {
+  const lowerContent = content.toLowerCase();
+  const extension = path.extname(filePath).toLowerCase();
+  const fileName = path.basename(filePath);
+  const analysis = {
+    matched_font_ids: [],
+    declarations: {},
+    font_service_references: [],
+    font_package_references: [],
+    embedded_fonts: [],
+  };
+
+  if (scanContext.discover && content.includes(";base64,")) {
+    analysis.embedded_fonts = readDataUriFonts(content);
+  }
+
+  if (scanContext.discover && FONT_SERVICE_HOST_HINTS.some((host) => lowerContent.includes(host))) {
+    analysis.font_service_references = readFontServiceReferences(content);
+  }
+
+  if (
+    scanContext.discover &&
+    !LOCKFILE_NAMES.has(fileName) &&
+    FONT_PACKAGE_HINTS.some((hint) => content.includes(hint))
+  ) {
+    analysis.font_package_references = readFontPackageReferences(content, fileName);
+  }
+
+  const candidates = findFamilyNameCandidates(lowerContent, scanContext.familyNameMatcher);
+  let stylesheet = null;
+
+  scanContext.fonts.forEach((font, fontIndex) => {
+    if (!candidates.has(fontIndex)) {
+      return;
+    }
+
+    // The automaton only finds the literal name; token boundaries are still checked per candidate.
+    if (font.family_name_pattern && !font.family_name_pattern.test(lowerContent)) {
+      return;
+    }
+
+    analysis.matched_font_ids.push(font.font_id);
+
+    if (STYLESHEET_EXTENSIONS.has(extension)) {
+      stylesheet = stylesheet ?? parseStylesheet(content, extension);
+      analysis.declarations[font.font_id] = collectStylesheetDeclarations(font, stylesheet, relativePath);
+    }
+  });
+
+  return analysis;
+}
+
+async function runTextFileTask(task, scanContext) {
+  try {
+    const content = await readFile(task.file_path, "utf8");
+    const contentHash = task.hash_content ? sha256Hex(content) : null;
+
+    if (contentHash && contentHash === task.cached_hash) {
+      return { ok: true, content_hash: contentHash, analysis: null };
+    }
+
+    return {
+      ok: true,
+      content_hash: contentHash,
+      analysis: analyzeTextFile(content, task.file_path, task.relative_path, scanContext),
+    };
+  } catch {
+    return { ok: false };
+  }
+}
+
+async function runTextFileTasksInWorkers(tasks, rawFonts, discover, concurrency) {
+  const results = new Array(tasks.length);
+  const batches = [];
+  for (let start = 0; start < tasks.length; start += SCAN_WORKER_BATCH_SIZE) {
+    batches.push({ start, tasks: tasks.slice(start, start + SCAN_WORKER_BATCH_SIZE) });
+  }
+
+  const workers = [];
+  let nextBatchIndex = 0;
+
+  const runWorker = () =>
+    new Promise((resolve, reject) => {
+      const worker = new Worker(new URL(import.meta.url), {
+        workerData: { [SCAN_WORKER_FLAG]: true, fonts: rawFonts, discover },
+      });
+      workers.push(worker);
+
+      const dispatch = () => {
+        if (nextBatchIndex >= batches.length) {
+          resolve();
+          return;
+        }
+
+        const batchIndex = nextBatchIndex;
+        nextBatchIndex += 1;
+        worker.postMessage({ batch_index: batchIndex, tasks: batches[batchIndex].tasks });
+      };
+
+      worker.on("message", (message) => {
+        const { start } = batches[message.batch_index];
+        message.results.forEach((result, offset) => {
+          results[start + offset] = result;
+        });
+        dispatch();
+      });
+      worker.once("error", reject);
+      worker.once("exit", (code) => {
+        if (code !== 0) {
+          reject(new Error(`Scan worker exited with code ${code}.`));
+        }
+      });
+
+      dispatch();
+    });
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, batches.length) }, runWorker));
+  } finally {
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+
+  return results;
+}
+
+async function runTextFileTasks(tasks, rawFonts, scanContext, concurrency) {
+  if (concurrency > 1 && tasks.length > SCAN_WORKER_BATCH_SIZE) {
+    return runTextFileTasksInWorkers(tasks, rawFonts, scanContext.discover, concurrency);
+  }
+
+  const results = [];
+  for (const task of tasks) {
+    results.push(await runTextFileTask(task, scanContext));
+  }
+  return results;
+}
+
+function createScanCacheFingerprint(scanRoot, fonts, discover) {
+  return sha256Hex(
+    JSON.stringify({
+      cache_version: SCAN_CACHE_VERSION,
+      scan_root: scanRoot,
+      discover,
+      fonts: fonts.map((font) => [font.font_id, font.family_name]),
+    }),
+  );
+}
+
+async function loadScanCache(cachePath, fingerprint) {
+  let cache;
+
+  try {
+    cache = JSON.parse(await readFile(cachePath, "utf8"));
+  } catch {
+    return { entries: {}, invalidated: false };
+  }
+
+  // A different manifest font list or scan mode changes every per-file result.
+  if (cache?.fingerprint !== fingerprint || !cache.entries || typeof cache.entries !== "object") {
+    return { entries: {}, invalidated: true };
+  }
+
+  return { entries: cache.entries, invalidated: false };
+}
+
+export async function scanProject(input) {
+  const rootPath = path.resolve(input.rootPath);
+  const maxMatchedPathsPerFont = input.maxMatchedPathsPerFont ?? 30;
+  const discover = input.discover === true;
+  const archives = discover && input.archives === true;
+  const maxDiscoveredFiles = input.maxDiscoveredFiles ?? 200;
+  const maxDiscoveredLicenseFiles = input.maxDiscoveredLicenseFiles ?? 200;
 
-  const { textFiles, fontFiles, licenseFiles } = await collectProjectFiles(rootPath);
+  const concurrency = input.concurrency ?? 1;
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error("concurrency must be a positive integer.");
+  }
+
+  const fonts = prepareScanFonts(normalizeFonts(input.manifest));
+
+  const projectRoot = path.resolve(input.projectRoot ?? rootPath);
+  const scanRules = await loadScanRules(projectRoot);
+  const projectFiles = await collectProjectFiles(rootPath, scanRules);
+  const gitChanges = typeof input.since === "string" ? resolveGitChangedFiles(rootPath, input.since) : null;
+  const isInScope = (filePath) => !gitChanges || gitChanges.absolutePaths.has(filePath);
+  const textFiles = projectFiles.textFiles.filter(isInScope);
+  const fontFiles = projectFiles.fontFiles.filter(isInScope);
+  const lockFiles = projectFiles.lockFiles.filter(isInScope);
+  const archiveFiles = archives ? projectFiles.archiveFiles.filter(isInScope) : [];
+  const appManifestFiles = projectFiles.appManifestFiles.filter(isInScope);
+  const embeddingFiles = discover ? projectFiles.embeddingFiles.filter(isInScope) : [];
+  // License context still considers every font directory; only the reported files are narrowed.
   const candidateLicenseFiles = discover
-    ? filterLicenseFilesForFontContext(rootPath, licenseFiles, fontFiles)
+    ? filterLicenseFilesForFontContext(rootPath, projectFiles.licenseFiles, projectFiles.fontFiles).filter(isInScope)
     : [];
   const matches = new Map();
+  const embeddedFonts = [];
+  const fontServicesByKey = new Map();
+  const fontPackagesByKey = new Map();
 
   for (const font of fonts) {
     matches.set(font.font_id, {
@@ -400,55 +3950,329 @@ export async function scanProject(input) {
       family_name: font.family_name,
       match_count: 0,
       matched_paths: [],
+      declared_paths: [],
+      referenced_paths: [],
+      declarations: [],
     });
   }
 
+  const cachePath = path.join(projectRoot, SCAN_CACHE_RELATIVE_PATH);
+  let cache = null;
+  if (input.cache === true) {
+    // Project-relative, so a moved or re-cloned checkout keeps its cache.
+    const fingerprint = createScanCacheFingerprint(relativeTo(projectRoot, rootPath), fonts, discover);
+    const previous = await loadScanCache(cachePath, fingerprint);
+    cache = {
+      fingerprint,
+      previousEntries: previous.entries,
+      nextEntries: {},
+      stats: { hits: 0, misses: 0, invalidated: previous.invalidated },
+    };
+  }
+
+  const tasks = [];
+  const plannedFiles = [];
+
   for (const filePath of textFiles) {
-    let content;
+    const relativePath = relativeTo(rootPath, filePath);
+    const planned = { file_path: filePath, relative_path: relativePath, stat: null, cached: null, task_index: null };
+    plannedFiles.push(planned);
 
-    try {
-      content = await readFile(filePath, "utf8");
-    } catch {
-      continue;
+    if (cache) {
+      try {
+        planned.stat = await stat(filePath);
+      } catch {
+        planned.skipped = true;
+        continue;
+      }
+
+      const cached = cache.previousEntries[relativePath] ?? null;
+      planned.cached = cached;
+      if (cached && cached.size === planned.stat.size && cached.mtime_ms === planned.stat.mtimeMs) {
+        planned.reuse_cached = true;
+        continue;
+      }
     }
 
-    const lowerContent = content.toLowerCase();
+    planned.task_index = tasks.length;
+    tasks.push({
+      file_path: filePath,
+      relative_path: relativePath,
+      hash_content: cache !== null,
+      cached_hash: planned.cached?.content_hash ?? null,
+    });
+  }
+
+  const taskResults = await runTextFileTasks(
+    tasks,
+    fonts.map((font) => ({ font_id: font.font_id, family_name: font.family_name })),
+    createTextScanContext(fonts, discover),
+    concurrency,
+  );
+
+  // Results are merged in file order, whichever worker produced them.
+  for (const planned of plannedFiles) {
+    const { file_path: filePath, relative_path: relativePath } = planned;
+    let analysis;
+
+    if (planned.skipped) {
+      continue;
+    }
 
-    for (const font of fonts) {
-      if (!containsFamilyName(lowerContent, font)) {
+    if (planned.reuse_cached) {
+      cache.stats.hits += 1;
+      cache.nextEntries[relativePath] = planned.cached;
+      analysis = planned.cached.analysis;
+    } else {
+      const result = taskResults[planned.task_index];
+      if (!result?.ok) {
         continue;
       }
 
-      const entry = matches.get(font.font_id);
+      if (cache && result.analysis === null) {
+        cache.stats.hits += 1;
+        analysis = planned.cached.analysis;
+      } else {
+        if (cache) {
+          cache.stats.misses += 1;
+        }
+        analysis = result.analysis;
+      }
+
+      if (cache) {
+        cache.nextEntries[relativePath] = {
+          size: planned.stat.size,
+          mtime_ms: planned.stat.mtimeMs,
+          content_hash: result.content_hash,
+          analysis,
+        };
+      }
+    }
+
+    for (const entry of analysis.embedded_fonts) {
+      embeddedFonts.push(describeEmbeddedFont(entry, relativePath, fonts));
+    }
+
+    for (const reference of analysis.font_service_references) {
+      addFontServiceReference(fontServicesByKey, reference, relativePath);
+    }
+
+    for (const reference of analysis.font_package_references) {
+      addFontPackageReference(fontPackagesByKey, reference, relativePath, path.dirname(filePath));
+    }
+
+    for (const fontId of analysis.matched_font_ids) {
+      const entry = matches.get(fontId);
       if (!entry) {
         continue;
       }
 
       entry.match_count += 1;
       if (entry.matched_paths.length < maxMatchedPathsPerFont) {
-        entry.matched_paths.push(relativeTo(rootPath, filePath));
+        entry.matched_paths.push(relativePath);
+      }
+
+      const declarations = analysis.declarations[fontId];
+      if (!declarations) {
+        continue;
+      }
+
+      const declaresFont = declarations.some((declaration) => declaration.kind === "font_face");
+      if (declaresFont && entry.declared_paths.length < maxMatchedPathsPerFont) {
+        entry.declared_paths.push(relativePath);
+      }
+
+      const referencesFont = declarations.some((declaration) => declaration.kind === "font_family");
+      if (referencesFont && entry.referenced_paths.length < maxMatchedPathsPerFont) {
+        entry.referenced_paths.push(relativePath);
+      }
+
+      entry.declarations.push(
+        ...declarations.slice(0, Math.max(0, maxMatchedPathsPerFont - entry.declarations.length)),
+      );
+    }
+  }
+
+  // Only callers that persist their results write the cache; dry runs and previews just read it.
+  if (cache && input.writeCache === true) {
+    // Full scans rewrite entries from this run only, so deleted files drop out of the cache.
+    await writeJsonFileAtomic(cachePath, {
+      cache_version: SCAN_CACHE_VERSION,
+      fingerprint: cache.fingerprint,
+      entries: gitChanges ? { ...cache.previousEntries, ...cache.nextEntries } : cache.nextEntries,
+    });
+  }
+
+  if (discover) {
+    for (const filePath of lockFiles) {
+      let content;
+
+      try {
+        content = await readFile(filePath, "utf8");
+      } catch {
+        continue;
+      }
+
+      for (const reference of readFontPackageReferences(content, path.basename(filePath))) {
+        addFontPackageReference(fontPackagesByKey, reference, relativeTo(rootPath, filePath), path.dirname(filePath));
       }
     }
   }
 
-  const discoveredLicenseFiles = discover
-    ? await discoverLicenseFiles(rootPath, candidateLicenseFiles, fonts, maxDiscoveredLicenseFiles)
+  const archiveEntries = await discoverArchiveEntries(
+    rootPath,
+    archiveFiles,
+    fonts,
+    scanRules.eula_patterns,
+    scanRules.license_texts,
+  );
+  // App declarations resolve against every font file so that --since still maps unchanged assets.
+  const appFonts = discover ? await discoverAppFonts(rootPath, appManifestFiles, projectFiles.fontFiles, fonts) : [];
+  const diskFontFiles = discover ? await discoverFontFiles(rootPath, fontFiles, fonts) : [];
+  const historicalFontFiles =
+    input.history === true ? await discoverHistoricalFontFiles(rootPath, fonts, maxDiscoveredFiles) : [];
+  const discoveredFontPackages = discover ? await discoverFontPackages(rootPath, fontPackagesByKey, fonts) : [];
+  const diskLicenseFiles = discover
+    ? await discoverLicenseFiles(
+        rootPath,
+        candidateLicenseFiles,
+        fonts,
+        diskFontFiles,
+        discoveredFontPackages,
+        maxDiscoveredLicenseFiles,
+        scanRules.eula_patterns,
+        scanRules.license_texts,
+      )
     : [];
+  embeddedFonts.push(...(await discoverEmbeddingFileFonts(rootPath, embeddingFiles, fonts)));
+  const allFontFiles = [...diskFontFiles, ...archiveEntries.fontFiles, ...embeddedFonts].sort((a, b) =>
+    a.path.localeCompare(b.path),
+  );
+  const discoveredFontFiles = allFontFiles.slice(0, maxDiscoveredFiles);
+  // Embedded fonts share their container's path, so they cannot serve as per-file baselines.
+  const fontFileHashes = allFontFiles
+    .filter((entry) => entry.file_hash && !entry.embedded_in)
+    .map((entry) => ({
+      path: toProjectRelativePath(projectRoot, rootPath, entry.path),
+      file_hash: entry.file_hash,
+      matched_font_ids: entry.matched_font_ids,
+      family_guess: entry.family_guess ?? null,
+    }));
+  const knownFontFiles = await hashKnownFontFiles(projectRoot, input.manifest, {
+    withinPath: rootPath,
+    skipPaths: new Set(fontFileHashes.map((entry) => entry.path)),
+  });
+  const discoveredLicenseFiles = [...diskLicenseFiles, ...archiveEntries.licenseFiles]
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .slice(0, maxDiscoveredLicenseFiles);
 
   return {
     scanned_at: nowIso(),
     root_path: rootPath,
+    scan_root: relativeTo(projectRoot, rootPath),
     scanned_files_count: textFiles.length,
+    discover_enabled: discover,
+    since: gitChanges ? gitChanges.summary : null,
+    history_enabled: input.history === true,
+    archives_enabled: archives,
+    scan_rules: describeScanRules(scanRules, rootPath),
     font_matches: Object.fromEntries(Array.from(matches.entries())),
-    discovered_font_files: discover ? discoverFontFiles(rootPath, fontFiles, maxDiscoveredFiles) : [],
+    discovered_font_files: discoveredFontFiles,
+    font_file_clusters: clusterFontFilesByHash(allFontFiles),
+    font_file_hashes: fontFileHashes,
+    font_binary_changes: findFontBinaryChanges(input.manifest, [...fontFileHashes, ...knownFontFiles]),
+    discovered_font_services: finalizeFontServices(fontServicesByKey, fonts),
+    discovered_font_packages: discoveredFontPackages,
     discovered_license_files: discoveredLicenseFiles,
+    app_fonts: appFonts,
+    context_suggestions: suggestAppContexts(input.manifest, appFonts),
+    scanned_archives: archiveEntries.archives,
+    historical_font_files: historicalFontFiles,
+    cache: cache
+      ? {
+          enabled: true,
+          written: input.writeCache === true,
+          path: relativeTo(rootPath, cachePath),
+          hits: cache.stats.hits,
+          misses: cache.stats.misses,
+          invalidated: cache.stats.invalidated,
+          entries: Object.keys(cache.nextEntries).length,
+        }
+      : { enabled: false },
+  };
+}
+
+function summarizeFontFile(entry) {
+  const metadata = entry.metadata && typeof entry.metadata === "object" ? entry.metadata : null;
+
+  return {
+    path: entry.path,
+    extension: entry.extension,
+    format: entry.format ?? null,
+    variable: metadata?.variable ?? false,
+    subset: metadata?.subset ?? false,
+    fs_type: metadata?.fs_type ?? null,
+    embedding_permission: metadata?.embedding_permission ?? null,
+    ...(entry.embedded_in ? { embedded_in: entry.embedded_in.kind } : {}),
   };
 }
 
+// Declared contexts stay under the user's control; app usage the manifest does not declare is only suggested.
+function suggestAppContexts(manifest, appFonts) {
+  const suggestions = [];
+
+  for (const font of normalizeFonts(manifest ?? {})) {
+    const contexts = Array.isArray(font.usage?.contexts) ? font.usage.contexts : [];
+    const declarations = appFonts.filter(
+      (entry) => Array.isArray(entry.matched_font_ids) && entry.matched_font_ids.includes(font.font_id),
+    );
+    if (declarations.length === 0 || contexts.includes("app")) {
+      continue;
+    }
+
+    suggestions.push({
+      font_id: font.font_id,
+      usage_context: "app",
+      platforms: Array.from(new Set(declarations.map((entry) => entry.platform))).sort((a, b) => a.localeCompare(b)),
+      declared_in: Array.from(new Set(declarations.map((entry) => entry.declared_in))).sort((a, b) =>
+        a.localeCompare(b),
+      ),
+    });
+  }
+
+  return suggestions;
+}
+
 export function applyScanResultToManifest(manifest, scanResult) {
   const draft = deepClone(manifest);
   const fonts = Array.isArray(draft.fonts) ? draft.fonts : [];
   const licenseMatchesByFont = new Map();
+  const fontFilesByFont = new Map();
+
+  const discoveredFontFiles = Array.isArray(scanResult.discovered_font_files) ? scanResult.discovered_font_files : [];
+
+  for (const fontFile of discoveredFontFiles) {
+    const matchedFontIds = Array.isArray(fontFile.matched_font_ids) ? fontFile.matched_font_ids : [];
+    for (const fontId of matchedFontIds) {
+      if (!fontFilesByFont.has(fontId)) {
+        fontFilesByFont.set(fontId, []);
+      }
+      fontFilesByFont.get(fontId).push(summarizeFontFile(fontFile));
+    }
+  }
+
+  const appFontsByFont = new Map();
+  const appFonts = Array.isArray(scanResult.app_fonts) ? scanResult.app_fonts : [];
+
+  for (const appFont of appFonts) {
+    const matchedFontIds = Array.isArray(appFont.matched_font_ids) ? appFont.matched_font_ids : [];
+    for (const fontId of matchedFontIds) {
+      if (!appFontsByFont.has(fontId)) {
+        appFontsByFont.set(fontId, []);
+      }
+      appFontsByFont.get(fontId).push({ platform: appFont.platform, declared_in: appFont.declared_in, paths: appFont.paths });
+    }
+  }
 
   const discoveredLicenseFiles = Array.isArray(scanResult.discovered_license_files)
     ? scanResult.discovered_license_files
@@ -475,15 +4299,39 @@ export function applyScanResultToManifest(manifest, scanResult) {
       font.usage && typeof font.usage === "object" && !Array.isArray(font.usage) ? font.usage : {};
 
     const matchedLicensePaths = licenseMatchesByFont.get(fontId) ?? [];
+    const previousScan =
+      currentUsage.scan && typeof currentUsage.scan === "object" && !Array.isArray(currentUsage.scan)
+        ? currentUsage.scan
+        : {};
+    const fontFiles =
+      scanResult.discover_enabled === true
+        ? (fontFilesByFont.get(fontId) ?? []).slice(0, 30)
+        : Array.isArray(previousScan.font_files)
+          ? previousScan.font_files
+          : [];
+    const fontFilesScanRoot = scanResult.discover_enabled === true ? scanResult.scan_root : previousScan.scan_root;
+    const fontAppFonts =
+      scanResult.discover_enabled === true
+        ? (appFontsByFont.get(fontId) ?? []).slice(0, 30)
+        : Array.isArray(previousScan.app_fonts)
+          ? previousScan.app_fonts
+          : [];
 
     font.usage = {
       ...currentUsage,
       scan: {
         scanned_at: scanResult.scanned_at,
+        scan_root: fontFilesScanRoot ?? ".",
         match_count: match?.match_count ?? 0,
         matched_paths: match?.matched_paths ?? [],
         license_match_count: matchedLicensePaths.length,
         license_matched_paths: matchedLicensePaths.slice(0, 30),
+        declared_paths: match?.declared_paths ?? [],
+        referenced_paths: match?.referenced_paths ?? [],
+        declarations: match?.declarations ?? [],
+        font_files: fontFiles,
+        detected_modifications: fontFiles.some((entry) => entry.subset === true) ? ["subset"] : [],
+        app_fonts: fontAppFonts,
       },
     };
   }
@@ -491,3 +4339,46 @@ export function applyScanResultToManifest(manifest, scanResult) {
   draft.fonts = fonts;
   return draft;
 }
+
+export function recordKnownFontFileHashes(manifest, scanResult) {
+  const draft = deepClone(manifest);
+  const fonts = Array.isArray(draft.fonts) ? draft.fonts : [];
+  const fontFileHashes = Array.isArray(scanResult.font_file_hashes) ? scanResult.font_file_hashes : [];
+  let recordedCount = 0;
+
+  for (const font of fonts) {
+    const fontFiles = fontFileHashes.filter(
+      (entry) =>
+        typeof entry.file_hash === "string" &&
+        Array.isArray(entry.matched_font_ids) &&
+        entry.matched_font_ids.includes(font.font_id),
+    );
+    if (fontFiles.length === 0) {
+      continue;
+    }
+
+    const recordedPaths = new Set(fontFiles.map((entry) => entry.path));
+    const previous = Array.isArray(font.known_file_hashes) ? font.known_file_hashes : [];
+    font.known_file_hashes = [
+      ...previous.filter((entry) => !recordedPaths.has(entry?.path)),
+      ...fontFiles.map((entry) => ({ file_hash: entry.file_hash, path: entry.path, recorded_at: scanResult.scanned_at })),
+    ];
+    recordedCount += fontFiles.length;
+  }
+
+  draft.fonts = fonts;
+  return { manifest: draft, recorded_count: recordedCount };
+}
+
+// Worker entry point: scanProject re-loads this module in worker threads when concurrency > 1.
+if (!isMainThread && workerData?.[SCAN_WORKER_FLAG] === true) {
+  const scanContext = createTextScanContext(prepareScanFonts(workerData.fonts), workerData.discover);
+
+  parentPort.on("message", async (message) => {
+    const results = [];
+    for (const task of message.tasks) {
+      results.push(await runTextFileTask(task, scanContext));
+    }
+    parentPort.postMessage({ batch_index: message.batch_index, results });
+  });
+}
@@ -0,0 +1,373 @@
+// Canonical texts compared by classifyLicenseText. Entries marked `trimmed` carry only the operative sections of a
+// longer license: a complete copy still matches, but its remaining sections cannot be told apart from added clauses,
+// so only removals are reported for them.
+// Foundry EULAs are proprietary and vary per foundry, so none are bundled; projects register the ones they hold as
+// reference texts in `scan.license_texts`.
+
+const OFL_DISCLAIMER = `DISCLAIMER
+THE FONT SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO
+ANY WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT OF COPYRIGHT, PATENT,
+TRADEMARK, OR OTHER RIGHT. IN NO EVENT SHALL THE COPYRIGHT HOLDER BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+INCLUDING ANY GENERAL, SPECIAL, INDIRECT, INCIDENTAL, OR CONSEQUENTIAL DAMAGES, WHETHER IN AN ACTION OF CONTRACT, TORT
+OR OTHERWISE, ARISING FROM, OUT OF THE USE OR INABILITY TO USE THE FONT SOFTWARE OR FROM OTHER DEALINGS IN THE FONT
+SOFTWARE.`;
+
+const OFL_1_1 = `SIL OPEN FONT LICENSE
+Version 1.1 - 26 February 2007
+
+PREAMBLE
+The goals of the Open Font License (OFL) are to stimulate worldwide development of collaborative font projects, to
+support the font creation efforts of academic and linguistic communities, and to provide a free and open framework in
+which fonts may be shared and improved in partnership with others.
+
+The OFL allows the licensed fonts to be used, studied, modified and redistributed freely as long as they are not sold
+by themselves. The fonts, including any derivative works, can be bundled, embedded, redistributed and/or sold with any
+software provided that any reserved names are not used by derivative works. The fonts and derivatives, however, cannot
+be released under any other type of license. The requirement for fonts to remain under this license does not apply to
+any document created using the fonts or their derivatives.
+
+DEFINITIONS
+"Font Software" refers to the set of files released by the Copyright Holder(s) under this license and clearly marked
+as such. This may include source files, build scripts and documentation.
+
+"Reserved Font Name" refers to any names specified as such after the copyright statement(s).
+
+"Original Version" refers to the collection of Font Software components as distributed by the Copyright Holder(s).
+
+"Modified Version" refers to any derivative made by adding to, deleting, or substituting -- in part or in whole -- any
+of the components of the Original Version, by changing formats or by porting the Font Software to a new environment.
+
+"Author" refers to any designer, engineer, programmer, technical writer or other person who contributed to the Font
+Software.
+
+PERMISSION & CONDITIONS
+Permission is hereby granted, free of charge, to any person obtaining a copy of the Font Software, to use, study, copy,
+merge, embed, modify, redistribute, and sell modified and unmodified copies of the Font Software, subject to the
+following conditions:
+
+1) Neither the Font Software nor any of its individual components, in Original or Modified Versions, may be sold by
+itself.
+
+2) Original or Modified Versions of the Font Software may be bundled, redistributed and/or sold with any software,
+provided that each copy contains the above copyright notice and this license. These can be included either as
+stand-alone text files, human-readable headers or in the appropriate machine-readable metadata fields within text or
+binary files as long as those fields can be easily viewed by the user.
+
+3) No Modified Version of the Font Software may use the Reserved Font Name(s) unless explicit written permission is
+granted by the corresponding Copyright Holder. This restriction only applies to the primary font name as presented to
+the users.
+
+4) The name(s) of the Copyright Holder(s) and the Author(s) of the Font Software shall not be used to promote, endorse
+or advertise any Modified Version, except to acknowledge the contribution(s) of the Copyright Holder(s) and the
+Author(s) or with their explicit written permission.
+
+5) The Font Software, modified or unmodified, in part or in whole, must be distributed entirely under this license,
+and must not be distributed under any other license. The requirement for fonts to remain under this license does not
+apply to any document created using the Font Software.
+
+TERMINATION
+This license becomes null and void if any of the above conditions are not met.
+
+${OFL_DISCLAIMER}`;
+
+const OFL_1_0 = `SIL OPEN FONT LICENSE
+Version 1.0 - 22 November 2005
+
+PREAMBLE
+The goals of the Open Font License (OFL) are to stimulate worldwide development of cooperative font projects, to
+support the font creation efforts of academic and linguistic communities, and to provide an open framework in which
+fonts may be shared and improved in partnership with others.
+
+The OFL allows the licensed fonts to be used, studied, modified and redistributed freely as long as they are not sold
+by themselves. The fonts, including any derivative works, can be bundled, embedded, redistributed and sold with any
+software provided that the font names of derivative works are changed. The fonts and derivatives, however, cannot be
+released under any other type of license.
+
+DEFINITIONS
+"Font Software" refers to any and all of the following: font files, data files, source code, build scripts,
+documentation.
+
+"Reserved Font Name" refers to the Font Software name as seen by users and any other names as specified after the
+copyright statement.
+
+"Standard Version" refers to the collection of Font Software components as distributed by the Copyright Holder.
+
+"Modified Version" refers to any derivative font software made by adding to, deleting, or substituting -- in part or
+in whole -- any of the components of the Standard Version, by changing formats or by porting the Font Software to a
+new environment.
+
+"Author" refers to any designer, engineer, programmer, technical writer or other person who contributed to the Font
+Software.
+
+PERMISSION & CONDITIONS
+Permission is hereby granted, free of charge, to any person obtaining a copy of the Font Software, to use, study, copy,
+merge, embed, modify, redistribute, and sell modified and unmodified copies of the Font Software, subject to the
+following conditions:
+
+1) Neither the Font Software nor any of its individual components, in Standard or Modified Versions, may be sold by
+itself.
+
+2) Standard or Modified Versions of the Font Software may be bundled, redistributed and sold with any software,
+provided that each copy contains the above copyright notice and this license. These can be included either as
+stand-alone text files, human-readable headers or in the appropriate machine-readable metadata fields within text or
+binary files as long as those fields can be easily viewed by the user.
+
+3) No Modified Version of the Font Software may use the Reserved Font Name(s), in part or in whole, unless explicit
+written permission is granted by the Copyright Holder. This restriction applies to all references stored in the Font
+Software, such as the font menu name and other font description fields, which are used to differentiate the font from
+others.
+
+4) The name(s) of the Copyright Holder or the Author(s) of the Font Software shall not be used to promote, endorse or
+advertise any Modified Version, except to acknowledge the contribution(s) of the Copyright Holder and the Author(s) or
+with their explicit written permission.
+
+5) The Font Software, modified or unmodified, in part or in whole, must be distributed using this license, and may not
+be distributed under any other license.
+
+TERMINATION
+This license becomes null and void if any of the above conditions are not met.
+
+${OFL_DISCLAIMER}`;
+
+const UBUNTU_FONT_1_0 = `UBUNTU FONT LICENCE Version 1.0
+
+PREAMBLE
+This licence allows the licensed fonts to be used, studied, modified and redistributed freely. The fonts, including
+any derivative works, can be bundled, embedded, and redistributed provided the terms of this licence are met. The fonts
+and derivatives, however, cannot be released under any other licence. The requirement for fonts to remain under this
+licence does not require any document created using the fonts or their derivatives to be published under this
+licence, as long as the primary purpose of the document is not to be a vehicle for the distribution of the fonts.
+
+DEFINITIONS
+"Font Software" refers to the set of files released by the Copyright Holder(s) under this licence and clearly marked
+as such. This may include source files, build scripts and documentation.
+
+"Original Version" refers to the collection of Font Software components as received under this licence.
+
+"Modified Version" refers to any derivative made by adding to, deleting, or substituting -- in part or in whole -- any
+of the components of the Original Version, by changing formats or by porting the Font Software to a new environment.
+
+"Copyright Holder(s)" refers to all individuals and companies who have a copyright ownership of the Font Software.
+
+"Substantially Changed" refers to Modified Versions which can be easily identified as dissimilar to the Font Software
+by users of the Font Software comparing the Original Version with the Modified Version.
+
+To "Propagate" a work means to do anything with it that, without permission, would make you directly or secondarily
+liable for infringement under applicable copyright law, except executing it on a computer or modifying a private copy.
+
+PERMISSION & CONDITIONS
+This licence does not grant any rights under trademark law and all such rights are reserved.
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of the Font Software, to propagate the
+Font Software, subject to the below conditions:
+
+1) Each copy of the Font Software must contain the above copyright notice and this licence. These can be included
+either as stand-alone text files, human-readable headers or in the appropriate machine-readable metadata fields within
+text or binary files as long as those fields can be easily viewed by the user.
+
+2) The font name complies with the following: (a) The Original Version must retain its name, unmodified. (b) Modified
+Versions which are Substantially Changed must be renamed to avoid use of the name of the Original Version or similar
+names entirely. (c) Modified Versions which are not Substantially Changed must be renamed to both (i) retain the name
+of the Original Version and (ii) add additional naming elements to distinguish the Modified Version from the Original
+Version. The name of such Modified Versions must be the name of the Original Version, with "derivative X" where X
+represents the name of the new work, appended to that name.
+
+3) The name(s) of the Copyright Holder(s) and any contributor to the Font Software shall not be used to promote,
+endorse or advertise any Modified Version, except (i) as required by this licence, (ii) to acknowledge the
+contribution(s) of the Copyright Holder(s) or (iii) with their explicit written permission.
+
+4) The Font Software, modified or unmodified, in part or in whole, must be distributed entirely under this licence,
+and must not be distributed under any other licence. The requirement for fonts to remain under this licence does not
+affect any document created using the Font Software, except any version of the Font Software extracted from a
+document created using the Font Software may only be distributed under this licence.
+
+TERMINATION
+This licence becomes null and void if any of the above conditions are not met.
+
+${OFL_DISCLAIMER}`;
+
+const BITSTREAM_VERA = `Permission is hereby granted, free of charge, to any person obtaining a copy of the fonts accompanying this license
+("Fonts") and associated documentation files (the "Font Software"), to reproduce and distribute the Font Software,
+including without limitation the rights to use, copy, merge, publish, distribute, and/or sell copies of the Font
+Software, and to permit persons to whom the Font Software is furnished to do so, subject to the following conditions:
+
+The above copyright and trademark notices and this permission notice shall be included in all copies of one or more
+of the Font Software typefaces.
+
+The Font Software may be modified, altered, or added to, and in particular the designs of glyphs or characters in the
+Fonts may be modified and additional glyphs or characters may be added to the Fonts, only if the fonts are renamed to
+names not containing either the words "Bitstream" or the word "Vera".
+
+This License becomes null and void to the extent applicable to Fonts or Font Software that has been modified and is
+distributed under the "Bitstream Vera" names.
+
+The Font Software may be sold as part of a larger software package but no copy of one or more of the Font Software
+typefaces may be sold by itself.
+
+THE FONT SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO
+ANY WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT OF COPYRIGHT, PATENT,
+TRADEMARK, OR OTHER RIGHT. IN NO EVENT SHALL BITSTREAM OR THE GNOME FOUNDATION BE LIABLE FOR ANY CLAIM, DAMAGES OR
+OTHER LIABILITY, INCLUDING ANY GENERAL, SPECIAL, INDIRECT, INCIDENTAL, OR CONSEQUENTIAL DAMAGES, WHETHER IN AN ACTION
+OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF THE USE OR INABILITY TO USE THE FONT SOFTWARE OR FROM OTHER
+DEALINGS IN THE FONT SOFTWARE.
+
+Except as contained in this notice, the names of Gnome, the Gnome Foundation, and Bitstream Inc., shall not be used in
+advertising or otherwise to promote the sale, use or other dealings in this Font Software without prior written
+authorization from the Gnome Foundation or Bitstream Inc., respectively.`;
+
+const GUST_FONT_LICENSE = `This work may be distributed and/or modified under the conditions of the LaTeX Project Public License, either
+version 1.3c of this license or (at your option) any later version.
+
+Please also observe the following clause:
+1) it is requested, but not legally required, that derived works be distributed only after changing the names of the
+fonts comprising this work and given in an accompanying "manifest", and that the files comprising the Work, as listed
+in the manifest, also be given new names. Any exceptions to this request are also given in the manifest.
+
+We recommend the manifest be given in a separate file named MANIFEST-<fontid>.txt, where <fontid> is some unique
+identification of the font family. If a separate "readme" file accompanies the Work, we recommend a name of the form
+README-<fontid>.txt.
+
+The latest version of the LaTeX Project Public License is in http://www.latex-project.org/lppl.txt and version 1.3c or
+later is part of all distributions of LaTeX version 2006/05/20 or later.`;
+
+const LPPL_1_3C = `The LaTeX Project Public License
+LPPL Version 1.3c 2008-05-04
+
+PREAMBLE
+The LaTeX Project Public License (LPPL) is the primary license under which the LaTeX kernel and the base LaTeX
+packages are distributed.
+
+You may use this license for any work of which you hold the copyright and which you wish to distribute. This license
+may be particularly suitable if your work is TeX-related (such as a LaTeX package), but it is written in such a way
+that you can use it even if your work is unrelated to TeX.
+
+This license gives conditions under which a work may be distributed and modified, as well as conditions under which
+modified versions of that work may be distributed.
+
+DEFINITIONS
+"Work" Any work being distributed under this License.
+"Derived Work" Any work that under any applicable law is derived from the Work.
+"Modification" Any procedure that produces a Derived Work under any applicable law -- for example, the production of a
+file containing an original file associated with the Work or a significant portion of such a file, either verbatim or
+with modifications and/or translated into another language.
+"Distribution" Making copies of the Work available from one person to another, in whole or in part.
+"Current Maintainer" A person or persons nominated as such within the Work. If there is no such explicit nomination
+then it is the "Copyright Holder" under any applicable law.
+
+CONDITIONS ON DISTRIBUTION AND MODIFICATION
+1. Activities other than distribution and/or modification of the Work are not covered by this license; they are
+outside its scope. In particular, the act of running the Work is not restricted and no requirements are made
+concerning any offers of support for the Work.
+
+2. You may distribute a complete, unmodified copy of the Work as you received it. Distribution of only part of the
+Work is considered modification of the Work, and no right to distribute such a Derived Work may be assumed under the
+terms of this clause.
+
+3. You may distribute a Compiled Work that has been generated from a complete, unmodified copy of the Work as
+distributed under Clause 2 above, as long as that Compiled Work is distributed in such a way that the recipients may
+install the Compiled Work on their system exactly as it would have been installed if they generated a Compiled Work
+directly from the Work.
+
+4. If you are the Current Maintainer of the Work, you may, without restriction, modify the Work, thus creating a
+Derived Work. You may also distribute the Derived Work without restriction, including Compiled Works generated from
+the Derived Work. Derived Works distributed in this manner by the Current Maintainer are considered to be updated
+versions of the Work.`;
+
+const IPA_FONT_1_0 = `IPA Font License Agreement v1.0
+
+The Licensor provides the Licensed Program (as defined in Article 1 below) under the terms of this license agreement
+("Agreement"). Any use, reproduction or distribution of the Licensed Program, or any exercise of rights under this
+Agreement by a Recipient (as defined in Article 1 below) constitutes the Recipient's acceptance of this Agreement.
+
+Article 1 (Definitions)
+1. "Digital Font Program" shall mean a computer program containing, or used to render or display fonts.
+2. "Licensed Program" shall mean a Digital Font Program licensed by the Licensor under this Agreement.
+3. "Derived Program" shall mean a Digital Font Program created as a result of a modification, addition, deletion,
+replacement or any other adaptation to or of a part or all of the Licensed Program, and includes a case where a
+Digital Font Program newly created by retrieving font information from a part or all of the Licensed Program or
+Embedded Fonts from a Digital Document File with or without modification of the retrieved font information.
+4. "Digital Content" shall mean products provided to end users in the form of digital data, including video content,
+motion and/or still pictures, TV programs or other broadcasting content and products consisting of character text,
+pictures, photographic images, graphic symbols and/or the like.
+5. "Digital Document File" shall mean a PDF file or other Digital Content created by various software programs in
+which a part or all of the Licensed Program becomes embedded or contained in the file for the display of the font
+("Embedded Fonts"). Embedded Fonts are used only in the display of characters in the particular Digital Document File
+within which they are embedded, and shall be distinguished from those in any Digital Font Program, which may be used
+for display of characters outside that particular Digital Document File.
+
+Article 2 (Grant of License)
+The Licensor grants to the Recipient a license to use the Licensed Program in any and all countries in accordance with
+each of the provisions set forth in this Agreement. However, any and all rights underlying in the Licensed Program
+shall be held by the Licensor. In no sense is this Agreement intended to transfer any right relating to the Licensed
+Program held by the Licensor except as specifically set forth herein or any right relating to any trademark, trade
+name, or service mark to the Recipient.
+1. The Recipient may install the Licensed Program on any number of Computers and use the same in accordance with the
+provisions set forth in this Agreement.
+2. The Recipient may use the Licensed Program, with or without modification in printed materials or in Digital Content
+as an expression of character texts or the like.`;
+
+const CC_BY_4_0 = `Creative Commons Attribution 4.0 International Public License
+
+By exercising the Licensed Rights (defined below), You accept and agree to be bound by the terms and conditions of this
+Creative Commons Attribution 4.0 International Public License ("Public License"). To the extent this Public License
+may be interpreted as a contract, You are granted the Licensed Rights in consideration of Your acceptance of these
+terms and conditions, and the Licensor grants You such rights in consideration of benefits the Licensor receives from
+making the Licensed Material available under these terms and conditions.
+
+Section 2 - Scope.
+License grant. Subject to the terms and conditions of this Public License, the Licensor hereby grants You a worldwide,
+royalty-free, non-sublicensable, non-exclusive, irrevocable license to exercise the Licensed Rights in the Licensed
+Material to: reproduce and Share the Licensed Material, in whole or in part; and produce, reproduce, and Share Adapted
+Material.
+
+Section 3 - License Conditions.
+Your exercise of the Licensed Rights is expressly made subject to the following conditions.
+Attribution. If You Share the Licensed Material (including in modified form), You must: retain the following if it is
+supplied by the Licensor with the Licensed Material: identification of the creator(s) of the Licensed Material and
+any others designated to receive attribution, in any reasonable manner requested by the Licensor (including by
+pseudonym if designated); a copyright notice; a notice that refers to this Public License; a notice that refers to the
+disclaimer of warranties; a URI or hyperlink to the Licensed Material to the extent reasonably practicable.`;
+
+const CC0_1_0 = `CC0 1.0 Universal
+
+Statement of Purpose
+The laws of most jurisdictions throughout the world automatically confer exclusive Copyright and Related Rights
+(defined below) upon the creator and subsequent owner(s) (each and all, an "owner") of an original work of authorship
+and/or a database (each, a "Work").
+
+Certain owners wish to permanently relinquish those rights to a Work for the purpose of contributing to a commons of
+creative, cultural and scientific works ("Commons") that the public can reliably and without fear of later claims of
+infringement build upon, modify, incorporate in other works, reuse and redistribute as freely as possible in any form
+whatsoever and for any purposes, including without limitation commercial purposes.
+
+2. Waiver. To the greatest extent permitted by, but not in contravention of, applicable law, Affirmer hereby overtly,
+fully, permanently, irrevocably and unconditionally waives, abandons, and surrenders all of Affirmer's Copyright and
+Related Rights and associated claims and causes of action, whether now known or unknown (including existing as well as
+future claims and causes of action), in the Work (i) in all territories worldwide, (ii) for the maximum duration
+provided by applicable law or treaty (including future time extensions), (iii) in any current or future medium and
+for any number of copies, and (iv) for any purpose whatsoever, including without limitation commercial, advertising
+or promotional purposes (the "Waiver").`;
+
+export const CANONICAL_LICENSE_TEXTS = [
+  { spdx_id: "OFL-1.1", name: "SIL Open Font License 1.1", kind: "sil_ofl_1_1", text: OFL_1_1 },
+  { spdx_id: "OFL-1.0", name: "SIL Open Font License 1.0", kind: "sil_ofl_1_0", text: OFL_1_0 },
+  { spdx_id: "Ubuntu-font-1.0", name: "Ubuntu Font Licence 1.0", kind: "ubuntu_font_1_0", text: UBUNTU_FONT_1_0 },
+  { spdx_id: "Bitstream-Vera", name: "Bitstream Vera Font License", kind: "bitstream_vera", text: BITSTREAM_VERA },
+  {
+    spdx_id: "LicenseRef-GUST-Font-License",
+    name: "GUST Font License",
+    kind: "gust_font",
+    trimmed: true,
+    text: GUST_FONT_LICENSE,
+  },
+  {
+    spdx_id: "LPPL-1.3c",
+    name: "LaTeX Project Public License 1.3c",
+    kind: "lppl_1_3c",
+    trimmed: true,
+    text: LPPL_1_3C,
+  },
+  { spdx_id: "IPA", name: "IPA Font License", kind: "ipa_font", trimmed: true, text: IPA_FONT_1_0 },
+  { spdx_id: "CC-BY-4.0", name: "Creative Commons Attribution 4.0", kind: "cc_by_4_0", trimmed: true, text: CC_BY_4_0 },
+  { spdx_id: "CC0-1.0", name: "Creative Commons Zero 1.0", kind: "cc0_1_0", trimmed: true, text: CC0_1_0 },
+];
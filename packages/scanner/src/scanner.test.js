@@ -1,10 +1,19 @@
 import assert from "node:assert/strict";
-import { mkdirSync, writeFileSync } from "node:fs";
+import { spawnSync } from "node:child_process";
+import { existsSync, mkdirSync, renameSync, writeFileSync } from "node:fs";
 import { mkdtempSync, rmSync } from "node:fs";
 import os from "node:os";
 import path from "node:path";
 import test from "node:test";
-import { scanProject } from "./index.js";
+import { brotliCompressSync, deflateRawSync, deflateSync, gzipSync } from "node:zlib";
+import {
+  applyScanResultToManifest,
+  classifyLicenseText,
+  readFontMetadata,
+  recordKnownFontFileHashes,
+  scanProject,
+} from "./index.js";
+import { CANONICAL_LICENSE_TEXTS } from "./license-texts.js";
 
 function baseManifest() {
   return {
@@ -32,6 +41,211 @@ function baseManifest() {
   };
 }
 
+function buildNameTable(names) {
+  const entries = Object.entries(names).map(([nameId, value]) => ({
+    nameId: Number(nameId),
+    bytes: Buffer.from(value, "utf16le").swap16(),
+  }));
+  const header = Buffer.alloc(6 + entries.length * 12);
+  header.writeUInt16BE(0, 0);
+  header.writeUInt16BE(entries.length, 2);
+  header.writeUInt16BE(header.length, 4);
+
+  let stringOffset = 0;
+  entries.forEach((entry, index) => {
+    const recordOffset = 6 + index * 12;
+    header.writeUInt16BE(3, recordOffset);
+    header.writeUInt16BE(1, recordOffset + 2);
+    header.writeUInt16BE(0x0409, recordOffset + 4);
+    header.writeUInt16BE(entry.nameId, recordOffset + 6);
+    header.writeUInt16BE(entry.bytes.length, recordOffset + 8);
+    header.writeUInt16BE(stringOffset, recordOffset + 10);
+    stringOffset += entry.bytes.length;
+  });
+
+  return Buffer.concat([header, ...entries.map((entry) => entry.bytes)]);
+}
+
+function buildFontTables(options = {}) {
+  const head = Buffer.alloc(54);
+  head.writeInt32BE(Math.round((options.revision ?? 1.5) * 65536), 4);
+
+  const os2 = Buffer.alloc(78);
+  os2.writeUInt16BE(4, 0);
+  os2.writeUInt16BE(options.weightClass ?? 400, 4);
+  os2.writeUInt16BE(options.fsType ?? 0, 8);
+  os2.write(options.vendorId ?? "RSMS", 58, "latin1");
+
+  return {
+    head,
+    name: buildNameTable(options.names ?? { 1: "Inter", 2: "Regular", 5: "Version 4.000" }),
+    "OS/2": os2,
+  };
+}
+
+function buildSfnt(tables, flavor = 0x00010000) {
+  const tags = Object.keys(tables).sort();
+  const header = Buffer.alloc(12 + tags.length * 16);
+  header.writeUInt32BE(flavor, 0);
+  header.writeUInt16BE(tags.length, 4);
+
+  let offset = header.length;
+  const bodies = tags.map((tag, index) => {
+    const data = tables[tag];
+    const recordOffset = 12 + index * 16;
+    header.write(tag, recordOffset, "latin1");
+    header.writeUInt32BE(offset, recordOffset + 8);
+    header.writeUInt32BE(data.length, recordOffset + 12);
+    const padded = Buffer.alloc(Math.ceil(data.length / 4) * 4);
+    data.copy(padded);
+    offset += padded.length;
+    return padded;
+  });
+
+  return Buffer.concat([header, ...bodies]);
+}
+
+function buildWoff2(tables) {
+  const knownTags = { head: 1, maxp: 4, name: 5, "OS/2": 6, fvar: 47 };
+  const tags = Object.keys(tables);
+  const directory = Buffer.concat(
+    tags.map((tag) => {
+      const length = tables[tag].length;
+      return Buffer.from([knownTags[tag], ...(length > 127 ? [0x80 | (length >> 7), length & 0x7f] : [length])]);
+    }),
+  );
+  const compressed = brotliCompressSync(Buffer.concat(tags.map((tag) => tables[tag])));
+
+  const header = Buffer.alloc(48);
+  header.write("wOF2", 0, "latin1");
+  header.writeUInt32BE(0x00010000, 4);
+  header.writeUInt16BE(tags.length, 12);
+  header.writeUInt32BE(compressed.length, 20);
+  const woff2 = Buffer.concat([header, directory, compressed]);
+  woff2.writeUInt32BE(woff2.length, 8);
+  return woff2;
+}
+
+function buildZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = entry.deflate ? deflateRawSync(entry.data) : entry.data;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(entry.deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(entry.deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, data);
+    centralParts.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function buildTar(entries) {
+  const parts = entries.map((entry) => {
+    const header = Buffer.alloc(512);
+    header.write(entry.name, 0, "utf8");
+    header.write(entry.data.length.toString(8).padStart(11, "0"), 124, "latin1");
+    header.write("0", 156, "latin1");
+    header.write("ustar", 257, "latin1");
+    const body = Buffer.alloc(Math.ceil(entry.data.length / 512) * 512);
+    entry.data.copy(body);
+    return Buffer.concat([header, body]);
+  });
+
+  return Buffer.concat([...parts, Buffer.alloc(1024)]);
+}
+
+test("readFontMetadata reads name, head and OS/2 fields from sfnt and woff2 binaries", () => {
+  const tables = buildFontTables({
+    names: {
+      0: "Copyright 2020 The Inter Project Authors",
+      1: "Inter SemiBold",
+      2: "Regular",
+      5: "Version 4.000",
+      8: "Rasmus Andersson",
+      14: "https://openfontlicense.org",
+      16: "Inter",
+      17: "SemiBold",
+    },
+    weightClass: 600,
+  });
+
+  for (const buffer of [buildSfnt(tables), buildWoff2(tables)]) {
+    const metadata = readFontMetadata(buffer);
+    assert.ok(metadata);
+    assert.equal(metadata.family_name, "Inter");
+    assert.equal(metadata.subfamily, "SemiBold");
+    assert.equal(metadata.version, "Version 4.000");
+    assert.equal(metadata.vendor_id, "RSMS");
+    assert.equal(metadata.manufacturer, "Rasmus Andersson");
+    assert.equal(metadata.copyright, "Copyright 2020 The Inter Project Authors");
+    assert.equal(metadata.license_url, "https://openfontlicense.org");
+    assert.equal(metadata.font_revision, 1.5);
+    assert.equal(metadata.weight_class, 600);
+    assert.equal(metadata.fs_type, 0);
+    assert.equal(metadata.embedding_permission, "installable");
+  }
+
+  const restricted = readFontMetadata(buildSfnt(buildFontTables({ fsType: 0x0002 | 0x0100 })));
+  assert.equal(restricted.embedding_permission, "restricted");
+  assert.equal(restricted.embedding_no_subsetting, true);
+
+  assert.equal(readFontMetadata(Buffer.from("font-binary")), null);
+});
+
+test("scanProject uses name-table metadata for hashed font file names", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+
+  mkdirSync(path.join(tempDir, "build", "media"), { recursive: true });
+  writeFileSync(path.join(tempDir, "build", "media", "a8f3c1.woff2"), buildWoff2(buildFontTables()));
+  writeFileSync(path.join(tempDir, "build", "media", "LICENSE.txt"), "Licensed under the terms in EULA.pdf", "utf8");
+
+  const result = await scanProject({
+    rootPath: tempDir,
+    manifest: baseManifest(),
+    discover: true,
+  });
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(result.discovered_font_files.length, 1);
+  const font = result.discovered_font_files[0];
+  assert.equal(font.family_guess, "Inter");
+  assert.equal(font.family_source, "name_table");
+  assert.equal(font.font_id_guess, "inter");
+  assert.deepEqual(font.matched_font_ids, ["inter"]);
+  assert.equal(font.metadata.version, "Version 4.000");
+
+  const license = result.discovered_license_files[0];
+  assert.deepEqual(license.matched_font_ids, []);
+  assert.deepEqual(license.adjacent_font_ids, ["inter"]);
+});
+
 test("scanProject discovers font files when discover=true", async () => {
   const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
 
@@ -68,7 +282,9 @@ test("scanProject discovers font files when discover=true", async () => {
   const inter = result.discovered_font_files.find((entry) => entry.file_name === "Inter-Regular.woff2");
   assert.ok(inter);
   assert.equal(inter.family_guess, "Inter");
+  assert.equal(inter.family_source, "file_name");
   assert.equal(inter.font_id_guess, "inter");
+  assert.equal(inter.metadata, null);
 
   const license = result.discovered_license_files[0];
   assert.equal(license.file_name, "OFL.txt");
@@ -145,3 +361,1027 @@ test("scanProject ignores bundler js/css LICENSE artifacts in discovery output",
     true,
   );
 });
+
+test("applyScanResultToManifest records embedding permissions of matched font files", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+
+  mkdirSync(path.join(tempDir, "fonts"), { recursive: true });
+  writeFileSync(path.join(tempDir, "fonts", "desktop.otf"), buildSfnt(buildFontTables({ fsType: 0x0004 }), 0x4f54544f));
+
+  const manifest = baseManifest();
+  const discovered = await scanProject({ rootPath: tempDir, manifest, discover: true });
+  const afterDiscover = applyScanResultToManifest(manifest, discovered);
+  const plain = await scanProject({ rootPath: tempDir, manifest: afterDiscover, discover: false });
+  const afterPlain = applyScanResultToManifest(afterDiscover, plain);
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.deepEqual(afterDiscover.fonts[0].usage.scan.font_files, [
+    {
+      path: path.join("fonts", "desktop.otf"),
+      extension: ".otf",
+      format: "otf",
+      variable: false,
+      subset: false,
+      fs_type: 4,
+      embedding_permission: "preview_print",
+    },
+  ]);
+  assert.deepEqual(afterPlain.fonts[0].usage.scan.font_files, afterDiscover.fonts[0].usage.scan.font_files);
+});
+
+test("scanProject separates @font-face declarations from font-family references", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+
+  mkdirSync(path.join(tempDir, "styles"), { recursive: true });
+  writeFileSync(
+    path.join(tempDir, "styles", "fonts.css"),
+    [
+      "/* Inter is self-hosted */",
+      "@font-face {",
+      "  font-family: 'Inter';",
+      "  src: local('Inter Regular'), url('/fonts/inter.woff2') format('woff2'), url(/fonts/inter.woff) format(\"woff\");",
+      "  font-weight: 100 900;",
+      "  unicode-range: U+0000-00FF;",
+      "}",
+    ].join("\n"),
+    "utf8",
+  );
+  writeFileSync(
+    path.join(tempDir, "styles", "theme.scss"),
+    [
+      "// headings use the brand stack",
+      "$brand-stack: \"Inter\", system-ui, sans-serif;",
+      "h1 { font-family: $brand-stack; }",
+      "body { font: 400 16px/1.5 Georgia, 'Inter', serif; }",
+    ].join("\n"),
+    "utf8",
+  );
+  writeFileSync(path.join(tempDir, "README.md"), "We use Inter for headings.", "utf8");
+
+  const manifest = baseManifest();
+  const result = await scanProject({ rootPath: tempDir, manifest, discover: false });
+  const updated = applyScanResultToManifest(manifest, result);
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  const inter = result.font_matches.inter;
+  assert.equal(inter.match_count, 3);
+  assert.deepEqual(inter.declared_paths, [path.join("styles", "fonts.css")]);
+  assert.deepEqual(inter.referenced_paths, [path.join("styles", "theme.scss")]);
+
+  const fontFace = inter.declarations.find((declaration) => declaration.kind === "font_face");
+  assert.equal(fontFace.line, 2);
+  assert.deepEqual(fontFace.src, [
+    { url: "/fonts/inter.woff2", format: "woff2" },
+    { url: "/fonts/inter.woff", format: "woff" },
+  ]);
+  assert.deepEqual(fontFace.local_names, ["Inter Regular"]);
+  assert.equal(fontFace.weight, "100 900");
+  assert.equal(fontFace.unicode_range, "U+0000-00FF");
+
+  const references = inter.declarations
+    .filter((declaration) => declaration.kind === "font_family")
+    .map((declaration) => [declaration.line, declaration.property, declaration.stack_position]);
+  assert.deepEqual(references, [
+    [3, "font-family", 0],
+    [4, "font", 1],
+  ]);
+
+  assert.deepEqual(updated.fonts[0].usage.scan.declarations, inter.declarations);
+});
+
+test("scanProject discovers fonts linked from web font services", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  writeFileSync(
+    path.join(tempDir, "index.html"),
+    [
+      '<link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;700&amp;family=Roboto+Mono&display=swap" rel="stylesheet">',
+      '<link href="//fonts.googleapis.com/css?family=Open+Sans:400,700|Lato&amp;family=Merriweather" rel="stylesheet">',
+      '<link rel="stylesheet" href="https://use.typekit.net/abc1234.css">',
+    ].join("\n"),
+  );
+  writeFileSync(
+    path.join(tempDir, "styles.css"),
+    [
+      '@import url("https://api.fontshare.com/v2/css?f[]=general-sans@400,500&display=swap");',
+      "@import url(https://fonts.bunny.net/css?family=inter:400,500);",
+    ].join("\n"),
+  );
+
+  const result = await scanProject({
+    rootPath: tempDir,
+    manifest: baseManifest(),
+    discover: true,
+  });
+  const withoutDiscover = await scanProject({
+    rootPath: tempDir,
+    manifest: baseManifest(),
+    discover: false,
+  });
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  const services = result.discovered_font_services;
+  assert.deepEqual(
+    services.map((service) => [service.provider, service.family_name ?? service.kit_id]),
+    [
+      ["adobe_fonts", "abc1234"],
+      ["bunny_fonts", "Inter"],
+      ["fontshare", "General Sans"],
+      ["google_fonts", "Inter"],
+      ["google_fonts", "Lato"],
+      ["google_fonts", "Merriweather"],
+      ["google_fonts", "Open Sans"],
+      ["google_fonts", "Roboto Mono"],
+    ],
+  );
+
+  const googleInter = services.find((service) => service.provider === "google_fonts" && service.family_name === "Inter");
+  assert.deepEqual(googleInter.paths, ["index.html"]);
+  assert.deepEqual(googleInter.matched_font_ids, ["inter"]);
+  assert.equal(
+    googleInter.urls[0],
+    "https://fonts.googleapis.com/css2?family=Inter:wght@400;700&family=Roboto+Mono&display=swap",
+  );
+  assert.equal(services.find((service) => service.provider === "fontshare").font_id_guess, "general-sans");
+  assert.deepEqual(withoutDiscover.discovered_font_services, []);
+});
+
+test("scanProject discovers fonts installed through npm font packages", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  const packageDir = path.join(tempDir, "node_modules", "@fontsource", "ibm-plex-sans");
+  mkdirSync(packageDir, { recursive: true });
+  mkdirSync(path.join(tempDir, "src"), { recursive: true });
+  writeFileSync(
+    path.join(tempDir, "package.json"),
+    JSON.stringify({ dependencies: { "@fontsource/ibm-plex-sans": "^5.0.0", react: "^18.0.0" } }),
+  );
+  writeFileSync(path.join(tempDir, "yarn.lock"), '"typeface-roboto@^1.1.13":\n  version "1.1.13"\n');
+  writeFileSync(path.join(tempDir, "src", "main.js"), 'import "@fontsource/ibm-plex-sans/400.css";\n');
+  writeFileSync(
+    path.join(tempDir, "src", "layout.tsx"),
+    'import { Inter, Roboto_Mono as mono } from "next/font/google";\n',
+  );
+  writeFileSync(
+    path.join(packageDir, "package.json"),
+    JSON.stringify({ name: "@fontsource/ibm-plex-sans", version: "5.0.8", license: "OFL-1.1" }),
+  );
+  writeFileSync(path.join(packageDir, "metadata.json"), JSON.stringify({ family: "IBM Plex Sans" }));
+  writeFileSync(path.join(packageDir, "LICENSE"), "SIL OPEN FONT LICENSE Version 1.1\n");
+
+  const manifest = baseManifest();
+  manifest.fonts.push({ font_id: "ibm-plex-sans", family_name: "IBM Plex Sans", source: { type: "oss" } });
+
+  const result = await scanProject({
+    rootPath: tempDir,
+    manifest,
+    discover: true,
+  });
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.deepEqual(
+    result.discovered_font_packages.map((entry) => [entry.package_name, entry.family_name]),
+    [
+      ["@fontsource/ibm-plex-sans", "IBM Plex Sans"],
+      ["next/font/google", "Inter"],
+      ["next/font/google", "Roboto Mono"],
+      ["typeface-roboto", "Roboto"],
+    ],
+  );
+
+  const plex = result.discovered_font_packages[0];
+  assert.equal(plex.source_type, "oss");
+  assert.equal(plex.version, "5.0.8");
+  assert.equal(plex.declared_range, "^5.0.0");
+  assert.equal(plex.license_spdx, "OFL-1.1");
+  assert.deepEqual(plex.referenced_by, ["package.json", path.join("src", "main.js")]);
+  assert.deepEqual(plex.matched_font_ids, ["ibm-plex-sans"]);
+  assert.equal(plex.license_file.detected_license, "sil_ofl_1_1");
+
+  const packageLicense = result.discovered_license_files.find((entry) => entry.package_name === plex.package_name);
+  assert.ok(packageLicense);
+  assert.equal(packageLicense.path, path.join("node_modules", "@fontsource", "ibm-plex-sans", "LICENSE"));
+  assert.deepEqual(packageLicense.package_font_ids, ["ibm-plex-sans"]);
+  assert.equal(result.discovered_font_packages[3].installed_path, null);
+});
+
+test("scanProject honors .setzkastenignore and setzkasten.config.json scan rules", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  for (const dirName of ["src", "storybook-static", "dist", "node_modules"]) {
+    mkdirSync(path.join(tempDir, dirName), { recursive: true });
+  }
+  writeFileSync(path.join(tempDir, ".setzkastenignore"), "# generated\nstorybook-static/\n!dist/\n");
+  writeFileSync(
+    path.join(tempDir, "setzkasten.config.json"),
+    JSON.stringify({ scan: { exclude: ["**/*.generated.css"], extensions: ["vue"] } }),
+  );
+  writeFileSync(path.join(tempDir, "src", "App.vue"), "<style>body { font-family: Inter; }</style>");
+  writeFileSync(path.join(tempDir, "src", "theme.generated.css"), "body { font-family: Inter; }");
+  writeFileSync(path.join(tempDir, "storybook-static", "main.css"), "body { font-family: Inter; }");
+  writeFileSync(path.join(tempDir, "dist", "app.css"), "body { font-family: Inter; }");
+  writeFileSync(path.join(tempDir, "node_modules", "lib.css"), "body { font-family: Inter; }");
+
+  const result = await scanProject({
+    rootPath: tempDir,
+    manifest: baseManifest(),
+  });
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.deepEqual(result.font_matches.inter.matched_paths.sort(), [
+    path.join("dist", "app.css"),
+    path.join("src", "App.vue"),
+  ]);
+  assert.equal(result.scan_rules.config_path, "setzkasten.config.json");
+  assert.equal(result.scan_rules.ignore_file_path, ".setzkastenignore");
+  assert.deepEqual(result.scan_rules.ignore_patterns, [
+    { pattern: "storybook-static/", origin: "ignore_file" },
+    { pattern: "!dist/", origin: "ignore_file" },
+    { pattern: "**/*.generated.css", origin: "config" },
+  ]);
+  assert.equal(result.scan_rules.text_file_extensions.includes(".vue"), true);
+});
+
+test("scanProject reuses cached per-file results and matches a cold scan", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  mkdirSync(path.join(tempDir, "src"), { recursive: true });
+  writeFileSync(
+    path.join(tempDir, "src", "fonts.css"),
+    '@font-face { font-family: "Inter"; src: url("/fonts/inter.woff2") format("woff2"); }\nbody { font-family: Inter, sans-serif; }\n',
+  );
+  writeFileSync(path.join(tempDir, "src", "app.js"), 'const font = "Inter";\n');
+  writeFileSync(path.join(tempDir, "index.html"), '<link href="https://fonts.googleapis.com/css2?family=Inter">');
+
+  const scan = (cache) =>
+    scanProject({ rootPath: tempDir, manifest: baseManifest(), discover: true, cache, writeCache: cache });
+  const withoutVolatileFields = (result) => JSON.stringify({ ...result, scanned_at: null, cache: null });
+
+  const cold = await scan(false);
+  const first = await scan(true);
+  const warm = await scan(true);
+  writeFileSync(path.join(tempDir, "src", "app.js"), "const font = null;\n");
+  const changed = await scan(true);
+  const changedCold = await scan(false);
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.deepEqual(cold.cache, { enabled: false });
+  assert.equal(first.cache.misses, 3);
+  assert.equal(first.cache.path, path.join(".setzkasten", "cache", "scan-cache.json"));
+  assert.equal(warm.cache.hits, 3);
+  assert.equal(warm.cache.misses, 0);
+  assert.equal(withoutVolatileFields(warm), withoutVolatileFields(cold));
+  assert.equal(changed.cache.misses, 1);
+  assert.equal(withoutVolatileFields(changed), withoutVolatileFields(changedCold));
+  assert.deepEqual(changed.font_matches.inter.matched_paths, ["index.html", path.join("src", "fonts.css")]);
+});
+
+test("scanProject writes the cache only on request and survives moving the project", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  const movedDir = `${tempDir}-moved`;
+  const cachePath = path.join(".setzkasten", "cache", "scan-cache.json");
+  writeFileSync(path.join(tempDir, "app.js"), 'const font = "Inter";\n');
+
+  const scan = (rootPath, writeCache) => scanProject({ rootPath, manifest: baseManifest(), cache: true, writeCache });
+
+  const readOnly = await scan(tempDir, false);
+  const cacheAfterReadOnly = existsSync(path.join(tempDir, cachePath));
+  await scan(tempDir, true);
+  renameSync(tempDir, movedDir);
+  const moved = await scan(movedDir, false);
+  rmSync(movedDir, { recursive: true, force: true });
+
+  assert.equal(readOnly.cache.written, false);
+  assert.equal(cacheAfterReadOnly, false);
+  assert.equal(moved.cache.invalidated, false);
+  assert.equal(moved.cache.hits, 1);
+});
+
+test("scanProject matches overlapping family names and keeps worker output deterministic", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  mkdirSync(path.join(tempDir, "src"), { recursive: true });
+  const families = ["Inter", "Inter Display", "Open Sans", "Sans", "Roboto Mono"];
+  for (let index = 0; index < 150; index += 1) {
+    const family = families[index % families.length];
+    writeFileSync(
+      path.join(tempDir, "src", `module-${String(index).padStart(3, "0")}.css`),
+      `.c${index} { font-family: "${family}", sans-serif; }\n`,
+    );
+  }
+
+  const manifest = baseManifest();
+  manifest.fonts = families.map((family) => ({
+    font_id: family.toLowerCase().replace(/\s+/g, "-"),
+    family_name: family,
+    source: { type: "oss" },
+    license_instance_ids: [],
+  }));
+
+  const scan = (concurrency) => scanProject({ rootPath: tempDir, manifest, concurrency });
+  const sequential = await scan(1);
+  const parallel = await scan(3);
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(sequential.font_matches.inter.match_count, 60);
+  assert.equal(sequential.font_matches["inter-display"].match_count, 30);
+  // "Sans" matches "Open Sans" and every generic sans-serif fallback.
+  assert.equal(sequential.font_matches.sans.match_count, 150);
+  assert.equal(sequential.font_matches["open-sans"].match_count, 30);
+  assert.equal(sequential.font_matches["roboto-mono"].match_count, 30);
+  assert.deepEqual({ ...parallel, scanned_at: null }, { ...sequential, scanned_at: null });
+  await assert.rejects(() => scan(0), /concurrency must be a positive integer/);
+});
+
+test("scanProject restricts to changed files with since and finds deleted fonts with history", async (t) => {
+  const probe = spawnSync("git", ["--version"]);
+  if (probe.error || probe.status !== 0) {
+    t.skip("git binary is not available");
+    return;
+  }
+
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  const git = (...args) => {
+    const result = spawnSync("git", ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args], {
+      cwd: tempDir,
+      encoding: "utf8",
+    });
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout.trim();
+  };
+
+  mkdirSync(path.join(tempDir, "fonts"), { recursive: true });
+  writeFileSync(path.join(tempDir, "base.css"), "body { font-family: Inter; }\n");
+  writeFileSync(
+    path.join(tempDir, "fonts", "a1b2c3.woff2"),
+    buildWoff2(buildFontTables({ names: { 1: "Legacy Grotesk", 2: "Regular" } })),
+  );
+  git("init", "-q", "-b", "main");
+  git("add", "-A");
+  git("commit", "-q", "-m", "base");
+  const addedSha = git("rev-parse", "HEAD");
+
+  git("checkout", "-q", "-b", "feature");
+  rmSync(path.join(tempDir, "fonts", "a1b2c3.woff2"));
+  writeFileSync(path.join(tempDir, "feature.css"), ".title { font-family: Inter; }\n");
+  git("add", "-A");
+  git("commit", "-q", "-m", "feature");
+  const headSha = git("rev-parse", "HEAD");
+  writeFileSync(path.join(tempDir, "draft.css"), ".draft { font-family: Inter; }\n");
+
+  const changed = await scanProject({ rootPath: tempDir, manifest: baseManifest(), since: "main" });
+  const history = await scanProject({ rootPath: tempDir, manifest: baseManifest(), history: true });
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.deepEqual(changed.font_matches.inter.matched_paths.sort(), ["draft.css", "feature.css"]);
+  assert.equal(changed.since.merge_base_sha, addedSha);
+  assert.equal(changed.since.head_sha, headSha);
+  assert.equal(changed.since.changed_files_count, 2);
+  assert.deepEqual(changed.historical_font_files, []);
+
+  assert.equal(history.historical_font_files.length, 1);
+  const [deleted] = history.historical_font_files;
+  assert.equal(deleted.path, path.join("fonts", "a1b2c3.woff2"));
+  assert.equal(deleted.family_guess, "Legacy Grotesk");
+  assert.equal(deleted.added_in.sha, addedSha);
+  assert.equal(deleted.deleted_in.sha, headSha);
+});
+
+test("scanProject discovers fonts and licenses inside zip archives and image tarballs", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  const interFont = buildSfnt(buildFontTables());
+  const layer = gzipSync(
+    buildTar([{ name: "usr/share/fonts/brand.otf", data: buildSfnt(buildFontTables({ names: { 1: "Brand Sans" } })) }]),
+  );
+
+  mkdirSync(path.join(tempDir, "handoff"), { recursive: true });
+  writeFileSync(
+    path.join(tempDir, "handoff", "brand-kit.zip"),
+    buildZip([
+      { name: "fonts/Inter-Regular.ttf", data: interFont, deflate: true },
+      { name: "fonts/OFL.txt", data: Buffer.from("Inter is licensed under the SIL Open Font License") },
+      { name: "readme.md", data: Buffer.from("Brand kit") },
+    ]),
+  );
+  writeFileSync(
+    path.join(tempDir, "image.tar"),
+    buildTar([
+      { name: "manifest.json", data: Buffer.from("[]") },
+      { name: "blobs/sha256/4f2a", data: layer },
+    ]),
+  );
+
+  const withoutArchives = await scanProject({ rootPath: tempDir, manifest: baseManifest(), discover: true });
+  const result = await scanProject({ rootPath: tempDir, manifest: baseManifest(), discover: true, archives: true });
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.deepEqual(withoutArchives.discovered_font_files, []);
+  assert.deepEqual(withoutArchives.scanned_archives, []);
+
+  assert.deepEqual(
+    result.discovered_font_files.map((entry) => entry.path),
+    [
+      `${path.join("handoff", "brand-kit.zip")}!fonts/Inter-Regular.ttf`,
+      "image.tar!blobs/sha256/4f2a!usr/share/fonts/brand.otf",
+    ],
+  );
+  const [inter, brand] = result.discovered_font_files;
+  assert.equal(inter.family_source, "name_table");
+  assert.deepEqual(inter.matched_font_ids, ["inter"]);
+  assert.equal(inter.archive_path, path.join("handoff", "brand-kit.zip"));
+  assert.equal(inter.entry_path, "fonts/Inter-Regular.ttf");
+  assert.equal(brand.family_guess, "Brand Sans");
+  assert.equal(brand.archive_path, "image.tar!blobs/sha256/4f2a");
+
+  assert.equal(result.discovered_license_files.length, 1);
+  const license = result.discovered_license_files[0];
+  assert.equal(license.path, `${path.join("handoff", "brand-kit.zip")}!fonts/OFL.txt`);
+  assert.equal(license.detected_license, "sil_ofl_1_1");
+  assert.deepEqual(license.matched_font_ids, ["inter"]);
+  assert.deepEqual(license.adjacent_font_ids, ["inter"]);
+
+  assert.deepEqual(
+    result.scanned_archives.map((entry) => [entry.path, entry.format]),
+    [
+      [path.join("handoff", "brand-kit.zip"), "zip"],
+      ["image.tar", "tar"],
+      ["image.tar!blobs/sha256/4f2a", "tar.gz"],
+    ],
+  );
+});
+
+test("scanProject maps native app font declarations to font files and suggests the app context", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  const write = (relativePath, content) => {
+    mkdirSync(path.dirname(path.join(tempDir, relativePath)), { recursive: true });
+    writeFileSync(path.join(tempDir, relativePath), content);
+  };
+
+  write("ios/App/Fonts/Inter-Regular.ttf", buildSfnt(buildFontTables()));
+  write(
+    "ios/App/Info.plist",
+    "<plist><dict><key>UIAppFonts</key><array><string>Fonts/Inter-Regular.ttf</string></array></dict></plist>",
+  );
+  write("android/app/src/main/res/font/inter_bold.ttf", Buffer.alloc(16));
+  write("android/app/src/main/res/font/brand_serif.otf", Buffer.alloc(16));
+  write(
+    "android/app/src/main/res/font/inter.xml",
+    '<font-family xmlns:android="http://schemas.android.com/apk/res/android"><font android:fontWeight="700" android:font="@font/inter_bold" /></font-family>',
+  );
+  write(
+    "android/app/src/main/res/font/lobster.xml",
+    '<font-family xmlns:app="http://schemas.android.com/apk/res-auto" app:fontProviderQuery="name=Lobster&amp;weight=400" />',
+  );
+  write("mobile/assets/fonts/Inter-Italic.otf", Buffer.alloc(16));
+  write("mobile/react-native.config.js", "module.exports = { assets: ['./assets/fonts/'] };\n");
+  write(
+    "flutter_app/pubspec.yaml",
+    [
+      "name: demo",
+      "flutter:",
+      "  uses-material-design: true",
+      "  fonts:",
+      "    - family: Inter",
+      "      fonts:",
+      "        - asset: fonts/Inter-Regular.ttf",
+      "        - asset: fonts/Inter-Bold.ttf # missing",
+      "          weight: 700",
+      "dev_dependencies:",
+      "  fonts: ignored",
+    ].join("\n"),
+  );
+  write("flutter_app/fonts/Inter-Regular.ttf", Buffer.alloc(16));
+
+  const withoutDiscover = await scanProject({ rootPath: tempDir, manifest: baseManifest() });
+  const result = await scanProject({ rootPath: tempDir, manifest: baseManifest(), discover: true });
+  const updated = applyScanResultToManifest(baseManifest(), result);
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.deepEqual(withoutDiscover.app_fonts, []);
+  assert.deepEqual(withoutDiscover.context_suggestions, []);
+
+  const summary = result.app_fonts.map((entry) => [entry.platform, entry.family_name, entry.paths.length]);
+  assert.deepEqual(summary, [
+    ["android", "Brand Serif", 1],
+    ["android", "Inter", 1],
+    ["android", "Lobster", 0],
+    ["flutter", "Inter", 0],
+    ["flutter", "Inter", 1],
+    ["ios", "Inter", 1],
+    ["react_native", "Inter", 1],
+  ]);
+
+  const ios = result.app_fonts.find((entry) => entry.platform === "ios");
+  assert.equal(ios.family_source, "name_table");
+  assert.deepEqual(ios.paths, [path.join("ios", "App", "Fonts", "Inter-Regular.ttf")]);
+
+  assert.deepEqual(result.context_suggestions.map((entry) => [entry.font_id, entry.usage_context, entry.platforms]), [
+    ["inter", "app", ["android", "flutter", "ios", "react_native"]],
+  ]);
+
+  const inter = updated.fonts[0];
+  assert.equal(inter.usage.contexts, undefined);
+  assert.deepEqual(
+    inter.usage.scan.app_fonts.map((entry) => entry.platform),
+    ["android", "flutter", "flutter", "ios", "react_native"],
+  );
+});
+
+test("scanProject reports fonts embedded in data URIs, SVG fonts and PDF font dictionaries", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  const woff2 = buildWoff2(buildFontTables({ fsType: 0x0002 })).toString("base64");
+  const objectStream = deflateSync(
+    Buffer.from("12 0 << /Type /FontDescriptor /FontName /Brand#20Serif,Bold /FontFile3 13 0 R >>", "latin1"),
+  );
+
+  mkdirSync(path.join(tempDir, "public"), { recursive: true });
+  mkdirSync(path.join(tempDir, "deliverables"), { recursive: true });
+  writeFileSync(
+    path.join(tempDir, "public", "app.css"),
+    [
+      ".icon { background: url(data:application/octet-stream;base64,AAAAAAAAAAAAAAAAAAAA); }",
+      `@font-face { font-family: Inter; src: url(data:font/woff2;base64,${woff2}) format("woff2"); }`,
+    ].join("\n"),
+  );
+  writeFileSync(
+    path.join(tempDir, "public", "icons.svg"),
+    '<svg><defs><font id="f"><font-face font-family="Icon Glyphs" units-per-em="1000" /></font></defs></svg>',
+  );
+  writeFileSync(
+    path.join(tempDir, "deliverables", "brochure.pdf"),
+    Buffer.concat([
+      Buffer.from(
+        [
+          "%PDF-1.7",
+          "5 0 obj << /Type /Font /Subtype /TrueType /BaseFont /ABCDEF+Inter-Regular /FontDescriptor 6 0 R >> endobj",
+          "6 0 obj << /Type /FontDescriptor /FontName /ABCDEF+Inter-Regular /Flags 32 /FontFile2 7 0 R >> endobj",
+          "8 0 obj << /Type /FontDescriptor /FontName /Helvetica /Flags 32 >> endobj",
+          `11 0 obj << /Type /ObjStm /N 1 /First 5 /Filter /FlateDecode /Length ${objectStream.length} >> stream\n`,
+        ].join("\n"),
+        "latin1",
+      ),
+      objectStream,
+      Buffer.from("\nendstream\nendobj\n%%EOF\n", "latin1"),
+    ]),
+  );
+
+  const result = await scanProject({ rootPath: tempDir, manifest: baseManifest(), discover: true });
+  const updated = applyScanResultToManifest(baseManifest(), result);
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.deepEqual(
+    result.discovered_font_files.map((entry) => [entry.path, entry.embedded_in.kind, entry.family_guess]),
+    [
+      [path.join("deliverables", "brochure.pdf"), "pdf_font", "Inter"],
+      [path.join("deliverables", "brochure.pdf"), "pdf_font", "Brand Serif"],
+      [path.join("public", "app.css"), "data_uri", "Inter"],
+      [path.join("public", "icons.svg"), "svg_font", "Icon Glyphs"],
+    ],
+  );
+
+  const [pdfInter, pdfBrand, dataUri] = result.discovered_font_files;
+  assert.equal(pdfInter.embedded_in.subset, true);
+  assert.equal(pdfInter.embedded_in.font_file_type, "FontFile2");
+  assert.deepEqual(pdfInter.matched_font_ids, ["inter"]);
+  assert.equal(pdfBrand.embedded_in.font_name, "Brand Serif,Bold");
+  assert.equal(dataUri.extension, ".woff2");
+  assert.equal(dataUri.embedded_in.line, 2);
+  assert.equal(dataUri.metadata.embedding_permission, "restricted");
+
+  assert.deepEqual(
+    updated.fonts[0].usage.scan.font_files.map((entry) => entry.embedded_in),
+    ["pdf_font", "data_uri"],
+  );
+});
+
+test("scanProject hashes font files, clusters duplicates and flags changed known binaries", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  const interFont = buildSfnt(buildFontTables());
+
+  mkdirSync(path.join(tempDir, "fonts"), { recursive: true });
+  mkdirSync(path.join(tempDir, "legacy"), { recursive: true });
+  writeFileSync(path.join(tempDir, "fonts", "Inter-Regular.ttf"), interFont);
+  writeFileSync(path.join(tempDir, "legacy", "body.ttf"), interFont);
+
+  const first = await scanProject({ rootPath: tempDir, manifest: baseManifest(), discover: true });
+  const { manifest: recorded, recorded_count: recordedCount } = recordKnownFontFileHashes(baseManifest(), first);
+
+  writeFileSync(
+    path.join(tempDir, "fonts", "Inter-Regular.ttf"),
+    buildSfnt(buildFontTables({ names: { 1: "Knockoff Sans", 2: "Regular" } })),
+  );
+  const second = await scanProject({ rootPath: tempDir, manifest: recorded, discover: true });
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.match(first.discovered_font_files[0].file_hash, /^[a-f0-9]{64}$/);
+  assert.deepEqual(first.font_file_clusters, [
+    {
+      file_hash: first.discovered_font_files[0].file_hash,
+      count: 2,
+      paths: [path.join("fonts", "Inter-Regular.ttf"), path.join("legacy", "body.ttf")],
+      family_guesses: ["Inter"],
+      renamed: true,
+    },
+  ]);
+  assert.deepEqual(first.font_binary_changes, []);
+
+  assert.equal(recordedCount, 2);
+  assert.equal(recorded.fonts[0].known_file_hashes.length, 2);
+
+  assert.deepEqual(second.font_file_clusters, []);
+  assert.equal(second.font_binary_changes.length, 1);
+  assert.equal(second.font_binary_changes[0].font_id, "inter");
+  assert.equal(second.font_binary_changes[0].path, path.join("fonts", "Inter-Regular.ttf"));
+  assert.equal(second.font_binary_changes[0].family_guess, "Knockoff Sans");
+});
+
+test("known-good hashes are project-relative, uncapped and checked by plain scans", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  const webRoot = path.join(tempDir, "web");
+
+  mkdirSync(path.join(webRoot, "fonts"), { recursive: true });
+  writeFileSync(
+    path.join(webRoot, "fonts", "Inter-Bold.ttf"),
+    buildSfnt(buildFontTables({ names: { 1: "Inter", 2: "Bold" } })),
+  );
+  writeFileSync(path.join(webRoot, "fonts", "Inter-Regular.ttf"), buildSfnt(buildFontTables()));
+
+  const first = await scanProject({
+    rootPath: webRoot,
+    projectRoot: tempDir,
+    manifest: baseManifest(),
+    discover: true,
+    maxDiscoveredFiles: 1,
+  });
+  const { manifest: recorded, recorded_count: recordedCount } = recordKnownFontFileHashes(baseManifest(), first);
+
+  writeFileSync(
+    path.join(webRoot, "fonts", "Inter-Regular.ttf"),
+    buildSfnt(buildFontTables({ names: { 1: "Knockoff Sans", 2: "Regular" } })),
+  );
+  const plain = await scanProject({ rootPath: webRoot, projectRoot: tempDir, manifest: recorded });
+  const fromProjectRoot = await scanProject({ rootPath: tempDir, manifest: recorded, discover: true });
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.equal(first.discovered_font_files.length, 1);
+  assert.equal(first.scan_root, "web");
+  assert.equal(recordedCount, 2);
+  assert.deepEqual(
+    recorded.fonts[0].known_file_hashes.map((entry) => entry.path),
+    [path.join("web", "fonts", "Inter-Bold.ttf"), path.join("web", "fonts", "Inter-Regular.ttf")],
+  );
+
+  assert.equal(plain.discover_enabled, false);
+  assert.deepEqual(
+    plain.font_binary_changes.map((entry) => [entry.path, entry.family_guess]),
+    [[path.join("web", "fonts", "Inter-Regular.ttf"), "Knockoff Sans"]],
+  );
+  assert.deepEqual(
+    fromProjectRoot.font_binary_changes.map((entry) => entry.path),
+    [path.join("web", "fonts", "Inter-Regular.ttf")],
+  );
+});
+
+test("readFontMetadata reports container, variable axes and subset indicators", async () => {
+  const maxp = Buffer.alloc(6);
+  maxp.writeUInt32BE(0x00005000, 0);
+  maxp.writeUInt16BE(120, 4);
+
+  const fvar = Buffer.alloc(16 + 20);
+  fvar.writeUInt16BE(1, 0);
+  fvar.writeUInt16BE(16, 4);
+  fvar.writeUInt16BE(1, 8);
+  fvar.writeUInt16BE(20, 10);
+  fvar.writeUInt16BE(3, 12);
+  fvar.write("wght", 16, "latin1");
+  fvar.writeInt32BE(100 * 65536, 20);
+  fvar.writeInt32BE(400 * 65536, 24);
+  fvar.writeInt32BE(900 * 65536, 28);
+
+  const tables = {
+    ...buildFontTables({ names: { 1: "KLMNOP+Inter", 2: "Regular", 6: "KLMNOP+Inter-Regular" } }),
+    maxp,
+    fvar,
+  };
+
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  mkdirSync(path.join(tempDir, "fonts"), { recursive: true });
+  writeFileSync(path.join(tempDir, "fonts", "inter.ttf"), buildWoff2(tables));
+
+  const result = await scanProject({ rootPath: tempDir, manifest: baseManifest(), discover: true });
+  const updated = applyScanResultToManifest(baseManifest(), result);
+
+  rmSync(tempDir, { recursive: true, force: true });
+
+  const [entry] = result.discovered_font_files;
+  assert.equal(entry.format, "woff2");
+  assert.equal(entry.family_guess, "Inter");
+  assert.equal(entry.metadata.container, "woff2");
+  assert.equal(entry.metadata.outline_format, "truetype");
+  assert.equal(entry.metadata.glyph_count, 120);
+  assert.equal(entry.metadata.variable, true);
+  assert.deepEqual(entry.metadata.variable_axes, [{ tag: "wght", min: 100, default: 400, max: 900 }]);
+  assert.equal(entry.metadata.named_instance_count, 3);
+  assert.deepEqual(entry.metadata.subset_indicators, ["name_prefix", "low_glyph_count"]);
+
+  const usage = updated.fonts[0].usage.scan;
+  assert.deepEqual(usage.detected_modifications, ["subset"]);
+  assert.equal(usage.font_files[0].format, "woff2");
+  assert.equal(usage.font_files[0].variable, true);
+
+  const desktop = readFontMetadata(buildSfnt(buildFontTables(), 0x4f54544f));
+  assert.equal(desktop.container, "otf");
+  assert.equal(desktop.outline_format, "cff");
+  assert.equal(desktop.variable, false);
+  assert.equal(desktop.subset, false);
+
+  const display = readFontMetadata(buildSfnt({ ...buildFontTables(), maxp }));
+  assert.equal(display.glyph_count, 120);
+  assert.deepEqual(display.subset_indicators, ["low_glyph_count"]);
+  assert.equal(display.subset, false);
+});
+
+test("classifyLicenseText matches canonical font licenses and reports modifications", async () => {
+  for (const canonical of CANONICAL_LICENSE_TEXTS) {
+    const classification = classifyLicenseText(canonical.text);
+    assert.ok(classification.spdx_id.startsWith(canonical.spdx_id), canonical.spdx_id);
+    assert.equal(classification.score, 1);
+    assert.deepEqual(classification.modifications, []);
+  }
+
+  assert.equal(classifyLicenseText("This font is licensed under the SIL Open Font License 1.1."), null);
+
+  const ofl = CANONICAL_LICENSE_TEXTS.find((entry) => entry.spdx_id === "OFL-1.1").text;
+  const modified = [
+    'Copyright 2020 The Example Project Authors, with Reserved Font Name "Example Sans".',
+    "",
+    ofl.replace(/4\) The name\(s\)[\s\S]*?permission\.\n\n/, ""),
+    "",
+    "The Font Software may not be used in political campaigns.",
+  ].join("\n");
+  const classification = classifyLicenseText(modified);
+  assert.equal(classification.spdx_id, "OFL-1.1-RFN");
+  assert.equal(classification.kind, "sil_ofl_1_1");
+  assert.ok(classification.score > 0.9 && classification.score < 1);
+  assert.deepEqual(classification.reserved_font_names, ["Example Sans"]);
+  assert.deepEqual(
+    classification.modifications.map((entry) => entry.type),
+    ["removed", "added"],
+  );
+  assert.match(classification.modifications[0].text, /^4\) The name\(s\)/);
+  assert.equal(classification.modifications[1].text, "The Font Software may not be used in political campaigns.");
+
+  const ccBy = CANONICAL_LICENSE_TEXTS.find((entry) => entry.spdx_id === "CC-BY-4.0").text;
+  const completeCcBy = classifyLicenseText(
+    [
+      ccBy,
+      "",
+      "Section 5 - Disclaimer of Warranties and Limitation of Liability.",
+      "",
+      "Unless otherwise separately undertaken by the Licensor, to the extent possible, the Licensor offers the Licensed " +
+        "Material as-is and as-available, and makes no representations or warranties of any kind concerning the " +
+        "Licensed Material, whether express, implied, statutory, or other.",
+      "",
+      "Section 6 - Term and Termination.",
+      "",
+      "This Public License applies for the term of the Copyright and Similar Rights licensed here. However, if You " +
+        "fail to comply with this Public License, then Your rights under this Public License terminate automatically.",
+    ].join("\n"),
+  );
+  assert.equal(completeCcBy.spdx_id, "CC-BY-4.0");
+  assert.equal(completeCcBy.trimmed, true);
+  assert.deepEqual(completeCcBy.modifications, []);
+
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  mkdirSync(path.join(tempDir, "fonts"), { recursive: true });
+  writeFileSync(path.join(tempDir, "fonts", "Vera.ttf"), "font-binary");
+  writeFileSync(
+    path.join(tempDir, "fonts", "LICENSE.txt"),
+    `Copyright (c) 2003 by Bitstream, Inc. All Rights Reserved.\n\n${
+      CANONICAL_LICENSE_TEXTS.find((entry) => entry.spdx_id === "Bitstream-Vera").text
+    }`,
+    "utf8",
+  );
+
+  const result = await scanProject({ rootPath: tempDir, manifest: baseManifest(), discover: true });
+  rmSync(tempDir, { recursive: true, force: true });
+
+  const license = result.discovered_license_files.find((entry) => entry.file_name === "LICENSE.txt");
+  assert.equal(license.detected_license, "bitstream_vera");
+  assert.equal(license.license_classification.spdx_id, "Bitstream-Vera");
+  assert.equal(license.license_classification.score, 1);
+  assert.deepEqual(license.license_classification.modifications, []);
+});
+
+test("scanProject classifies foundry EULAs against configured reference texts", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-reference-eula-"));
+  const template = [
+    "Brand Foundry Webfont End User License Agreement",
+    "",
+    "1. Grant. Brand Foundry grants the licensee a non-exclusive, non-transferable right to embed the licensed fonts " +
+      "in websites operated by the licensee, up to the number of monthly page views stated on the invoice.",
+    "",
+    "2. Restrictions. The licensee shall not sell, sublicense or distribute the font software as a standalone " +
+      "product, and shall take reasonable measures to prevent third parties from downloading the font files.",
+    "",
+    "3. Termination. This agreement terminates automatically if the licensee breaches any of its terms, and the " +
+      "licensee must then remove the font software from all websites and systems under its control.",
+  ].join("\n");
+  mkdirSync(path.join(tempDir, "legal"), { recursive: true });
+  mkdirSync(path.join(tempDir, "fonts"), { recursive: true });
+  writeFileSync(path.join(tempDir, "legal", "brand-webfont-eula.txt"), template);
+  writeFileSync(path.join(tempDir, "fonts", "Brand-Regular.woff2"), "font-binary");
+  writeFileSync(
+    path.join(tempDir, "fonts", "Brand-EULA.txt"),
+    `${template}\n\n4. Audit. Brand Foundry may audit the page view counts of the licensee once per calendar year.`,
+  );
+  writeFileSync(
+    path.join(tempDir, "setzkasten.config.json"),
+    JSON.stringify({
+      scan: {
+        license_texts: [
+          { id: "LicenseRef-Brand-Webfont-EULA", name: "Brand Foundry Webfont EULA", path: "legal/brand-webfont-eula.txt" },
+        ],
+      },
+    }),
+  );
+
+  const result = await scanProject({ rootPath: tempDir, manifest: baseManifest(), discover: true });
+  const invalidConfigs = [];
+  for (const licenseTexts of [
+    { id: "LicenseRef-Brand" },
+    [{ id: "Brand-EULA", path: "legal/brand-webfont-eula.txt" }],
+    [{ id: "LicenseRef-Brand", path: "legal/missing.txt" }],
+  ]) {
+    writeFileSync(path.join(tempDir, "setzkasten.config.json"), JSON.stringify({ scan: { license_texts: licenseTexts } }));
+    invalidConfigs.push(
+      await scanProject({ rootPath: tempDir, manifest: baseManifest() }).then(
+        () => null,
+        (error) => error.message,
+      ),
+    );
+  }
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.deepEqual(result.scan_rules.license_text_ids, ["LicenseRef-Brand-Webfont-EULA"]);
+  const eula = result.discovered_license_files.find((entry) => entry.file_name === "Brand-EULA.txt");
+  assert.equal(eula.detected_license, "eula");
+  assert.equal(eula.license_classification.spdx_id, "LicenseRef-Brand-Webfont-EULA");
+  assert.equal(eula.license_classification.name, "Brand Foundry Webfont EULA");
+  assert.equal(eula.license_classification.score, 1);
+  assert.equal(eula.license_classification.reference_path, "legal/brand-webfont-eula.txt");
+  assert.deepEqual(
+    eula.license_classification.modifications.map((entry) => entry.type),
+    ["added"],
+  );
+  assert.match(eula.license_classification.modifications[0].text, /may audit the page view counts/);
+  assert.match(invalidConfigs[0], /scan\.license_texts must be an array/);
+  assert.match(invalidConfigs[1], /license_texts\[0\]\.id must be a LicenseRef- identifier/);
+  assert.match(invalidConfigs[2], /license_texts\[0\]\.path 'legal\/missing\.txt' cannot be read/);
+});
+
+test("scanProject extracts text from PDF and RTF license documents", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-"));
+  const glyphIds = Buffer.from("Licensed font family: Inter", "latin1")
+    .toString("hex")
+    .replace(/../g, "00$&");
+  const content = deflateSync(
+    Buffer.from(
+      [
+        "BT /F1 12 Tf 72 720 Td (End User License Agreement) Tj",
+        "0 -14 Td [(for the font software ) -250 (\\(the \"Font Software\"\\))] TJ ET",
+        `BT /F2 10 Tf 72 680 Td <${glyphIds}> Tj ET`,
+      ].join("\n"),
+      "latin1",
+    ),
+  );
+  const cmap = "begincmap 1 begincodespacerange <0000> <FFFF> endcodespacerange 1 beginbfrange <0020> <007E> <0020> endbfrange endcmap";
+
+  mkdirSync(path.join(tempDir, "fonts", "licenses"), { recursive: true });
+  writeFileSync(path.join(tempDir, "fonts", "Brand-Regular.woff2"), "font-binary");
+  writeFileSync(
+    path.join(tempDir, "fonts", "licenses", "Foundry-EULA.pdf"),
+    Buffer.concat([
+      Buffer.from(
+        [
+          "%PDF-1.4",
+          "1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj",
+          "2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> >> endobj",
+          "3 0 obj << /Type /Page /Parent 2 0 R /Contents 6 0 R >> endobj",
+          "4 0 obj << /Type /Font /Subtype /Type1 /BaseFont /Helvetica >> endobj",
+          "5 0 obj << /Type /Font /Subtype /Type0 /BaseFont /ABCDEF+Brand /Encoding /Identity-H /ToUnicode 7 0 R >> endobj",
+          `7 0 obj << /Length ${cmap.length} >> stream\n${cmap}\nendstream endobj`,
+          `6 0 obj << /Filter /FlateDecode /Length ${content.length} >> stream\n`,
+        ].join("\n"),
+        "latin1",
+      ),
+      content,
+      Buffer.from("\nendstream\nendobj\n%%EOF\n", "latin1"),
+    ]),
+  );
+  writeFileSync(
+    path.join(tempDir, "fonts", "licenses", "Webfont-EULA.rtf"),
+    "{\\rtf1\\ansi{\\fonttbl{\\f0 Inter;}}{\\*\\generator Inter Writer;}\\f0 End User License Agreement\\par " +
+      "Licensed font: Int\\u101?r Displ\\'e1y}",
+  );
+
+  const result = await scanProject({ rootPath: tempDir, manifest: baseManifest(), discover: true });
+  rmSync(tempDir, { recursive: true, force: true });
+
+  assert.deepEqual(
+    result.discovered_license_files.map((entry) => [
+      entry.file_name,
+      entry.detected_license,
+      entry.matched_font_ids,
+    ]),
+    [
+      ["Foundry-EULA.pdf", "eula", ["inter"]],
+      ["Webfont-EULA.rtf", "eula", ["inter"]],
+    ],
+  );
+});
+
+test("scanProject extracts EULA terms and skips boilerplate, years and invalid dates", async () => {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-eula-terms-"));
+  mkdirSync(path.join(tempDir, "fonts"), { recursive: true });
+  writeFileSync(path.join(tempDir, "fonts", "Brand-Regular.woff2"), "font-binary");
+  writeFileSync(
+    path.join(tempDir, "fonts", "Brand-EULA.txt"),
+    [
+      "Brand Foundry End User License Agreement",
+      "Lizenznehmer: ACME GmbH",
+      "Invoice no. INV-2024-0042",
+      "Purchased on 5th March 2024",
+      "Licensed fonts: Brand Sans Regular & Brand Sans Bold",
+      "Page views (per year, since 2024): 1.000.000",
+      "Up to 5 desktop users and 2 web domains.",
+      "Desktop License and Web Font License",
+    ].join("\n"),
+  );
+  writeFileSync(
+    path.join(tempDir, "fonts", "Other-EULA.txt"),
+    [
+      "End User License Agreement",
+      'The person or company named on the invoice (the "Licensee") may use the fonts.',
+      "Licensee - means the individual or entity that purchased this license.",
+      "Customer: refers to the Licensee.",
+      "Page views are reported for the calendar year 2024.",
+      "Purchase date: February 30, 2024",
+    ].join("\n"),
+  );
+  writeFileSync(
+    path.join(tempDir, "setzkasten.config.json"),
+    JSON.stringify({
+      scan: { eula_patterns: [{ foundry: "Brand Foundry", fields: { licensee: "Lizenznehmer:\\s*([^\\n]+)" } }] },
+    }),
+  );
+
+  const result = await scanProject({ rootPath: tempDir, manifest: baseManifest(), discover: true });
+  rmSync(tempDir, { recursive: true, force: true });
+
+  const termsByFile = Object.fromEntries(
+    result.discovered_license_files.map((entry) => [entry.file_name, entry.eula_terms ?? null]),
+  );
+  assert.deepEqual(termsByFile["Brand-EULA.txt"], {
+    foundry: "Brand Foundry",
+    licensee: "ACME GmbH",
+    order_reference: "INV-2024-0042",
+    purchased_at: "2024-03-05T00:00:00.000Z",
+    licensed_styles: ["Brand Sans Regular", "Brand Sans Bold"],
+    metric_limits: [
+      { metric_type: "pageviews", limit: 1000000, period: "per_year" },
+      { metric_type: "seats", limit: 5, period: "lifetime" },
+      { metric_type: "domains", limit: 2, period: "lifetime" },
+    ],
+    media: ["media_web", "media_desktop"],
+  });
+  assert.equal(termsByFile["Other-EULA.txt"], null);
+});
+
+test("scanProject rejects invalid EULA pattern config", async () => {
+  const cases = [
+    [{ foundry: "Brand" }, /must be an array/],
+    [[{ fields: {} }], /eula_patterns\[0\]\.foundry must be a non-empty string/],
+    [[{ foundry: "Brand", fields: { royalties: "x" } }], /fields\.royalties is not a supported field/],
+    [[{ foundry: "Brand", fields: { licensee: [] } }], /fields\.licensee must be a string or string array/],
+    [[{ foundry: "Brand", fields: { licensee: "(" } }], /fields\.licensee is not a valid regular expression/],
+  ];
+
+  for (const [eulaPatterns, message] of cases) {
+    const tempDir = mkdtempSync(path.join(os.tmpdir(), "setzkasten-scanner-eula-config-"));
+    writeFileSync(
+      path.join(tempDir, "setzkasten.config.json"),
+      JSON.stringify({ scan: { eula_patterns: eulaPatterns } }),
+    );
+    await assert.rejects(() => scanProject({ rootPath: tempDir, manifest: baseManifest() }), message);
+    rmSync(tempDir, { recursive: true, force: true });
+  }
+});
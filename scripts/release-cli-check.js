@@ -55,6 +55,7 @@ function ensureFiles(packInfo) {
     "src/index.js",
     "src/lib/core.js",
     "src/lib/events.js",
+    "src/lib/license-texts.js",
     "src/lib/manifest-lib.js",
     "src/lib/policy.js",
     "src/lib/quote.js",